@@ -0,0 +1,191 @@
+// Client activity per gallery: page loads, lightbox views and downloads.
+//
+// Events are appended to DATA_DIR/analytics/<galleryId>.jsonl, one JSON line each:
+//   { ts, type, filename?, ua, visitor }
+// `ua` is a coarse "Browser on OS" label and `visitor` a salted hash of the client IP, so the
+// log can tell repeat visits apart without storing addresses. Events older than the retention
+// period are dropped by prune(). Summaries are kept in memory and rebuilt from the logs on
+// startup. Writes are synchronous so prune() can rewrite a log without losing appends.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['download_page', 'preview_page', 'photo_view', 'photo_download', 'zip_download'];
+
+// Link-preview fetchers and crawlers open share links too; they aren't the client
+const BOT_RE = /bot|crawler|spider|preview|facebookexternalhit|whatsapp|slack|discord|telegram|curl|wget|python|node-fetch|axios/i;
+
+// "Safari on iOS", "Chrome on Windows", ...; null for bots
+function coarseUserAgent(ua) {
+    ua = String(ua || '');
+    if (!ua || BOT_RE.test(ua)) return null;
+
+    let browser = 'Other';
+    if (/Edg\//.test(ua)) browser = 'Edge';
+    else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+    else if (/SamsungBrowser/.test(ua)) browser = 'Samsung Internet';
+    else if (/Firefox\/|FxiOS/.test(ua)) browser = 'Firefox';
+    else if (/Chrome\/|CriOS/.test(ua)) browser = 'Chrome';
+    else if (/Safari\//.test(ua)) browser = 'Safari';
+
+    let os = 'Other';
+    if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+    else if (/Android/.test(ua)) os = 'Android';
+    else if (/Windows/.test(ua)) os = 'Windows';
+    else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+    else if (/CrOS/.test(ua)) os = 'ChromeOS';
+    else if (/Linux/.test(ua)) os = 'Linux';
+
+    return `${browser} on ${os}`;
+}
+
+function createAnalytics({ dir, retentionDays }) {
+    const summaries = new Map();
+    const logFile = galleryId => path.join(dir, `${galleryId}.jsonl`);
+    const cutoff = () => Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+    // Per-install salt for visitor hashes, so they can't be matched against other installs
+    fs.mkdirSync(dir, { recursive: true });
+    const saltFile = path.join(dir, 'salt');
+    if (!fs.existsSync(saltFile)) {
+        fs.writeFileSync(saltFile, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    }
+    const salt = fs.readFileSync(saltFile, 'utf8');
+
+    function emptySummary() {
+        return {
+            lastViewedAt: null,
+            pageViews: 0,
+            photoViews: 0,
+            photoDownloads: 0,
+            zipDownloads: 0,
+            lastZipDownloadAt: null,
+            visitors: new Set(),
+            viewsByPhoto: new Map()
+        };
+    }
+
+    function apply(summary, event) {
+        if (event.type === 'download_page' || event.type === 'preview_page') {
+            summary.pageViews++;
+            if (!summary.lastViewedAt || event.ts > summary.lastViewedAt) summary.lastViewedAt = event.ts;
+        } else if (event.type === 'photo_view') {
+            summary.photoViews++;
+            summary.viewsByPhoto.set(event.filename, (summary.viewsByPhoto.get(event.filename) || 0) + 1);
+        } else if (event.type === 'photo_download') {
+            summary.photoDownloads++;
+        } else if (event.type === 'zip_download') {
+            summary.zipDownloads++;
+            if (!summary.lastZipDownloadAt || event.ts > summary.lastZipDownloadAt) summary.lastZipDownloadAt = event.ts;
+        }
+        summary.visitors.add(event.visitor);
+    }
+
+    // Events of one gallery still within the retention period, oldest first
+    function readEvents(galleryId) {
+        let text;
+        try {
+            text = fs.readFileSync(logFile(galleryId), 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+        const since = new Date(cutoff()).toISOString();
+        const events = [];
+        for (const line of text.split('\n')) {
+            if (!line) continue;
+            try {
+                const event = JSON.parse(line);
+                if (event.ts >= since) events.push(event);
+            } catch (err) {
+                // Skip a line torn by a crash
+            }
+        }
+        return events;
+    }
+
+    function rebuild(galleryId, events) {
+        const summary = emptySummary();
+        events.forEach(event => apply(summary, event));
+        summaries.set(galleryId, summary);
+    }
+
+    function galleryIds() {
+        return fs.readdirSync(dir).filter(f => f.endsWith('.jsonl')).map(f => f.slice(0, -'.jsonl'.length));
+    }
+
+    galleryIds().forEach(galleryId => rebuild(galleryId, readEvents(galleryId)));
+
+    return {
+        // Record an event; `ip` is hashed and never stored
+        record(galleryId, { type, filename, ua, ip }) {
+            if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown analytics event "${type}"`);
+            const event = {
+                ts: new Date().toISOString(),
+                type,
+                ...(filename ? { filename } : {}),
+                ua,
+                visitor: crypto.createHash('sha256').update(salt + String(ip)).digest('hex').slice(0, 16)
+            };
+            if (!summaries.has(galleryId)) summaries.set(galleryId, emptySummary());
+            apply(summaries.get(galleryId), event);
+            try {
+                fs.appendFileSync(logFile(galleryId), JSON.stringify(event) + '\n');
+            } catch (err) {
+                console.error('Could not record analytics event:', err.message);
+            }
+        },
+
+        // Totals for a gallery; `topPhotos` lists the most viewed of `files`, at most `top`
+        summary(galleryId, files, top = 3) {
+            const summary = summaries.get(galleryId) || emptySummary();
+            const current = new Set(files);
+            const topPhotos = [...summary.viewsByPhoto]
+                .filter(([filename]) => current.has(filename))
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, top)
+                .map(([filename, views]) => ({ filename, views }));
+            return {
+                lastViewedAt: summary.lastViewedAt,
+                pageViews: summary.pageViews,
+                visitors: summary.visitors.size,
+                photoViews: summary.photoViews,
+                photoDownloads: summary.photoDownloads,
+                zipDownloads: summary.zipDownloads,
+                lastZipDownloadAt: summary.lastZipDownloadAt,
+                topPhotos
+            };
+        },
+
+        events: readEvents,
+
+        remove(galleryId) {
+            summaries.delete(galleryId);
+            fs.rmSync(logFile(galleryId), { force: true });
+        },
+
+        // Change the retention period; events older than the new one are dropped right away
+        setRetentionDays(days) {
+            retentionDays = days;
+            this.prune();
+        },
+
+        // Drop events older than the retention period from every log
+        prune() {
+            for (const galleryId of galleryIds()) {
+                const events = readEvents(galleryId);
+                if (events.length === 0) {
+                    this.remove(galleryId);
+                    continue;
+                }
+                const tmp = `${logFile(galleryId)}.tmp`;
+                fs.writeFileSync(tmp, events.map(e => JSON.stringify(e)).join('\n') + '\n');
+                fs.renameSync(tmp, logFile(galleryId));
+                rebuild(galleryId, events);
+            }
+        }
+    };
+}
+
+module.exports = { createAnalytics, coarseUserAgent, EVENT_TYPES };
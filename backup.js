@@ -0,0 +1,183 @@
+// Backup archives: galleries with their photos and backgrounds, plus the custom logo, in one
+// gzipped tar file that can be imported into this or another install.
+//
+// Layout (entries are written in this order):
+//   manifest.json                              { format, version, schemaVersion, exportedAt, galleries: [id], logo }
+//   galleries/<id>/gallery.json                the gallery record, at manifest.schemaVersion
+//   galleries/<id>/photos/<filename>           originals, including guest photos awaiting approval
+//   galleries/<id>/background/<filename>       the background image, if any
+//   logo/logo.<ext>                            the custom logo, if any (whole-instance backups only)
+// Thumbnails, renditions and OG images are left out; they are rebuilt after an import.
+// Admin accounts, API tokens and webhooks are not part of a backup.
+
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const tar = require('tar-stream');
+
+const BACKUP_FORMAT = 'metransfer-backup';
+const BACKUP_VERSION = 1;
+
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}';
+const UUID_RE = new RegExp(`^${UUID}$`, 'i');
+const LOGO_RE = /^logo\.(svg|png|jpg|jpeg|gif|webp)$/;
+const ENTRY_PATTERNS = [
+    /^manifest\.json$/,
+    new RegExp(`^galleries/${UUID}/gallery\\.json$`, 'i'),
+    new RegExp(`^galleries/${UUID}/(photos|background)/[a-zA-Z0-9_-][a-zA-Z0-9._-]*$`, 'i'),
+    /^logo\/logo\.(svg|png|jpg|jpeg|gif|webp)$/
+];
+
+function backupError(message) {
+    return Object.assign(new Error(message), { status: 400, expose: true });
+}
+
+// Stream a backup to `output`. `files(gallery)` lists the photos to include; files are added one
+// at a time, so object storage is read sequentially and memory stays flat. Stops early if
+// `output` is closed before the end (e.g. the download was cancelled).
+async function writeBackup(output, { galleries, schemaVersion, store, files, logoFile }) {
+    const archive = archiver('tar', { gzip: true, gzipOptions: { level: 6 } });
+    let aborted = false;
+    const ended = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        output.on('error', reject);
+        output.on('finish', resolve);
+        output.on('close', () => {
+            aborted = !output.writableFinished;
+            resolve();
+        });
+    });
+    archive.pipe(output);
+
+    const add = async (source, name, stats) => {
+        if (aborted) return;
+        const added = new Promise(resolve => archive.once('entry', resolve));
+        if (Buffer.isBuffer(source)) {
+            archive.append(source, { name, mode: 0o644 });
+        } else {
+            // Passing the size lets archiver stream the file instead of buffering it
+            archive.append(source, { name, mode: 0o644, date: stats.mtime, stats: { size: stats.size } });
+        }
+        await Promise.race([added, ended]);
+    };
+    const json = value => Buffer.from(JSON.stringify(value, null, 2));
+
+    await add(json({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion,
+        exportedAt: new Date().toISOString(),
+        galleries: galleries.map(g => g.id),
+        logo: logoFile ? path.basename(logoFile) : null
+    }), 'manifest.json');
+
+    for (const gallery of galleries) {
+        if (aborted) break;
+        const prefix = `galleries/${gallery.id}`;
+        await add(json(gallery), `${prefix}/gallery.json`);
+        for (const filename of files(gallery)) {
+            if (aborted) break;
+            const key = `uploads/${gallery.id}/${filename}`;
+            const stats = await store.stat(key);
+            if (stats) await add(store.createReadStream(key), `${prefix}/photos/${filename}`, stats);
+        }
+        if (gallery.background && !aborted) {
+            const key = `backgrounds/${gallery.background}`;
+            const stats = await store.stat(key);
+            if (stats) await add(store.createReadStream(key), `${prefix}/background/${gallery.background}`, stats);
+        }
+    }
+
+    if (logoFile) {
+        await add(fs.readFileSync(logoFile), `logo/${path.basename(logoFile)}`);
+    }
+
+    if (aborted) {
+        archive.abort();
+        return;
+    }
+    archive.finalize();
+    await ended;
+}
+
+// Unpack a backup from `input` into `destDir` and check its manifest. Entries outside the
+// layout above (including anything that tries to escape destDir) are skipped.
+// Resolves to { manifest, galleries: [{ record, dir }], logoFile }.
+async function extractBackup(input, destDir) {
+    const extract = tar.extract();
+    extract.on('entry', (header, stream, next) => {
+        const name = header.name.replace(/^\.\//, '');
+        if (header.type !== 'file' || !ENTRY_PATTERNS.some(re => re.test(name))) {
+            stream.on('end', next);
+            stream.resume();
+            return;
+        }
+        const dest = path.join(destDir, ...name.split('/'));
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        pipeline(stream, fs.createWriteStream(dest)).then(() => next(), next);
+    });
+
+    try {
+        await pipeline(input, zlib.createGunzip(), extract);
+    } catch (err) {
+        if (err.status) throw err;
+        throw backupError(`Not a readable backup archive (${err.message})`);
+    }
+
+    const manifestFile = path.join(destDir, 'manifest.json');
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    } catch (err) {
+        throw backupError('The archive has no valid manifest.json');
+    }
+    if (manifest.format !== BACKUP_FORMAT) {
+        throw backupError('The archive is not a MeTransfer backup');
+    }
+    if (!(manifest.version <= BACKUP_VERSION)) {
+        throw backupError(`The backup format (version ${manifest.version}) is newer than this server understands. Upgrade the server.`);
+    }
+
+    const galleries = [];
+    for (const galleryId of Array.isArray(manifest.galleries) ? manifest.galleries : []) {
+        if (!UUID_RE.test(galleryId)) {
+            throw backupError(`Invalid gallery ID "${galleryId}" in the manifest`);
+        }
+        const dir = path.join(destDir, 'galleries', String(galleryId));
+        const recordFile = path.join(dir, 'gallery.json');
+        if (!fs.existsSync(recordFile)) continue;
+        let record;
+        try {
+            record = JSON.parse(fs.readFileSync(recordFile, 'utf8'));
+        } catch (err) {
+            throw backupError(`Gallery ${galleryId} in the archive has an unreadable record`);
+        }
+        if (!record || record.id !== galleryId) {
+            throw backupError(`Gallery ${galleryId} in the archive has a mismatched record`);
+        }
+        galleries.push({ record, dir });
+    }
+
+    const logoFile = LOGO_RE.test(manifest.logo) ? path.join(destDir, 'logo', manifest.logo) : null;
+    return { manifest, galleries, logoFile: logoFile && fs.existsSync(logoFile) ? logoFile : null };
+}
+
+// Files of one extracted gallery: photo filenames, and the background's path (or null)
+function extractedFiles(dir) {
+    const list = sub => {
+        try {
+            return fs.readdirSync(path.join(dir, sub));
+        } catch (err) {
+            return [];
+        }
+    };
+    const background = list('background')[0];
+    return {
+        photos: list('photos'),
+        background: background ? path.join(dir, 'background', background) : null
+    };
+}
+
+module.exports = { writeBackup, extractBackup, extractedFiles, BACKUP_FORMAT, BACKUP_VERSION };
@@ -0,0 +1,59 @@
+// Translations for the client-facing pages (download, preview, guest upload, the client portal and
+// the error pages) and for the OG tags the server sends with them.
+//
+// Each locale is a catalog in locales/<code>.json:
+//   { "name": "Português", "dir": "ltr", "<namespace>": { "<key>": text } }
+// with one namespace per page (download, preview, guest, portal), "errors" for the expired and
+// not-found pages and "og" for link previews. Text may contain {placeholders}; text that depends
+// on a count is an object of plural forms keyed by Intl.PluralRules category
+// ({ "one": "{n} photo", "other": "{n} photos" }) and picked by the `n` placeholder.
+// Anything missing from a catalog falls back to English.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const FALLBACK_LOCALE = 'en';
+
+const catalogs = new Map(
+    fs.readdirSync(LOCALES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))])
+);
+
+// Available locales, English first: [{ code, name, dir }]
+const LOCALES = [...catalogs]
+    .map(([code, catalog]) => ({ code, name: catalog.name || code, dir: catalog.dir === 'rtl' ? 'rtl' : 'ltr' }))
+    .sort((a, b) => (b.code === FALLBACK_LOCALE) - (a.code === FALLBACK_LOCALE) || a.code.localeCompare(b.code));
+
+function isLocale(code) {
+    return typeof code === 'string' && catalogs.has(code);
+}
+
+function textDirection(locale) {
+    const found = LOCALES.find(l => l.code === locale);
+    return found ? found.dir : 'ltr';
+}
+
+// The strings of one or more namespaces merged into one object (later namespaces win)
+function strings(locale, namespaces) {
+    const catalog = catalogs.get(locale) || {};
+    const result = {};
+    for (const namespace of namespaces) {
+        Object.assign(result, catalogs.get(FALLBACK_LOCALE)[namespace], catalog[namespace]);
+    }
+    return result;
+}
+
+// A single string ("namespace.key") with its {placeholders} filled in from `vars`
+function translate(locale, key, vars = {}) {
+    const [namespace, name] = key.split('.');
+    let text = strings(locale, [namespace])[name];
+    if (text && typeof text === 'object') {
+        text = text[new Intl.PluralRules(locale).select(vars.n)] || text.other;
+    }
+    if (typeof text !== 'string') return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+module.exports = { LOCALES, FALLBACK_LOCALE, isLocale, textDirection, strings, translate };
@@ -0,0 +1,212 @@
+// Image-processing queue: thumbnails, renditions and OG images are rendered here, never more than
+// `concurrency` at a time.
+//
+// Two kinds of work share the same slots:
+//   add(type, params)  — background jobs (thumbnails after an upload, OG images), run by
+//                        `handlers[type](params)`. They are kept in `file` so they survive a
+//                        restart, retried up to `maxAttempts` times, and reported per gallery
+//                        (params.galleryId) as progress and failures.
+//   run(key, task)     — work a request is waiting for (a rendition nobody has asked for yet).
+//                        Runs ahead of background jobs; concurrent calls with the same key share
+//                        one run. Not persisted, retried or reported.
+//
+// `file` holds { queued: [job], failed: [job], progress: { galleryId: { total, done } } }, where a
+// job is { id, type, params, attempts, error?, failedAt? }. It is rewritten shortly after every
+// change (atomically, via a temp file); a job that finished just before a crash may run again,
+// so handlers must be idempotent.
+
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+const SAVE_DELAY_MS = 500;
+
+function createJobQueue({ file, concurrency = 2, maxAttempts = 3, handlers }) {
+    let queued = [];
+    let failed = [];
+    let progress = {};
+    const running = new Map();      // job id → job (background jobs only)
+    const interactive = [];         // { key, task, resolve, reject }
+    const shared = new Map();       // key → promise of a queued or running run()
+    let active = 0;
+    let started = false;
+    let saveTimer = null;
+
+    if (fs.existsSync(file)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            queued = Array.isArray(data.queued) ? data.queued : [];
+            failed = Array.isArray(data.failed) ? data.failed : [];
+            progress = data.progress && typeof data.progress === 'object' ? data.progress : {};
+        } catch (err) {
+            console.error('Error loading the job queue:', err.message);
+        }
+    }
+
+    function save() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            // Jobs that are running now are written as queued, so a restart picks them up again
+            const data = { queued: [...running.values(), ...queued], failed, progress };
+            const tmp = `${file}.tmp`;
+            try {
+                fs.writeFileSync(tmp, JSON.stringify(data));
+                fs.renameSync(tmp, file);
+            } catch (err) {
+                console.error('Error saving the job queue:', err.message);
+            }
+        }, SAVE_DELAY_MS);
+        saveTimer.unref();
+    }
+
+    const galleryOf = job => job.params && job.params.galleryId;
+    const sameJob = (a, b) => a.type === b.type && JSON.stringify(a.params) === JSON.stringify(b.params);
+
+    function pump() {
+        if (!started) return;
+        while (active < concurrency) {
+            if (interactive.length > 0) {
+                startInteractive(interactive.shift());
+            } else if (queued.length > 0) {
+                startJob(queued.shift());
+            } else {
+                return;
+            }
+        }
+    }
+
+    function startInteractive({ key, task, resolve, reject }) {
+        active++;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                shared.delete(key);
+                active--;
+                pump();
+            });
+    }
+
+    function startJob(job) {
+        active++;
+        running.set(job.id, job);
+        const handler = handlers[job.type];
+        Promise.resolve()
+            .then(() => {
+                if (!handler) throw new Error(`Unknown job type "${job.type}"`);
+                return handler(job.params);
+            })
+            .then(() => finishJob(job, null), err => finishJob(job, err))
+            .finally(() => {
+                active--;
+                pump();
+            });
+    }
+
+    function finishJob(job, err) {
+        // Dropped while running (gallery deleted, or regenerated from scratch)
+        if (!running.delete(job.id)) return;
+        const galleryId = galleryOf(job);
+        job.attempts++;
+
+        if (err && job.attempts < maxAttempts) {
+            job.error = err.message;
+            queued.push(job);
+        } else {
+            const batch = galleryId && progress[galleryId];
+            if (batch) batch.done++;
+            failed = failed.filter(f => !sameJob(f, job));
+            if (err) {
+                failed.push({ ...job, error: err.message, failedAt: new Date().toISOString() });
+                console.error(`Job ${job.type} failed for ${JSON.stringify(job.params)}: ${err.message}`);
+            }
+        }
+        save();
+    }
+
+    function isBusy(galleryId) {
+        return queued.some(j => galleryOf(j) === galleryId) ||
+            [...running.values()].some(j => galleryOf(j) === galleryId);
+    }
+
+    return {
+        // Queue a background job; a job identical to one already waiting is not added twice
+        add(type, params) {
+            if (queued.some(j => sameJob(j, { type, params }))) return;
+            const galleryId = params.galleryId;
+            if (galleryId) {
+                // A gallery with nothing in progress starts a new batch
+                if (!isBusy(galleryId) || !progress[galleryId]) progress[galleryId] = { total: 0, done: 0 };
+                progress[galleryId].total++;
+            }
+            queued.push({ id: uuidv4(), type, params, attempts: 0 });
+            save();
+            pump();
+        },
+
+        // Run `task` in the next free slot, ahead of background jobs; resolves to its result
+        run(key, task) {
+            if (!shared.has(key)) {
+                shared.set(key, new Promise((resolve, reject) => {
+                    interactive.push({ key, task, resolve, reject });
+                }));
+                pump();
+            }
+            return shared.get(key);
+        },
+
+        // Progress of a gallery's current (or last) batch: { total, done, queued, running, failed }
+        progress(galleryId) {
+            const batch = progress[galleryId] || { total: 0, done: 0 };
+            return {
+                total: batch.total,
+                done: batch.done,
+                queued: queued.filter(j => galleryOf(j) === galleryId).length,
+                running: [...running.values()].filter(j => galleryOf(j) === galleryId).length,
+                failed: failed.filter(j => galleryOf(j) === galleryId).length
+            };
+        },
+
+        // Jobs of a gallery that failed for good, most recent first
+        failures(galleryId) {
+            return failed
+                .filter(j => galleryOf(j) === galleryId)
+                .map(({ type, params, attempts, error, failedAt }) => ({ type, ...params, attempts, error, failedAt }))
+                .reverse();
+        },
+
+        // Galleries with jobs waiting, running or failed
+        galleryIds() {
+            return [...new Set([...queued, ...running.values(), ...failed].map(galleryOf).filter(Boolean))];
+        },
+
+        stats() {
+            return { concurrency, queued: queued.length, running: running.size, failed: failed.length, interactive: interactive.length };
+        },
+
+        clearFailures(galleryId) {
+            failed = failed.filter(j => galleryOf(j) !== galleryId);
+            save();
+        },
+
+        // Forget everything about a gallery: waiting jobs, failures and progress. Jobs already
+        // running finish, but aren't counted.
+        removeGallery(galleryId) {
+            queued = queued.filter(j => galleryOf(j) !== galleryId);
+            failed = failed.filter(j => galleryOf(j) !== galleryId);
+            for (const [id, job] of running) {
+                if (galleryOf(job) === galleryId) running.delete(id);
+            }
+            delete progress[galleryId];
+            save();
+        },
+
+        // Begin processing (once the handlers can run, e.g. after startup reconciliation)
+        start() {
+            started = true;
+            pump();
+        }
+    };
+}
+
+module.exports = { createJobQueue };
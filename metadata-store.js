@@ -0,0 +1,147 @@
+// Crash-safe persistence for a collection of JSON records keyed by `id` (gallery metadata).
+//
+// Two files live in `dir`:
+//   <name>.json     — snapshot: { schemaVersion, records: [...] }, only ever replaced atomically
+//                     (written to a temp file, fsynced, then renamed over the old one)
+//   <name>.journal  — write-ahead log: one JSON line per change since the snapshot,
+//                     { "op": "put", "record": {...} } or { "op": "delete", "id": "..." }
+// A save appends only the records that changed, so a crash can at worst tear the last journal
+// line, which is skipped on load. Once the journal grows past `compactAfter` lines it is folded
+// into a new snapshot.
+//
+// `migrations[i]` upgrades one record from schema version i to i + 1; the current version is
+// migrations.length. Records are migrated on load and the upgraded snapshot is written back.
+
+const path = require('path');
+const fs = require('fs');
+
+function createRecordStore({ dir, name, migrations, compactAfter = 500 }) {
+    const schemaVersion = migrations.length;
+    const snapshotFile = path.join(dir, `${name}.json`);
+    const journalFile = path.join(dir, `${name}.journal`);
+
+    // Last saved JSON of every record, to find what changed since
+    const saved = new Map();
+    let journalLines = 0;
+
+    function fsyncDir() {
+        // Makes the rename itself durable; not supported on every platform
+        try {
+            const fd = fs.openSync(dir, 'r');
+            fs.fsyncSync(fd);
+            fs.closeSync(fd);
+        } catch (err) {
+            // Best effort
+        }
+    }
+
+    function writeDurably(file, data, flags) {
+        const fd = fs.openSync(file, flags, 0o600);
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    function migrate(records, fromVersion) {
+        if (fromVersion > schemaVersion) {
+            throw new Error(`${snapshotFile} has schema version ${fromVersion}, but this version only understands up to ${schemaVersion}. Upgrade the server.`);
+        }
+        return records.map(record => migrations.slice(fromVersion).reduce((r, upgrade) => upgrade(r), record));
+    }
+
+    // Write every record to a fresh snapshot and empty the journal
+    function compact(records) {
+        fs.mkdirSync(dir, { recursive: true });
+        const list = Array.from(records);
+        const tmp = `${snapshotFile}.${process.pid}.tmp`;
+        writeDurably(tmp, JSON.stringify({ schemaVersion, records: list }, null, 2), 'w');
+        fs.renameSync(tmp, snapshotFile);
+        fsyncDir();
+        // A crash before this truncate only replays changes the snapshot already has
+        writeDurably(journalFile, '', 'w');
+
+        saved.clear();
+        list.forEach(record => saved.set(record.id, JSON.stringify(record)));
+        journalLines = 0;
+    }
+
+    return {
+        // Records in the store, or null if it has never been written
+        load() {
+            const hasSnapshot = fs.existsSync(snapshotFile);
+            if (!hasSnapshot && !fs.existsSync(journalFile)) return null;
+
+            const records = new Map();
+            let version = schemaVersion;
+            if (hasSnapshot) {
+                const data = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+                version = data.schemaVersion;
+                data.records.forEach(record => records.set(record.id, record));
+            }
+
+            if (fs.existsSync(journalFile)) {
+                const lines = fs.readFileSync(journalFile, 'utf8').split('\n');
+                lines.forEach((line, i) => {
+                    if (!line) return;
+                    let entry;
+                    try {
+                        entry = JSON.parse(line);
+                    } catch (err) {
+                        // Torn final line from a crash: that change never completed. Loading
+                        // compacts, so nothing is ever appended after it.
+                        if (i === lines.length - 1) return;
+                        throw new Error(`${journalFile} is corrupt at line ${i + 1}`);
+                    }
+                    if (entry.op === 'put') records.set(entry.record.id, entry.record);
+                    if (entry.op === 'delete') records.delete(entry.id);
+                });
+            }
+
+            const migrated = migrate(Array.from(records.values()), version);
+            compact(migrated);
+            return migrated;
+        },
+
+        // Start the store from records written by an older format (schema version `fromVersion`)
+        import(records, fromVersion = 0) {
+            const migrated = migrate(records, fromVersion);
+            compact(migrated);
+            return migrated;
+        },
+
+        // Persist the current set of records: changed ones are journaled, missing ones deleted
+        save(records) {
+            const list = Array.from(records);
+            if (journalLines >= compactAfter) return compact(list);
+
+            const changes = [];
+            const lines = [];
+            const present = new Set();
+            for (const record of list) {
+                const json = JSON.stringify(record);
+                present.add(record.id);
+                if (saved.get(record.id) !== json) {
+                    changes.push([record.id, json]);
+                    lines.push(`{"op":"put","record":${json}}`);
+                }
+            }
+            for (const id of saved.keys()) {
+                if (!present.has(id)) {
+                    changes.push([id, null]);
+                    lines.push(JSON.stringify({ op: 'delete', id }));
+                }
+            }
+            if (lines.length === 0) return;
+
+            fs.mkdirSync(dir, { recursive: true });
+            writeDurably(journalFile, lines.join('\n') + '\n', 'a');
+            journalLines += lines.length;
+            changes.forEach(([id, json]) => (json === null ? saved.delete(id) : saved.set(id, json)));
+        }
+    };
+}
+
+module.exports = { createRecordStore };
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+// Command-line administration for a running MeTransfer server. Everything goes through the
+// HTTP API, so the server must be up; the CLI never touches DATA_DIR itself.
+//
+//   metransfer list [--json]
+//   metransfer create <folder> [--name <event name>]    — subfolders become sections
+//   metransfer rename <galleryId> <name>
+//   metransfer delete <galleryId> [--yes]
+//   metransfer regenerate <galleryId|--all> [--thumbnails] [--og] [--wait]
+//   metransfer export <galleryId|--all> [-o <file>]
+//   metransfer import <file> [--conflict skip|replace|copy]
+//
+// Connects to METRANSFER_URL (default http://localhost:$PORT) with the API token in
+// METRANSFER_TOKEN; --url and --token override both. Create a token with the admin scope under
+// Team & API Tokens in the dashboard — export and import need it.
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const USAGE = `Usage: metransfer <command> [options]
+
+Commands:
+  list [--search <text>] [--tag <tag>] [--sort date|name|size|activity] [--json]
+                                                  List galleries
+  create <folder> [--name <event name>]           Create a gallery from a folder of photos
+                                                  (photos in subfolders go into sections)
+  rename <galleryId> <name>                       Rename a gallery
+  delete <galleryId> [--yes]                      Delete a gallery and its photos
+  regenerate <galleryId|--all> [--thumbnails] [--og] [--wait]
+                                                  Rebuild thumbnails and/or OG images
+                                                  (--wait: until the server has finished)
+  export <galleryId|--all> [-o <file>]            Download a backup archive
+  import <file> [--conflict skip|replace|copy]    Restore a backup archive
+
+Options:
+  --url <url>       Server address (METRANSFER_URL, default http://localhost:${process.env.PORT || 3000})
+  --token <token>   API token (METRANSFER_TOKEN)`;
+
+const PHOTO_EXTENSIONS = /\.(jpe?g|png|gif|webp|tiff?|bmp|heic|heif|raw|cr2|cr3|crw|nef|nrw|arw|srf|sr2|dng|orf|rw2|raf|pef|srw|mp4|m4v|mov)$/i;
+
+function usageError(message) {
+    return Object.assign(new Error(message), { usage: true });
+}
+
+function createClient(baseUrl, token) {
+    if (!token) {
+        throw usageError('An API token is required: set METRANSFER_TOKEN or pass --token');
+    }
+    const root = baseUrl.replace(/\/+$/, '');
+
+    async function request(method, urlPath, { json, body, headers = {} } = {}) {
+        const options = { method, headers: { Authorization: `Bearer ${token}`, ...headers } };
+        if (json !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(json);
+        } else if (body !== undefined) {
+            options.body = body;
+            // Streamed request bodies must be sent half-duplex
+            if (typeof body.pipe === 'function' || body instanceof ReadableStream) options.duplex = 'half';
+        }
+
+        let res;
+        try {
+            res = await fetch(root + urlPath, options);
+        } catch (err) {
+            throw new Error(`Cannot reach ${root} (${err.cause ? err.cause.message : err.message})`);
+        }
+        if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            throw new Error(data.error || `${method} ${urlPath} failed with HTTP ${res.status}`);
+        }
+        return res;
+    }
+
+    const api = async (method, urlPath, options) => {
+        const res = await request(method, urlPath, options);
+        return res.json();
+    };
+
+    return { request, api };
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Photos directly in `folder` go into no section; photos one level down are filed under
+// their subfolder's name, the way a folder dropped on the admin panel is
+function collectPhotos(folder) {
+    const photos = [];
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const entryPath = path.join(folder, entry.name);
+        if (entry.isFile() && PHOTO_EXTENSIONS.test(entry.name)) {
+            photos.push({ path: entryPath, name: entry.name, section: null });
+        } else if (entry.isDirectory()) {
+            for (const name of fs.readdirSync(entryPath).sort()) {
+                const filePath = path.join(entryPath, name);
+                if (!name.startsWith('.') && PHOTO_EXTENSIONS.test(name) && fs.statSync(filePath).isFile()) {
+                    photos.push({ path: filePath, name, section: entry.name });
+                }
+            }
+        }
+    }
+    return photos;
+}
+
+// Send one file through the chunked upload API and return its upload ID
+async function uploadFile(client, photo) {
+    const size = fs.statSync(photo.path).size;
+    const status = await client.api('POST', '/api/uploads', {
+        json: { filename: photo.name, size, sha256: await hashFile(photo.path), section: photo.section }
+    });
+
+    const handle = await fs.promises.open(photo.path, 'r');
+    try {
+        let offset = status.offset;
+        while (offset < size) {
+            const chunk = Buffer.alloc(Math.min(status.chunkSize, size - offset));
+            await handle.read(chunk, 0, chunk.length, offset);
+            const next = await client.api('PUT', `/api/uploads/${status.uploadId}`, {
+                body: chunk,
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Upload-Offset': String(offset),
+                    'X-Chunk-SHA256': crypto.createHash('sha256').update(chunk).digest('hex')
+                }
+            });
+            offset = next.offset;
+        }
+    } finally {
+        await handle.close();
+    }
+
+    await client.api('POST', `/api/uploads/${status.uploadId}/complete`);
+    return status.uploadId;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every gallery matching `query` (see GET /api/galleries), fetched a page at a time
+async function listGalleries(client, query = {}) {
+    const params = new URLSearchParams({ ...query, limit: '200' });
+    const galleries = [];
+    for (;;) {
+        const page = await client.api('GET', `/api/galleries?${params}`);
+        galleries.push(...page.galleries);
+        if (!page.nextCursor) return galleries;
+        params.set('cursor', page.nextCursor);
+    }
+}
+
+// Poll a gallery's processing jobs until none are left; resolves to its final state
+async function waitForJobs(client, galleryId) {
+    for (;;) {
+        const state = await client.api('GET', `/api/gallery/${galleryId}/jobs`);
+        if (state.queued + state.running === 0) return state;
+        if (process.stdout.isTTY) process.stdout.write(`\r\x1b[K${galleryId}: ${state.done}/${state.total} processed`);
+        await sleep(1000);
+    }
+}
+
+function confirm(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => rl.question(`${question} [y/N] `, answer => {
+        rl.close();
+        resolve(/^y(es)?$/i.test(answer.trim()));
+    }));
+}
+
+// Save a download to `output`, or to the file name the server suggests
+async function saveDownload(res, output) {
+    const disposition = res.headers.get('content-disposition') || '';
+    const suggested = (disposition.match(/filename="([^"]+)"/) || [])[1] || 'metransfer-backup.tar.gz';
+    const file = output || path.basename(suggested);
+    await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(file));
+    return file;
+}
+
+const commands = {
+    async list(client, args, options) {
+        const query = {};
+        if (options.search) query.q = options.search;
+        if (options.tag) query.tag = options.tag;
+        if (options.sort) query.sort = options.sort;
+        const galleries = await listGalleries(client, query);
+        if (options.json) {
+            console.log(JSON.stringify(galleries, null, 2));
+            return;
+        }
+        for (const g of galleries) {
+            const tags = g.tags.length > 0 ? `  [${g.tags.join(', ')}]` : '';
+            console.log(`${g.id}  ${g.shootDate || g.created.slice(0, 10)}  ${String(g.fileCount).padStart(5)} photos  ${g.eventName}${tags}`);
+        }
+        console.log(`${galleries.length} galleries`);
+    },
+
+    async create(client, [folder], options) {
+        if (!folder) throw usageError('create needs a folder');
+        if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+            throw new Error(`${folder} is not a folder`);
+        }
+        const photos = collectPhotos(folder);
+        if (photos.length === 0) throw new Error(`No photos found in ${folder}`);
+
+        const uploads = [];
+        for (const [i, photo] of photos.entries()) {
+            process.stdout.write(`Uploading ${i + 1}/${photos.length}: ${path.relative(folder, photo.path)}\n`);
+            uploads.push(await uploadFile(client, photo));
+        }
+
+        const eventName = options.name || path.basename(path.resolve(folder));
+        const result = await client.api('POST', '/api/gallery/create', { json: { eventName, uploads } });
+        console.log(`Created "${eventName}" with ${result.fileCount} photos`);
+        if (result.duplicates && result.duplicates.length > 0) {
+            console.log(`Skipped ${result.duplicates.length} duplicates`);
+        }
+        console.log(result.downloadUrl);
+    },
+
+    async rename(client, [galleryId, ...name]) {
+        if (!galleryId || name.length === 0) throw usageError('rename needs a gallery ID and a name');
+        await client.api('POST', `/api/gallery/${galleryId}/rename`, { json: { eventName: name.join(' ') } });
+        console.log(`Renamed ${galleryId} to "${name.join(' ')}"`);
+    },
+
+    async delete(client, [galleryId], options) {
+        if (!galleryId) throw usageError('delete needs a gallery ID');
+        if (!options.yes && !await confirm(`Delete gallery ${galleryId} and all of its photos?`)) {
+            console.log('Cancelled');
+            return;
+        }
+        await client.api('DELETE', `/api/gallery/${galleryId}`);
+        console.log(`Deleted ${galleryId}`);
+    },
+
+    async regenerate(client, [galleryId], options) {
+        if (!galleryId && !options.all) throw usageError('regenerate needs a gallery ID or --all');
+        const ids = options.all ? (await listGalleries(client)).map(g => g.id) : [galleryId];
+        const body = options.thumbnails || options.og ? { thumbnails: !!options.thumbnails, og: !!options.og } : {};
+        for (const id of ids) {
+            const { queued } = await client.api('POST', `/api/gallery/${id}/regenerate`, { json: body });
+            const work = [];
+            if (queued.thumbnails !== undefined) work.push(`${queued.thumbnails} thumbnails`);
+            if (queued.og) work.push('OG image');
+            if (!options.wait) {
+                console.log(`${id}: queued ${work.join(', ')}`);
+                continue;
+            }
+            const state = await waitForJobs(client, id);
+            if (process.stdout.isTTY) process.stdout.write('\r\x1b[K');
+            console.log(`${id}: rebuilt ${work.join(', ')}${state.failed ? `; ${state.failed} failed:` : ''}`);
+            for (const failure of state.failures) {
+                console.log(`  ${failure.filename || failure.type}: ${failure.error}`);
+            }
+        }
+    },
+
+    async export(client, [galleryId], options) {
+        if (!galleryId && !options.all) throw usageError('export needs a gallery ID or --all');
+        const res = await client.request('GET', options.all ? '/api/backup' : `/api/gallery/${galleryId}/backup`);
+        const file = await saveDownload(res, options.output);
+        console.log(`Saved ${file} (${(fs.statSync(file).size / 1024 / 1024).toFixed(1)} MB)`);
+    },
+
+    async import(client, [file], options) {
+        if (!file) throw usageError('import needs a backup file');
+        const conflict = options.conflict || 'skip';
+        const result = await client.api('POST', `/api/backup/import?conflict=${encodeURIComponent(conflict)}`, {
+            body: fs.createReadStream(file),
+            headers: { 'Content-Type': 'application/gzip', 'Content-Length': String(fs.statSync(file).size) }
+        });
+        for (const g of result.galleries) {
+            const from = g.originalId ? ` (copy of ${g.originalId})` : '';
+            console.log(`${g.status.padEnd(8)} ${g.id}${from}${g.eventName ? `  ${g.eventName}` : ''}`);
+        }
+        if (result.logo) console.log(`Logo: ${result.logo}`);
+    }
+};
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            url: { type: 'string' },
+            token: { type: 'string' },
+            json: { type: 'boolean' },
+            name: { type: 'string' },
+            yes: { type: 'boolean', short: 'y' },
+            all: { type: 'boolean' },
+            thumbnails: { type: 'boolean' },
+            og: { type: 'boolean' },
+            wait: { type: 'boolean' },
+            output: { type: 'string', short: 'o' },
+            conflict: { type: 'string' },
+            search: { type: 'string' },
+            tag: { type: 'string' },
+            sort: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [command, ...args] = positionals;
+    if (options.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        throw usageError(`Unknown command "${command}"`);
+    }
+
+    const baseUrl = options.url || process.env.METRANSFER_URL || `http://localhost:${process.env.PORT || 3000}`;
+    const client = createClient(baseUrl, options.token || process.env.METRANSFER_TOKEN);
+    await commands[command](client, args, options);
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(`Error: ${err.message}`);
+    if (err.usage || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') console.error(`\n${USAGE}`);
+    process.exit(1);
+});
@@ -0,0 +1,77 @@
+// Copy gallery originals and backgrounds between storage backends.
+//
+//   node migrate-storage.js local s3    — move an existing install to object storage
+//   node migrate-storage.js s3 local    — bring everything back to DATA_DIR
+//
+// Uses the same S3_* settings as the server. Objects that already exist at the destination
+// with the same size are skipped, so an interrupted run can simply be started again. Nothing
+// is deleted from the source; switch STORAGE_DRIVER once the copy has finished.
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createStorage } = require('./storage');
+
+const DATA_DIR = process.env.INSTALL_DIR || __dirname;
+
+async function listKeys(store) {
+    const keys = [];
+    for (const galleryId of await store.listDirs('uploads/')) {
+        for (const file of await store.list(`uploads/${galleryId}/`)) {
+            keys.push(`uploads/${galleryId}/${file}`);
+        }
+    }
+    for (const file of await store.list('backgrounds/')) {
+        keys.push(`backgrounds/${file}`);
+    }
+    return keys;
+}
+
+async function migrate(fromDriver, toDriver) {
+    const from = createStorage(fromDriver, DATA_DIR);
+    const to = createStorage(toDriver, DATA_DIR);
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-storage-'));
+
+    const keys = await listKeys(from);
+    console.log(`Found ${keys.length} objects in ${from.name} storage`);
+
+    let copied = 0;
+    let skipped = 0;
+    let failed = 0;
+    try {
+        for (const key of keys) {
+            try {
+                const [source, existing] = await Promise.all([from.stat(key), to.stat(key)]);
+                if (!source || (existing && existing.size === source.size)) {
+                    skipped++;
+                    continue;
+                }
+                // putFile consumes its input, so hand it a copy and leave the source untouched
+                const tmp = path.join(tmpDir, path.basename(key));
+                fs.copyFileSync(await from.localPath(key), tmp);
+                await to.putFile(key, tmp);
+                copied++;
+                console.log(`  ${key}`);
+            } catch (err) {
+                failed++;
+                console.error(`  ${key}: ${err.message}`);
+            }
+        }
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(`Copied ${copied}, skipped ${skipped} already present, ${failed} failed`);
+    return failed === 0;
+}
+
+const [fromDriver, toDriver] = process.argv.slice(2);
+if (!fromDriver || !toDriver || fromDriver === toDriver) {
+    console.error('Usage: node migrate-storage.js <local|s3> <local|s3>');
+    process.exit(1);
+}
+
+migrate(fromDriver, toDriver).then(ok => process.exit(ok ? 0 : 1), err => {
+    console.error(`Migration failed: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,230 @@
+// Outgoing notifications: signed webhooks for gallery events, and email to clients over SMTP.
+//
+// Webhook endpoints are kept in webhooks.json: { id, url, secret, events, enabled, created }.
+// `events` lists the WEBHOOK_EVENTS an endpoint receives ("*" for all). Each delivery POSTs
+//   { id, event, createdAt, data }
+// with an X-MeTransfer-Signature header of the form "t=<unix seconds>,v1=<hex>", where v1 is
+// HMAC-SHA256(secret, "<t>.<raw body>"). Failed deliveries (network error, timeout or non-2xx
+// reply) are retried on the RETRY_DELAYS_MS schedule, unless `retryDelaysMs` is given. Every
+// delivery and its attempts are kept in webhook-deliveries.json (newest LOG_LIMIT), and retries
+// still due are resumed on startup.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const WEBHOOK_EVENTS = [
+    'gallery.created',
+    'gallery.photos_added',
+    'gallery.first_viewed',
+    'gallery.zip_downloaded',
+    'gallery.expiring',
+    'gallery.deleted'
+];
+
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const LOG_LIMIT = 200;
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function readJson(file, fallback) {
+    if (!fs.existsSync(file)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        console.error(`Error loading ${file}:`, err);
+        return fallback;
+    }
+}
+
+function createWebhooks({ file, logFile, userAgent, retryDelaysMs = RETRY_DELAYS_MS }) {
+    const endpoints = new Map(readJson(file, []).map(w => [w.id, w]));
+    const deliveries = readJson(logFile, []);
+    const timers = new Map();
+
+    function saveEndpoints() {
+        fs.writeFileSync(file, JSON.stringify(Array.from(endpoints.values()), null, 2), { mode: 0o600 });
+    }
+
+    function saveLog() {
+        deliveries.splice(0, Math.max(0, deliveries.length - LOG_LIMIT));
+        fs.writeFileSync(logFile, JSON.stringify(deliveries, null, 2), { mode: 0o600 });
+    }
+
+    function publicEndpoint(w) {
+        const { secret, ...rest } = w;
+        return rest;
+    }
+
+    async function attempt(delivery) {
+        timers.delete(delivery.id);
+        const endpoint = endpoints.get(delivery.webhookId);
+        if (!endpoint) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            saveLog();
+            return;
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+        const result = { at: new Date().toISOString(), status: null, error: null, durationMs: 0 };
+        try {
+            const res = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': userAgent,
+                    'X-MeTransfer-Event': delivery.event,
+                    'X-MeTransfer-Delivery': delivery.id,
+                    'X-MeTransfer-Signature': `t=${timestamp},v1=${signPayload(endpoint.secret, timestamp, delivery.body)}`
+                },
+                body: delivery.body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+            });
+            result.status = res.status;
+            if (!res.ok) result.error = `HTTP ${res.status}`;
+            await res.arrayBuffer().catch(() => {});
+        } catch (err) {
+            result.error = err.name === 'TimeoutError' ? 'Timed out' : (err.cause && err.cause.code) || err.message;
+        }
+        result.durationMs = Date.now() - started;
+        delivery.attempts.push(result);
+
+        if (!result.error) {
+            delivery.status = 'delivered';
+            delivery.nextAttemptAt = null;
+        } else if (delivery.attempts.length <= retryDelaysMs.length) {
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = new Date(Date.now() + retryDelaysMs[delivery.attempts.length - 1]).toISOString();
+            schedule(delivery);
+        } else {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+        }
+        saveLog();
+    }
+
+    function schedule(delivery) {
+        const delay = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+        timers.set(delivery.id, setTimeout(() => attempt(delivery), delay).unref());
+    }
+
+    function deliver(endpoint, event, body) {
+        const delivery = {
+            id: uuidv4(),
+            webhookId: endpoint.id,
+            url: endpoint.url,
+            event,
+            body,
+            status: 'pending',
+            attempts: [],
+            created: new Date().toISOString(),
+            nextAttemptAt: new Date().toISOString()
+        };
+        deliveries.push(delivery);
+        saveLog();
+        attempt(delivery);
+        return delivery;
+    }
+
+    // Pick up retries that were still due when the server stopped
+    deliveries
+        .filter(d => d.status === 'pending' || d.status === 'retrying')
+        .forEach(schedule);
+
+    return {
+        list() {
+            return Array.from(endpoints.values(), publicEndpoint);
+        },
+
+        // The secret is only returned here; receivers need it to verify signatures
+        add({ url, events }) {
+            const endpoint = {
+                id: uuidv4(),
+                url,
+                secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+                events,
+                enabled: true,
+                created: new Date().toISOString()
+            };
+            endpoints.set(endpoint.id, endpoint);
+            saveEndpoints();
+            return endpoint;
+        },
+
+        update(id, changes) {
+            const endpoint = endpoints.get(id);
+            if (!endpoint) return null;
+            Object.assign(endpoint, changes);
+            saveEndpoints();
+            return publicEndpoint(endpoint);
+        },
+
+        remove(id) {
+            if (!endpoints.delete(id)) return false;
+            saveEndpoints();
+            return true;
+        },
+
+        // Queue `event` for every enabled endpoint subscribed to it
+        emit(event, data) {
+            const body = JSON.stringify({ id: uuidv4(), event, createdAt: new Date().toISOString(), data });
+            for (const endpoint of endpoints.values()) {
+                if (endpoint.enabled && (endpoint.events.includes('*') || endpoint.events.includes(event))) {
+                    deliver(endpoint, event, body);
+                }
+            }
+        },
+
+        // A "ping" to one endpoint, to check the receiver and its signature verification
+        ping(id) {
+            const endpoint = endpoints.get(id);
+            if (!endpoint) return null;
+            const body = JSON.stringify({ id: uuidv4(), event: 'ping', createdAt: new Date().toISOString(), data: {} });
+            return deliver(endpoint, 'ping', body).id;
+        },
+
+        // Send a logged delivery's payload again, as a new delivery
+        redeliver(deliveryId) {
+            const original = deliveries.find(d => d.id === deliveryId);
+            const endpoint = original && endpoints.get(original.webhookId);
+            if (!endpoint) return null;
+            return deliver(endpoint, original.event, original.body).id;
+        },
+
+        // Newest first, without payloads
+        deliveries(webhookId) {
+            return deliveries
+                .filter(d => !webhookId || d.webhookId === webhookId)
+                .slice()
+                .reverse()
+                .map(({ body, ...rest }) => rest);
+        }
+    };
+}
+
+// SMTP transport for client emails; null when SMTP isn't configured
+function createMailer({ host, port, secure, user, pass, from }) {
+    if (!host) return null;
+    const nodemailer = require('nodemailer');
+    const transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        from,
+        send({ to, subject, text, html, replyTo }) {
+            return transport.sendMail({ from, to, subject, text, html, replyTo });
+        }
+    };
+}
+
+module.exports = { createWebhooks, createMailer, signPayload, WEBHOOK_EVENTS };
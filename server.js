@@ -4,14 +4,32 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 const { v4: uuidv4 } = require('uuid');
 const archiver = require('archiver');
 const rateLimit = require('express-rate-limit');
 const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+const { createStorage } = require('./storage');
+const { createRecordStore } = require('./metadata-store');
+const { createAnalytics, coarseUserAgent } = require('./analytics');
+const { createWebhooks, createMailer, WEBHOOK_EVENTS } = require('./notifications');
+const { writeBackup, extractBackup, extractedFiles } = require('./backup');
+const { createJobQueue } = require('./jobs');
+const i18n = require('./i18n');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Express 4 only catches errors thrown synchronously. Wrap async handlers and middleware (storage
+// can be a network service) in this so a rejection reaches the error handler at the bottom.
+function asyncHandler(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
 // Trust reverse-proxy headers (X-Forwarded-For, X-Forwarded-Proto) when TRUST_PROXY=1 in .env.
 // Set to 1 when running behind Nginx/Caddy/Traefik; leave unset for direct exposure.
 const TRUST_PROXY = parseInt(process.env.TRUST_PROXY || '0', 10);
@@ -27,83 +45,241 @@ app.use((_req, res, next) => {
     next();
 });
 
-// Admin password loaded from .env file — must be set or the server refuses to start
+// Bootstrap admin password loaded from .env file — used to seed the first "admin" account
+// when no accounts exist yet. Once admins.json exists it is no longer consulted.
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
-if (!ADMIN_PASSWORD) {
-    console.error('FATAL: ADMIN_PASSWORD environment variable is not set. Set it in your .env file.');
-    process.exit(1);
-}
 
 // File size limits (from .env, in MB)
 const MAX_PHOTO_BYTES = parseInt(process.env.MAX_UPLOAD_MB || '200') * 1024 * 1024;
+const MAX_VIDEO_BYTES = parseInt(process.env.MAX_VIDEO_MB || '4096') * 1024 * 1024;
 const MAX_BACKGROUND_BYTES = parseInt(process.env.MAX_BACKGROUND_MB || '20') * 1024 * 1024;
 
-// Install directory — where Node.js stores uploads, backgrounds, and galleries.json
+// Storage limits: STORAGE_QUOTA_GB caps the photos of all galleries together, GALLERY_QUOTA_MB
+// each gallery (galleries can override it); unset or 0 means unlimited. Uploads are refused
+// while the data directory, where every upload is staged, has less than MIN_FREE_SPACE_MB free.
+const STORAGE_QUOTA_BYTES = Math.round(parseFloat(process.env.STORAGE_QUOTA_GB || '0') * 1024 * 1024 * 1024) || null;
+const GALLERY_QUOTA_MB = parseInt(process.env.GALLERY_QUOTA_MB || '0', 10) || null;
+const MIN_FREE_SPACE_BYTES = parseInt(process.env.MIN_FREE_SPACE_MB || '1024', 10) * 1024 * 1024;
+
+// Chunked uploads: size of each chunk the dashboard sends, and how long an unfinished
+// upload is kept before its partial file is cleaned up
+const UPLOAD_CHUNK_BYTES = parseInt(process.env.UPLOAD_CHUNK_MB || '8', 10) * 1024 * 1024;
+const PARTIAL_UPLOAD_TTL_MS = parseInt(process.env.PARTIAL_UPLOAD_TTL_HOURS || '24', 10) * 60 * 60 * 1000;
+
+// How many thumbnails, renditions and OG images are rendered at once (see the job queue)
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '2', 10) || 2);
+
+// ffmpeg binary used for video poster frames: the one in the Docker image, or any on the PATH
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// What happens to EXIF/XMP metadata in delivered originals unless a gallery overrides it:
+// "keep", "strip-gps" (location only) or "strip-all" (everything but orientation and color profile)
+const METADATA_POLICIES = ['keep', 'strip-gps', 'strip-all'];
+const METADATA_POLICY = METADATA_POLICIES.includes(process.env.METADATA_POLICY) ? process.env.METADATA_POLICY : 'strip-gps';
+
+// Language of the client pages when a gallery doesn't set one and the visitor's browser asks
+// for none of the available translations (see locales/)
+const DEFAULT_LANGUAGE = i18n.isLocale(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : i18n.FALLBACK_LOCALE;
+
+// Long edge, in pixels, of the resized JPEGs in "web size" ZIP downloads
+const WEB_SIZE_PX = parseInt(process.env.WEB_SIZE_PX || '2048', 10);
+
+// Days client activity (page loads, lightbox views, downloads) is kept unless changed from the
+// dashboard (see retention.json); 0 turns analytics off
+const ANALYTICS_RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS || '90', 10);
+
+// Public address of this server (e.g. https://photos.example.com), for links in webhooks and
+// emails. Without it, links use the address of the request that triggered them, and scheduled
+// notifications (gallery.expiring) carry no link.
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+// Optional SMTP server for emailing clients their gallery link
+const SMTP_PORT = parseInt(process.env.SMTP_PORT || '587', 10);
+const SMTP_SETTINGS = {
+    host: process.env.SMTP_HOST || '',
+    port: SMTP_PORT,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === '1' : SMTP_PORT === 465,
+    user: process.env.SMTP_USER || '',
+    pass: process.env.SMTP_PASS || '',
+    from: process.env.SMTP_FROM || process.env.SMTP_USER || ''
+};
+
+// Install directory — where Node.js stores uploads, backgrounds, and gallery metadata
 // Docker: always /data (set via environment in docker-compose.yml)
 // Bare-metal: defaults to the project directory
 const DATA_DIR = process.env.INSTALL_DIR || __dirname;
 
 const THUMBNAILS_DIR = path.join(DATA_DIR, 'thumbnails');
 const OG_CACHE_DIR   = path.join(DATA_DIR, 'og-cache');
+const PARTIAL_UPLOADS_DIR = path.join(DATA_DIR, 'partial-uploads');
+const WATERMARK_CACHE_DIR = path.join(DATA_DIR, 'watermarked');
+const PRIVATE_ORIGINALS_DIR = path.join(DATA_DIR, 'private-originals');
+const IMPORTS_DIR = path.join(DATA_DIR, 'imports');
+
+// Where originals and background images live: "local" (DATA_DIR, the default) or "s3" for any
+// S3-compatible object store, configured with the S3_* variables (see storage.js). Uploads are
+// staged in DATA_DIR/uploads either way. With S3_PRESIGNED_DOWNLOADS=1, downloads that don't
+// need processing are redirected to short-lived presigned URLs instead of passing through.
+const store = createStorage(process.env.STORAGE_DRIVER || 'local', DATA_DIR);
+const S3_PRESIGNED_DOWNLOADS = process.env.S3_PRESIGNED_DOWNLOADS === '1';
+const PRESIGNED_URL_TTL_SECONDS = 300;
+// Local copies of S3 objects (for thumbnails and EXIF) are dropped after an hour without use
+const STORAGE_CACHE_TTL_MS = 60 * 60 * 1000;
 
 // UUID v4 validation regex — used by middleware and reconcileGalleries (must be declared early)
 const UUID_V4_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
-// Data store for galleries (in production, use a database)
+// Gallery metadata, kept in memory and persisted to DATA_DIR/metadata after every change
 const galleries = new Map();
 
-// File to persist gallery metadata
-const GALLERIES_FILE = path.join(DATA_DIR, 'galleries.json');
+// Schema migrations for gallery records; index i upgrades a record from version i to i + 1.
+// Append new entries here when the record format changes — never edit existing ones.
+const GALLERY_MIGRATIONS = [
+    // 1: records imported from galleries.json, which older versions wrote without validation
+    gallery => ({
+        eventName: 'Untitled Event',
+        background: null,
+        ...gallery,
+        files: Array.isArray(gallery.files) ? gallery.files : [],
+        created: gallery.created || new Date().toISOString()
+    })
+];
+
+const galleryStore = createRecordStore({
+    dir: path.join(DATA_DIR, 'metadata'),
+    name: 'galleries',
+    migrations: GALLERY_MIGRATIONS
+});
+
+// Single JSON file used before the metadata store; imported once, then kept as galleries.json.imported
+const LEGACY_GALLERIES_FILE = path.join(DATA_DIR, 'galleries.json');
 
-// Load galleries from file on startup
+// Load galleries on startup. Unreadable metadata stops the server rather than starting empty,
+// which would make reconcileGalleries relabel every gallery.
 function loadGalleries() {
-    if (fs.existsSync(GALLERIES_FILE)) {
-        try {
-            const data = JSON.parse(fs.readFileSync(GALLERIES_FILE, 'utf8'));
-            data.forEach(g => galleries.set(g.id, g));
-        } catch (err) {
-            console.error('Error loading galleries:', err);
+    let records;
+    try {
+        records = galleryStore.load();
+        if (!records && fs.existsSync(LEGACY_GALLERIES_FILE)) {
+            records = galleryStore.import(JSON.parse(fs.readFileSync(LEGACY_GALLERIES_FILE, 'utf8')));
+            fs.renameSync(LEGACY_GALLERIES_FILE, `${LEGACY_GALLERIES_FILE}.imported`);
+            console.log(`Imported ${records.length} galleries from galleries.json`);
         }
+    } catch (err) {
+        console.error(`FATAL: Could not load gallery metadata: ${err.message}`);
+        process.exit(1);
     }
+    (records || []).forEach(g => galleries.set(g.id, g));
 }
 
-// Save galleries to file
+// Persist gallery changes (only the galleries that changed are written)
 function saveGalleries() {
-    const data = Array.from(galleries.values());
-    fs.writeFileSync(GALLERIES_FILE, JSON.stringify(data, null, 2));
+    galleryStore.save(galleries.values());
+}
+
+// Record the size of each stored photo (gallery.fileSizes, used for quotas and usage figures).
+// Sizes the record doesn't have yet, e.g. from before sizes were kept, are read from storage.
+async function updateFileSizes(gallery, files) {
+    const sizes = gallery.fileSizes || {};
+    const present = new Set(files);
+    let changed = !gallery.fileSizes;
+    for (const filename of Object.keys(sizes).filter(f => !present.has(f))) {
+        delete sizes[filename];
+        changed = true;
+    }
+    for (const filename of files.filter(f => sizes[f] === undefined)) {
+        const stats = await store.stat(`uploads/${gallery.id}/${filename}`);
+        if (stats) {
+            sizes[filename] = stats.size;
+            changed = true;
+        }
+    }
+    gallery.fileSizes = sizes;
+    return changed;
 }
 
-// Reconcile galleries.json with the uploads directory on disk.
-// Runs once on startup to handle two cases:
-//   1. Entry in JSON but no uploads folder → remove the stale entry
-//   2. Uploads folder exists but no JSON entry → recover with placeholder metadata
-function reconcileGalleries() {
-    const uploadsDir = path.join(DATA_DIR, 'uploads');
+// Reconcile gallery metadata with what is in storage.
+// Runs once on startup, so requests can rely on gallery.files and gallery.background:
+//   1. Entry listing photos but none in storage → remove the stale entry
+//   2. Photos in storage but no entry → recover with placeholder metadata
+//   3. Photos added to or removed from storage by hand → update the entry's file list
+//   4. Placeholders of create requests that never finished (server stopped mid-upload) → remove
+// Object stores have no empty folders, so galleries without photos are only judged by metadata.
+async function reconcileGalleries() {
+    const stored = new Set(await store.listDirs('uploads/'));
+    const backgrounds = await store.list('backgrounds/');
     let changed = false;
 
-    // Case 1: stale JSON entries with no corresponding uploads folder
-    for (const galleryId of galleries.keys()) {
-        if (!fs.existsSync(path.join(uploadsDir, galleryId))) {
+    // Nothing stored at all while galleries list photos is far more likely a wrong
+    // STORAGE_DRIVER or bucket than every gallery having been deleted by hand
+    const listed = [...galleries.values()].filter(g => g.files.length > 0).length;
+    if (stored.size === 0 && listed > 0) {
+        console.warn(`Warning: storage holds no photos but ${listed} galleries list some — check the storage settings. Gallery metadata was left unchanged.`);
+        return;
+    }
+
+    // Case 1: stale entries with no corresponding photos
+    for (const [galleryId, gallery] of galleries) {
+        if (!stored.has(galleryId) && gallery.files.length > 0) {
+            galleries.delete(galleryId);
+            changed = true;
+        }
+    }
+
+    // Case 4: placeholders made by generateGalleryId for a create request that never completed
+    for (const [galleryId, gallery] of galleries) {
+        if (isIncompleteGallery(gallery)) {
             galleries.delete(galleryId);
+            await store.removePrefix(`uploads/${galleryId}/`);
+            stored.delete(galleryId);
             changed = true;
         }
     }
 
-    // Case 2: uploads folders on disk with no JSON entry
-    if (fs.existsSync(uploadsDir)) {
-        for (const entry of fs.readdirSync(uploadsDir)) {
-            if (!UUID_V4_REGEX.test(entry)) continue;
-            if (galleries.has(entry)) continue;
-            const galleryPath = path.join(uploadsDir, entry);
-            if (!fs.statSync(galleryPath).isDirectory()) continue;
-            const files = fs.readdirSync(galleryPath).filter(f => !f.startsWith('.'));
+    for (const entry of stored) {
+        if (!UUID_V4_REGEX.test(entry)) continue;
+        const files = await store.list(`uploads/${entry}/`);
+        const gallery = galleries.get(entry);
+
+        // Case 2: photos in storage with no entry
+        if (!gallery) {
+            if (files.length === 0) continue;
+            const stats = await store.stat(`uploads/${entry}/${files[0]}`);
             galleries.set(entry, {
                 id: entry,
                 eventName: 'Untitled Event',
-                created: fs.statSync(galleryPath).birthtime.toISOString(),
+                created: (stats ? stats.mtime : new Date()).toISOString(),
                 files,
                 background: null
             });
+            await updateFileSizes(galleries.get(entry), files);
+            changed = true;
+            continue;
+        }
+
+        // Case 3: keep the stored order, drop missing photos and append unknown ones. Guest
+        // photos awaiting moderation are stored alongside but stay out of the file list.
+        const present = new Set(files);
+        const pending = pendingGuestFiles(gallery);
+        const ordered = gallery.files.filter(f => present.has(f));
+        const known = new Set(ordered.concat(pending));
+        const reconciled = ordered.concat(files.filter(f => !known.has(f)));
+        if (reconciled.length !== gallery.files.length || reconciled.some((f, i) => f !== gallery.files[i])) {
+            gallery.files = reconciled;
+            changed = true;
+        }
+        for (const filename of pending.filter(f => !present.has(f))) {
+            delete gallery.guestPhotos[filename];
+            changed = true;
+        }
+        if (await updateFileSizes(gallery, files)) changed = true;
+    }
+
+    // Background images, whatever extension older versions stored them with
+    for (const [galleryId, gallery] of galleries) {
+        const background = backgrounds.find(f => f.startsWith(galleryId)) || null;
+        if (gallery.background !== background) {
+            gallery.background = background;
             changed = true;
         }
     }
@@ -112,7 +288,99 @@ function reconcileGalleries() {
 }
 
 loadGalleries();
-reconcileGalleries();
+
+// --- Admin accounts and API tokens ---
+
+// Named admin accounts (scrypt-hashed passwords) and scoped API tokens (SHA-256 hashed),
+// persisted in DATA_DIR so they survive restarts and container upgrades
+const ADMINS_FILE = path.join(DATA_DIR, 'admins.json');
+const TOKENS_FILE = path.join(DATA_DIR, 'api-tokens.json');
+
+const admins = new Map();
+const apiTokens = new Map();
+
+// Scopes an API token may carry: read = GET routes, write = mutating gallery/logo routes,
+// admin = manage accounts and tokens
+const TOKEN_SCOPES = ['read', 'write', 'admin'];
+
+const USERNAME_RE = /^[a-zA-Z0-9._-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function loadAdmins() {
+    if (fs.existsSync(ADMINS_FILE)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(ADMINS_FILE, 'utf8'));
+            data.forEach(a => admins.set(a.username, a));
+        } catch (err) {
+            console.error('Error loading admin accounts:', err);
+        }
+    }
+}
+
+function saveAdmins() {
+    const data = Array.from(admins.values());
+    fs.writeFileSync(ADMINS_FILE, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+function loadApiTokens() {
+    if (fs.existsSync(TOKENS_FILE)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
+            data.forEach(t => apiTokens.set(t.id, t));
+        } catch (err) {
+            console.error('Error loading API tokens:', err);
+        }
+    }
+}
+
+function saveApiTokens() {
+    const data = Array.from(apiTokens.values());
+    fs.writeFileSync(TOKENS_FILE, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+// Hash a password with a random salt — returns "salt:hash" (both hex)
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [salt, hash] = String(stored || '').split(':');
+    if (!salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against when the username is unknown, so a failed sign-in takes as long either way
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createAdmin(username, password) {
+    admins.set(username, {
+        username,
+        passwordHash: hashPassword(password),
+        created: new Date().toISOString()
+    });
+    saveAdmins();
+}
+
+loadAdmins();
+loadApiTokens();
+
+// First run: seed an "admin" account from ADMIN_PASSWORD so existing installs keep working
+if (admins.size === 0) {
+    if (!ADMIN_PASSWORD) {
+        console.error('FATAL: No admin accounts exist and ADMIN_PASSWORD is not set. Set it in your .env file.');
+        process.exit(1);
+    }
+    createAdmin('admin', ADMIN_PASSWORD);
+    console.log('Created initial admin account "admin" from ADMIN_PASSWORD');
+}
 
 // Ensure directories exist
 ['uploads', 'backgrounds', 'thumbnails', 'og-cache'].forEach(dir => {
@@ -147,662 +415,5129 @@ function escapeAttr(str) {
         .replace(/>/g, '&gt;');
 }
 
-// Generate a 400px-wide JPEG thumbnail for a single photo
-async function generateThumbnail(galleryId, filename) {
-    const src  = path.join(DATA_DIR, 'uploads', galleryId, filename);
-    const dir  = path.join(THUMBNAILS_DIR, galleryId);
-    const dest = path.join(dir, filename + '.jpg');
-    if (fs.existsSync(dest)) return;
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    try {
-        await sharp(src).resize(400).jpeg({ quality: 80 }).toFile(dest);
-    } catch (e) {
-        // Skip non-image or corrupt files silently
+// Turn an event name into a safe download filename stem (ZIPs, exports)
+function safeDownloadName(eventName, fallback) {
+    return String(eventName || '')
+        .replace(/[^a-zA-Z0-9\s-]/g, '')
+        .replace(/\s+/g, '-')
+        .substring(0, 50) || fallback;
+}
+
+// --- Responsive renditions ---
+
+// Photos are served resized to one of RENDITION_WIDTHS (?w=, snapped up to the next width)
+// in the best format the browser accepts. Renditions are generated on first request (through the
+// job queue, ahead of background work) and cached
+// as <filename>.<width>.<ext> under THUMBNAILS_DIR/<galleryId>, or WATERMARK_CACHE_DIR/<galleryId>
+// for watermarked galleries, so the set of files per photo stays bounded.
+const RENDITION_WIDTHS = [400, 800, 1600, 2560];
+const THUMBNAIL_WIDTH = 400;
+
+// Cache-Control for photos and renditions; ETag/Last-Modified let browsers revalidate after that
+const PHOTO_CACHE_CONTROL = 'private, max-age=3600';
+
+// Preferred first: AVIF is smallest, JPEG is understood everywhere
+const RENDITION_FORMATS = {
+    avif: { ext: 'avif', type: 'image/avif', encode: image => image.avif({ quality: 50, effort: 2 }) },
+    webp: { ext: 'webp', type: 'image/webp', encode: image => image.webp({ quality: 80 }) },
+    jpeg: { ext: 'jpg',  type: 'image/jpeg', encode: image => image.jpeg({ quality: 82 }) }
+};
+
+function renditionWidth(requested) {
+    return RENDITION_WIDTHS.find(w => w >= requested) || RENDITION_WIDTHS[RENDITION_WIDTHS.length - 1];
+}
+
+// Pick a format from the Accept header; browsers list image/avif and image/webp explicitly
+function negotiateFormat(req) {
+    const accept = req.get('Accept') || '';
+    if (accept.includes('image/avif')) return 'avif';
+    if (accept.includes('image/webp')) return 'webp';
+    return 'jpeg';
+}
+
+function resizeToWidth(image, width) {
+    return image.rotate().resize({ width, withoutEnlargement: true });
+}
+
+// --- RAW, HEIC and video sources ---
+
+// sharp reads JPEG, PNG, WebP, TIFF, GIF and AVIF directly. Camera RAW files are shown via the
+// JPEG preview the camera embeds in them, HEIC (HEVC-coded, which prebuilt libvips can't
+// decode) through heic-decode, and videos through a poster frame taken by ffmpeg. The result is
+// cached once per file as <filename>.src.jpg in THUMBNAILS_DIR and every rendition is made from
+// that. Photos neither route can decode are "download only": clients can download the original
+// but get no preview. Videos without a poster (no ffmpeg, or a codec it can't read) still play.
+const RAW_EXTENSIONS = ['.raw', '.cr2', '.cr3', '.crw', '.nef', '.nrw', '.arw', '.srf', '.sr2', '.dng', '.orf', '.rw2', '.raf', '.pef', '.srw'];
+const HEIC_EXTENSIONS = ['.heic', '.heif'];
+const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov'];
+
+// 'raw', 'heic', 'video', or null for formats sharp handles itself
+function photoKind(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    if (RAW_EXTENSIONS.includes(ext)) return 'raw';
+    if (HEIC_EXTENSIONS.includes(ext)) return 'heic';
+    if (VIDEO_EXTENSIONS.includes(ext)) return 'video';
+    return null;
+}
+
+function isVideo(filename) {
+    return photoKind(filename) === 'video';
+}
+
+// Read `length` bytes at `position` without loading the whole (often 50 MB+) RAW file
+function readAt(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+// Minimal TIFF reader, shared by RAW preview extraction and EXIF handling. It works over a
+// `read(position, length)` function so the same code walks files on disk without loading them
+// and buffers that are being rewritten. `base` is where the TIFF header starts: 0 for
+// TIFF-based RAW files, just after "Exif\0\0" in JPEG and HEIC. Offsets stored in the TIFF are
+// relative to `base`; positions returned by these helpers are absolute.
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+function openTiff(read, base) {
+    const header = read(base, 8);
+    const byteOrder = header.toString('latin1', 0, 2);
+    if (header.length < 8 || (byteOrder !== 'II' && byteOrder !== 'MM')) return null;
+    const le = byteOrder === 'II';
+    const u16 = (buf, at) => le ? buf.readUInt16LE(at) : buf.readUInt16BE(at);
+    const u32 = (buf, at) => le ? buf.readUInt32LE(at) : buf.readUInt32BE(at);
+    return { read, base, u16, u32, firstIfd: u32(header, 4) };
+}
+
+// The IFD at `offset`: { entries: Map(tag -> { type, count, size, position }), next }, where
+// `position` is where the entry's value is stored. Null if the IFD is truncated.
+function readIfd(tiff, offset) {
+    if (!offset) return null;
+    const start = tiff.base + offset;
+    const countBuf = tiff.read(start, 2);
+    if (countBuf.length < 2) return null;
+    const count = tiff.u16(countBuf, 0);
+    const buf = tiff.read(start + 2, count * 12 + 4);
+    if (buf.length < count * 12 + 4) return null;
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        const at = i * 12;
+        const type = tiff.u16(buf, at + 2);
+        const n = tiff.u32(buf, at + 4);
+        const size = (TIFF_TYPE_SIZES[type] || 0) * n;
+        const position = size <= 4 ? start + 2 + at + 8 : tiff.base + tiff.u32(buf, at + 8);
+        entries.set(tiff.u16(buf, at), { type, count: n, size, position });
     }
+    return { entries, next: tiff.u32(buf, count * 12) };
 }
 
-// Generate thumbnails for an array of filenames (fire-and-forget safe)
-async function generateGalleryThumbnails(galleryId, files) {
-    await Promise.all(files.map(f => generateThumbnail(galleryId, f)));
+// Value of an IFD entry: a string for ASCII, otherwise an array of numbers (at most `limit`).
+// Only the unsigned integer and rational types are decoded; others give an empty array.
+function ifdValue(tiff, entry, limit = 64) {
+    if (!entry) return null;
+    if (entry.type === 2) {
+        return tiff.read(entry.position, Math.min(entry.size, 256)).toString('latin1').replace(/\0[\s\S]*$/, '').trim();
+    }
+    if (![1, 3, 4, 5, 13].includes(entry.type)) return [];
+
+    const size = TIFF_TYPE_SIZES[entry.type];
+    const buf = tiff.read(entry.position, size * Math.min(entry.count, limit));
+    const values = [];
+    for (let at = 0; at + size <= buf.length; at += size) {
+        if (entry.type === 1) values.push(buf[at]);
+        else if (entry.type === 3) values.push(tiff.u16(buf, at));
+        else if (entry.type === 5) values.push(tiff.u32(buf, at + 4) ? tiff.u32(buf, at) / tiff.u32(buf, at + 4) : 0);
+        else values.push(tiff.u32(buf, at));
+    }
+    return values;
 }
 
-// Configure multer for photo uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const galleryId = req.galleryId || req.params.galleryId;
-        const uploadPath = path.join(DATA_DIR, 'uploads', galleryId);
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath, { recursive: true });
+// Embedded JPEGs in TIFF-structured RAW files (CR2, NEF, ARW, DNG, ORF, RW2, PEF, SRW...):
+// JPEGInterchangeFormat tags and JPEG-compressed strips across the IFD chain and SubIFDs.
+// Also returns IFD0's orientation, which the embedded preview usually lacks.
+function tiffPreviewCandidates(fd, fileSize) {
+    const tiff = openTiff((position, length) => readAt(fd, position, length), 0);
+    const candidates = [];
+    let orientation = 1;
+    if (!tiff) return { candidates, orientation };
+
+    const queue = [tiff.firstIfd];
+    const visited = new Set();
+
+    while (queue.length > 0 && visited.size < 32) {
+        const offset = queue.shift();
+        if (!offset || offset + 2 > fileSize || visited.has(offset)) continue;
+        visited.add(offset);
+
+        const ifd = readIfd(tiff, offset);
+        if (!ifd) continue;
+        const value = tag => ifdValue(tiff, ifd.entries.get(tag)) || [];
+
+        if (visited.size === 1 && ifd.entries.has(0x0112)) orientation = value(0x0112)[0];
+        const [jpegOffset] = value(0x0201);
+        const [jpegLength] = value(0x0202);
+        if (jpegOffset && jpegLength) {
+            candidates.push({ offset: jpegOffset, length: jpegLength });
         }
-        cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-        const safeName = file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_');
-        cb(null, safeName);
+        // Old-style JPEG (6) or JPEG (7) compressed image in a single strip
+        const strips = value(0x0111);
+        if ([6, 7].includes(value(0x0103)[0]) && strips.length === 1) {
+            candidates.push({ offset: strips[0], length: value(0x0117)[0] || 0 });
+        }
+        value(0x014a).forEach(subIfd => queue.push(subIfd));
+        queue.push(ifd.next);
     }
-});
 
-const upload = multer({
-    storage,
-    limits: { fileSize: MAX_PHOTO_BYTES },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp|tiff|bmp|raw|cr2|nef|arw/i;
-        const ext = path.extname(file.originalname).toLowerCase().slice(1);
-        const mime = file.mimetype;
-        if (allowedTypes.test(ext) || mime.startsWith('image/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed'), false);
+    return { candidates, orientation };
+}
+
+// Fujifilm RAF keeps the offset and length of its JPEG preview at fixed header positions;
+// Canon CR3 (ISO media) stores it in a PRVW box: 20 bytes of header, the last 4 its length
+function containerPreviewCandidates(fd) {
+    const head = readAt(fd, 0, 92);
+    if (head.toString('latin1', 0, 15) === 'FUJIFILMCCD-RAW' && head.length >= 92) {
+        return [{ offset: head.readUInt32BE(84), length: head.readUInt32BE(88) }];
+    }
+    if (head.toString('latin1', 4, 8) === 'ftyp') {
+        const start = readAt(fd, 0, 4 * 1024 * 1024);
+        const at = start.indexOf('PRVW', 0, 'latin1');
+        if (at >= 4 && at + 20 <= start.length) {
+            return [{ offset: at + 20, length: start.readUInt32BE(at + 16) }];
         }
     }
-});
+    return [];
+}
 
-// Background images are stored in memory so sharp can normalise them to JPEG
-const uploadBackground = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: MAX_BACKGROUND_BYTES },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp/i;
-        const ext = path.extname(file.originalname).toLowerCase().slice(1);
-        if (allowedTypes.test(ext)) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only JPEG, PNG, GIF, or WebP files are allowed for backgrounds'), false);
+// True if a JPEG starts at `offset` and is baseline or progressive. RAW files also contain
+// lossless-JPEG sensor data, which looks similar but can't be decoded by sharp.
+function isDisplayableJpeg(fd, offset) {
+    const buf = readAt(fd, offset, 64 * 1024);
+    if (buf.length < 4 || buf[0] !== 0xFF || buf[1] !== 0xD8) return false;
+    let at = 2;
+    while (at + 4 <= buf.length && buf[at] === 0xFF) {
+        const marker = buf[at + 1];
+        if (marker === 0xC0 || marker === 0xC1 || marker === 0xC2) return true;
+        if ((marker >= 0xC3 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) || marker === 0xDA) {
+            return false;
         }
+        at += 2 + buf.readUInt16BE(at + 2);
     }
-});
+    return false;
+}
 
-// Logo uploads accept raster images and SVG; stored in memory then written to DATA_DIR
-const uploadLogo = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB cap — logos should be small
-    fileFilter: (req, file, cb) => {
-        const ext = path.extname(file.originalname).toLowerCase();
-        const allowed = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'];
-        if (allowed.includes(ext)) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only JPEG, PNG, GIF, WebP, or SVG files are allowed for the logo'), false);
+// The largest displayable JPEG embedded in a RAW file, with the RAW's orientation; null if none
+function extractRawPreview(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        const tiff = tiffPreviewCandidates(fd, fileSize);
+        const candidates = [...tiff.candidates, ...containerPreviewCandidates(fd)]
+            .filter(c => c.length > 0 && c.offset + c.length <= fileSize)
+            .sort((a, b) => b.length - a.length);
+
+        for (const candidate of candidates) {
+            if (isDisplayableJpeg(fd, candidate.offset)) {
+                return { jpeg: readAt(fd, candidate.offset, candidate.length), orientation: tiff.orientation };
+            }
         }
+        return null;
+    } finally {
+        fs.closeSync(fd);
     }
-});
+}
 
-// Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
+const execFileAsync = promisify(execFile);
 
-function validateGalleryId(req, res, next) {
-    if (!UUID_V4_REGEX.test(req.params.galleryId)) {
-        return res.status(400).json({ error: 'Invalid gallery ID' });
+// Write a JPEG poster frame of a video to `dest`: one second in, skipping fades from black, or
+// the first frame of clips shorter than that. ffmpeg applies the rotation phones record.
+async function extractVideoPoster(src, dest) {
+    let failure = 'No video frame found';
+    for (const seek of ['1', '0']) {
+        try {
+            await execFileAsync(FFMPEG_PATH, [
+                '-v', 'error', '-y', '-ss', seek, '-i', src,
+                '-frames:v', '1', '-f', 'image2', '-c:v', 'mjpeg', '-q:v', '2', dest
+            ], { timeout: 120000 });
+            if (fs.existsSync(dest) && fs.statSync(dest).size > 0) return;
+        } catch (err) {
+            if (err.code === 'ENOENT') throw new Error(`ffmpeg not found (${FFMPEG_PATH})`);
+            failure = String(err.stderr || err.message).trim().split('\n').pop() || failure;
+        }
     }
-    next();
+    throw new Error(failure);
 }
 
-// Filename validation — prevents path traversal on per-photo endpoints
-const SAFE_FILENAME_RE = /^[a-zA-Z0-9._\-]+$/;
+// Photos whose source couldn't be decoded, so failed HEIC decodes aren't retried on every request.
+// Keyed "<galleryId>/<filename>", with the reason; cleared by invalidatePhotoCaches.
+const undecodablePhotos = new Map();
 
-function validateFilename(req, res, next) {
-    if (!SAFE_FILENAME_RE.test(req.params.filename)) {
-        return res.status(400).json({ error: 'Invalid filename' });
+// Path sharp should read to render a photo: the original for ordinary images, or the cached
+// decoded JPEG for RAW, HEIC and video. Returns null for missing or undecodable photos.
+async function photoSource(galleryId, filename) {
+    const src = await store.localPath(`uploads/${galleryId}/${filename}`);
+    if (!src) return null;
+
+    const kind = photoKind(filename);
+    if (!kind) return src;
+
+    const key = `${galleryId}/${filename}`;
+    const dir = path.join(THUMBNAILS_DIR, galleryId);
+    const dest = path.join(dir, `${filename}.src.jpg`);
+    if (fs.existsSync(dest)) return dest;
+    if (undecodablePhotos.has(key)) return null;
+
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${dest}.${uuidv4()}.tmp`;
+    try {
+        if (kind === 'video') {
+            await extractVideoPoster(src, tmp);
+        } else if (kind === 'raw') {
+            const preview = extractRawPreview(src);
+            if (!preview) throw new Error('No embedded preview');
+            const image = sharp(preview.jpeg);
+            const { orientation } = await image.metadata();
+            // Carry the RAW's orientation over unless the preview has its own
+            await (orientation ? image : image.withMetadata({ orientation: preview.orientation }))
+                .jpeg({ quality: 92 })
+                .toFile(tmp);
+        } else {
+            // Use libvips if it was built with HEVC support, otherwise decode in JS
+            await sharp(src).rotate().jpeg({ quality: 92 }).toFile(tmp).catch(async () => {
+                const { width, height, data } = await decodeHeic({ buffer: await fs.promises.readFile(src) });
+                await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } })
+                    .jpeg({ quality: 92 })
+                    .toFile(tmp);
+            });
+        }
+        fs.renameSync(tmp, dest);
+        return dest;
+    } catch (err) {
+        fs.rmSync(tmp, { force: true });
+        undecodablePhotos.set(key, err.message);
+        return null;
     }
-    next();
 }
 
-// Simple password authentication middleware
-function requireAuth(req, res, next) {
-    const password = req.headers['x-admin-password'] || req.query.password;
-    if (password === ADMIN_PASSWORD) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Unauthorized' });
+function renditionPath(galleryId, filename, width, format, watermark) {
+    const dir = path.join(watermark ? WATERMARK_CACHE_DIR : THUMBNAILS_DIR, galleryId);
+    return path.join(dir, `${filename}.${width}.${RENDITION_FORMATS[format].ext}`);
+}
+
+// Render a rendition into the cache unless it is there already. Throws when the photo is
+// missing or can't be decoded.
+async function renderRendition(galleryId, filename, width, format, watermark) {
+    const dest = renditionPath(galleryId, filename, width, format, watermark);
+    if (fs.existsSync(dest)) return dest;
+
+    const src = await photoSource(galleryId, filename);
+    if (!src) {
+        throw new Error(undecodablePhotos.get(`${galleryId}/${filename}`) || 'The photo is missing');
+    }
+
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    // Render to a temporary name so concurrent requests never read a half-written file
+    const tmp = `${dest}.${uuidv4()}.tmp`;
+    try {
+        let image = resizeToWidth(sharp(src), width);
+        if (watermark) image = await applyWatermark(image, watermark);
+        await RENDITION_FORMATS[format].encode(image).toFile(tmp);
+        fs.renameSync(tmp, dest);
+        return dest;
+    } catch (err) {
+        fs.rmSync(tmp, { force: true });
+        throw err;
     }
 }
 
-// Rate limiter for the login endpoint — 10 attempts per 15 minutes per IP
-const authLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 10,
-    standardHeaders: true,
-    legacyHeaders: false,
-    message: { error: 'Too many login attempts, please try again in 15 minutes' }
-});
+// Path of a cached rendition, rendering it through the job queue on first request. Pass the
+// gallery's watermark settings to render a watermarked copy. Returns null when the photo is
+// missing or can't be decoded (see photoSource).
+async function getRendition(galleryId, filename, width, format, watermark) {
+    const dest = renditionPath(galleryId, filename, width, format, watermark);
+    if (fs.existsSync(dest)) return dest;
+    return jobs.run(dest, () => renderRendition(galleryId, filename, width, format, watermark))
+        .catch(() => null);
+}
 
-// Rate limiter for public image-generation endpoints — 600 requests per minute per IP
-// Prevents abuse of CPU-intensive sharp processing on unauthenticated routes
-const imageLimiter = rateLimit({
-    windowMs: 60 * 1000,
-    max: 600,
-    standardHeaders: true,
-    legacyHeaders: false,
-    message: { error: 'Too many image requests, please slow down' }
-});
+// Remove a photo's cached renditions (plain and watermarked) and capture details, and the
+// gallery's OG image (it may have been the source)
+function invalidatePhotoCaches(galleryId, filename) {
+    const pattern = new RegExp(`^${filename.replace(/\./g, '\\.')}\\.((\\d+|src)\\.)?(jpg|webp|avif)$`);
+    undecodablePhotos.delete(`${galleryId}/${filename}`);
+    const gallery = galleries.get(galleryId);
+    if (gallery && gallery.photoDetails) delete gallery.photoDetails[filename];
+    for (const root of [THUMBNAILS_DIR, WATERMARK_CACHE_DIR]) {
+        const dir = path.join(root, galleryId);
+        if (!fs.existsSync(dir)) continue;
+        fs.readdirSync(dir)
+            .filter(f => pattern.test(f))
+            .forEach(f => fs.rmSync(path.join(dir, f), { force: true }));
+    }
+    METADATA_POLICIES.forEach(policy => fs.rmSync(privateOriginalPath(galleryId, filename, policy), { force: true }));
+    fs.rmSync(path.join(OG_CACHE_DIR, `${galleryId}.jpg`), { force: true });
+}
 
-// --- Routes ---
+// Send a photo or rendition with caching headers. express' sendFile adds ETag and
+// Last-Modified and answers If-None-Match / If-Modified-Since with 304.
+function sendPhoto(res, filePath, contentType) {
+    res.setHeader('Cache-Control', PHOTO_CACHE_CONTROL);
+    if (contentType) res.type(contentType);
+    res.sendFile(filePath, { cacheControl: false });
+}
 
-// Verify password endpoint
-app.post('/api/auth/verify', authLimiter, (req, res) => {
-    const { password } = req.body;
-    if (password === ADMIN_PASSWORD) {
-        res.json({ success: true });
+// Send an original or background from storage. Local files go through sendFile (or download);
+// S3 objects are streamed, or with S3_PRESIGNED_DOWNLOADS redirected to a presigned URL when
+// sent as a download. Both answer single HTTP Range requests, which video players seek with.
+// Options: downloadName — send as an attachment with this name; cacheControl — Cache-Control
+// header for inline responses.
+async function sendStoredFile(res, key, { downloadName, cacheControl } = {}) {
+    if (downloadName && S3_PRESIGNED_DOWNLOADS) {
+        const url = await store.presignedUrl(key, { expiresIn: PRESIGNED_URL_TTL_SECONDS, filename: downloadName });
+        if (url) return res.redirect(url);
+    }
+
+    if (store.isLocal) {
+        const filePath = await store.localPath(key);
+        if (!filePath) return res.status(404).send('Not found');
+        if (downloadName) return res.download(filePath, downloadName);
+        if (cacheControl) res.setHeader('Cache-Control', cacheControl);
+        return res.sendFile(filePath, { cacheControl: !cacheControl });
+    }
+
+    const stats = await store.stat(key);
+    if (!stats) return res.status(404).send('Not found');
+    const ranges = res.req.range(stats.size, { combine: true });
+    if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${stats.size}`);
+        return res.status(416).end();
+    }
+    const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Length', range ? range.end - range.start + 1 : stats.size);
+    res.setHeader('Last-Modified', stats.mtime.toUTCString());
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+    }
+    if (downloadName) {
+        res.attachment(downloadName);
     } else {
-        res.status(401).json({ error: 'Invalid password' });
+        res.type(path.extname(key));
+        if (cacheControl) res.setHeader('Cache-Control', cacheControl);
     }
-});
+    store.createReadStream(key, range)
+        .on('error', () => res.destroy())
+        .pipe(res);
+}
 
-// Admin interface - photographer uploads photos here
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+// Storage key of a gallery's background image (any extension), or null if it has none
+function backgroundKey(galleryId) {
+    const gallery = galleries.get(galleryId);
+    return gallery && gallery.background ? `backgrounds/${gallery.background}` : null;
+}
+
+// --- Image processing queue ---
+
+// Thumbnails for new photos and OG images are rendered in the background by the job queue, at
+// most JOB_CONCURRENCY at a time, and renditions a visitor is waiting for go through the same
+// slots ahead of them. Queued jobs are kept in jobs.json so a restart resumes them; jobs that
+// fail three times are listed per gallery on the dashboard until the gallery is regenerated.
+const jobs = createJobQueue({
+    file: path.join(DATA_DIR, 'jobs.json'),
+    concurrency: JOB_CONCURRENCY,
+    handlers: {
+        // { galleryId, filename }: the JPEG thumbnail the dashboard and grid load first
+        async thumbnail({ galleryId, filename }) {
+            const gallery = galleries.get(galleryId);
+            // Deleted or rejected since it was queued
+            if (!gallery || !gallery.files.concat(pendingGuestFiles(gallery)).includes(filename)) return;
+            await renderRendition(galleryId, filename, THUMBNAIL_WIDTH, 'jpeg', null);
+        },
+        // { galleryId }: the link preview image, unless it is cached already
+        async og({ galleryId }) {
+            if (!galleries.has(galleryId) || fs.existsSync(path.join(OG_CACHE_DIR, `${galleryId}.jpg`))) return;
+            await renderOgImage(galleryId);
+        }
+    }
 });
 
-// Serve the logo — custom file in DATA_DIR takes precedence over the bundled logo.svg
-const LOGO_CONTENT_TYPES = {
-    '.svg':  'image/svg+xml',
-    '.png':  'image/png',
-    '.jpg':  'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.gif':  'image/gif',
-    '.webp': 'image/webp',
-};
+// Queue thumbnails for new or changed photos, and the OG image (with og: true)
+function queueGalleryImages(galleryId, files, { og = false } = {}) {
+    files.forEach(filename => jobs.add('thumbnail', { galleryId, filename }));
+    if (og) jobs.add('og', { galleryId });
+}
 
-const LOGO_EXTS = ['.svg', '.png', '.jpg', '.jpeg', '.gif', '.webp'];
+// --- Photo metadata ---
 
-app.get('/api/logo', (_req, res) => {
-    const custom = findLogoFile();
-    // X-Custom-Logo lets the admin page know whether a custom logo is active
-    res.setHeader('X-Custom-Logo', custom ? '1' : '0');
-    if (custom) {
-        const ext = path.extname(custom).toLowerCase();
-        res.setHeader('Content-Type', LOGO_CONTENT_TYPES[ext] || 'application/octet-stream');
-        return res.sendFile(custom);
+// Where EXIF blocks (TIFF structures) start in a file's bytes: the whole file for TIFF-based RAW,
+// PNG's eXIf chunk, and every "Exif\0\0" header elsewhere — JPEG APP1 segments (including those
+// of secondary MPF images), the preview inside RAF files, HEIC and WebP Exif items.
+function findExifBlocks(buf) {
+    const bases = [];
+    const isTiff = base => ['II', 'MM'].includes(buf.toString('latin1', base, base + 2));
+
+    if (isTiff(0)) bases.push(0);
+    if (buf.toString('latin1', 1, 4) === 'PNG') {
+        const at = buf.indexOf('eXIf', 8, 'latin1');
+        if (at !== -1 && isTiff(at + 4)) bases.push(at + 4);
     }
-    // Fall back to the bundled logo.svg in public/
-    res.sendFile(path.join(__dirname, 'public', 'logo.svg'));
-});
+    for (let at = buf.indexOf('Exif\0\0', 0, 'latin1'); at !== -1; at = buf.indexOf('Exif\0\0', at + 6, 'latin1')) {
+        if (isTiff(at + 6)) bases.push(at + 6);
+    }
+    return bases;
+}
 
-// Replace the logo (admin only)
-app.post('/api/logo', requireAuth, uploadLogo.single('logo'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+// Capture details from an EXIF block. GPS position and serial numbers are deliberately not read.
+function readExifDetails(tiff) {
+    const details = {
+        capturedAt: null, camera: null, lens: null,
+        focalLength: null, aperture: null, exposureTime: null, iso: null
+    };
+    const ifd0 = tiff && readIfd(tiff, tiff.firstIfd);
+    if (!ifd0) return details;
+
+    const exifOffset = (ifdValue(tiff, ifd0.entries.get(0x8769)) || [])[0];
+    const exif = exifOffset ? readIfd(tiff, exifOffset) : null;
+    const text = (ifd, tag) => (ifd && ifdValue(tiff, ifd.entries.get(tag))) || null;
+    const number = (ifd, tag) => (ifd && (ifdValue(tiff, ifd.entries.get(tag)) || [])[0]) || null;
+
+    // "2024:05:01 14:03:22" (camera local time), with the UTC offset when the camera recorded one
+    const date = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/.exec(text(exif, 0x9003) || text(ifd0, 0x0132) || '');
+    if (date) {
+        const offset = text(exif, 0x9011);
+        details.capturedAt = `${date[1]}-${date[2]}-${date[3]}T${date[4]}${/^[+-]\d{2}:\d{2}$/.test(offset) ? offset : ''}`;
     }
 
-    for (const ext of LOGO_EXTS) {
-        const p = path.join(DATA_DIR, `logo${ext}`);
-        if (fs.existsSync(p)) fs.unlinkSync(p);
+    const make = text(ifd0, 0x010F);
+    const model = text(ifd0, 0x0110);
+    // Most models already start with the brand ("Canon EOS R5"), some don't ("SONY" + "ILCE-7M3")
+    if (model) {
+        details.camera = make && !model.toLowerCase().startsWith(make.split(' ')[0].toLowerCase())
+            ? `${make} ${model}`
+            : model;
     }
+    details.lens = text(exif, 0xA434);
+    details.focalLength = number(exif, 0x920A);
+    details.aperture = number(exif, 0x829D);
+    details.exposureTime = number(exif, 0x829A);
+    details.iso = number(exif, 0x8827);
+    return details;
+}
 
-    const ext = path.extname(req.file.originalname).toLowerCase();
+// Capture details of a photo file (see readExifDetails). Only the start of the file is read;
+// HEIC files may keep their Exif item further in.
+function readPhotoDetails(filePath, filename) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        if (isVideo(filename)) return readVideoDetails(fd, fs.fstatSync(fd).size);
+        const head = readAt(fd, 0, (photoKind(filename) === 'heic' ? 4096 : 256) * 1024);
+        const [base] = findExifBlocks(head);
+        return readExifDetails(base === undefined ? null : openTiff((position, length) => readAt(fd, position, length), base));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Seconds between the QuickTime epoch (1904) and the Unix epoch
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+// Capture time (UTC) and length in seconds of an MP4/MOV video, from the movie header box
+// (moov/mvhd). Only box headers are read on the way, so the media data is never loaded.
+function readVideoDetails(fd, fileSize) {
+    const details = { ...readExifDetails(null), duration: null };
+    const boxes = (start, end, visit) => {
+        for (let at = start; at + 8 <= end;) {
+            const header = readAt(fd, at, 16);
+            if (header.length < 8) return;
+            let size = header.readUInt32BE(0);
+            let headerSize = 8;
+            if (size === 1 && header.length === 16) {
+                size = Number(header.readBigUInt64BE(8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - at;
+            }
+            if (size < headerSize) return;
+            if (visit(header.toString('latin1', 4, 8), at + headerSize, at + size) === false) return;
+            at += size;
+        }
+    };
+
+    boxes(0, fileSize, (type, start, end) => {
+        if (type !== 'moov') return true;
+        boxes(start, end, (child, at) => {
+            if (child !== 'mvhd') return true;
+            const mvhd = readAt(fd, at, 32);
+            const v1 = mvhd[0] === 1;
+            if (mvhd.length < (v1 ? 32 : 20)) return false;
+            const created = v1 ? Number(mvhd.readBigUInt64BE(4)) : mvhd.readUInt32BE(4);
+            const timescale = mvhd.readUInt32BE(v1 ? 20 : 12);
+            const duration = v1 ? Number(mvhd.readBigUInt64BE(24)) : mvhd.readUInt32BE(16);
+            if (created > QUICKTIME_EPOCH_OFFSET) {
+                details.capturedAt = new Date((created - QUICKTIME_EPOCH_OFFSET) * 1000).toISOString().replace(/\.\d+Z$/, 'Z');
+            }
+            if (timescale > 0) details.duration = Math.round(duration / timescale * 10) / 10;
+            return false;
+        });
+        return false;
+    });
+    return details;
+}
+
+// Capture details of a stored photo, or null if it doesn't exist. They are read when the photo
+// is uploaded and kept in gallery.photoDetails, so listing a gallery never has to fetch
+// originals from storage; photos from before that are read here once. The caller saves.
+async function photoDetails(galleryId, filename) {
+    const gallery = galleries.get(galleryId);
+    if (gallery && gallery.photoDetails && gallery.photoDetails[filename]) {
+        return gallery.photoDetails[filename];
+    }
+
+    const src = await store.localPath(`uploads/${galleryId}/${filename}`);
+    if (!src) return null;
+    const details = readPhotoDetails(src, filename);
+    if (gallery) {
+        gallery.photoDetails = gallery.photoDetails || {};
+        gallery.photoDetails[filename] = details;
+    }
+    return details;
+}
+
+// Gallery's metadata policy for delivered originals, falling back to METADATA_POLICY
+function metadataPolicy(gallery) {
+    return gallery && METADATA_POLICIES.includes(gallery.metadataPolicy) ? gallery.metadataPolicy : METADATA_POLICY;
+}
+
+// Blank out the GPS directory (and with `serials`, camera and lens serial numbers) of the EXIF
+// block at `base`, in place. Values are zeroed and the GPS directory emptied rather than removed,
+// so every offset in the file stays valid — which is what lets this work on RAW and HEIC files.
+function scrubExifBlock(buf, base, serials) {
+    const tiff = openTiff((position, length) => buf.subarray(position, position + length), base);
+    const ifd0 = tiff && readIfd(tiff, tiff.firstIfd);
+    if (!ifd0) return;
+
+    const blank = entry => {
+        if (entry && entry.position + entry.size <= buf.length) buf.fill(0, entry.position, entry.position + entry.size);
+    };
+    const subIfd = tag => {
+        const offset = (ifdValue(tiff, ifd0.entries.get(tag)) || [])[0];
+        const ifd = offset ? readIfd(tiff, offset) : null;
+        return ifd && { offset, ifd };
+    };
+
+    const gps = subIfd(0x8825);
+    if (gps) {
+        gps.ifd.entries.forEach(blank);
+        // Entry count, entries and next-IFD pointer: an empty directory
+        const start = base + gps.offset;
+        buf.fill(0, start, Math.min(start + 2 + gps.ifd.entries.size * 12 + 4, buf.length));
+    }
+    if (serials) {
+        blank(ifd0.entries.get(0xC62F));
+        const exif = subIfd(0x8769);
+        if (exif) [0xA431, 0xA435].forEach(tag => blank(exif.ifd.entries.get(tag)));
+    }
+}
+
+// APP1 segment holding nothing but an orientation tag, for JPEGs whose EXIF has been removed
+function orientationSegment(orientation) {
+    const segment = Buffer.alloc(36);
+    segment.writeUInt16BE(0xFFE1, 0);
+    segment.writeUInt16BE(34, 2);
+    segment.write('Exif\0\0MM', 4, 'latin1');
+    segment.writeUInt16BE(42, 12);
+    segment.writeUInt32BE(8, 14);
+    segment.writeUInt16BE(1, 18);
+    segment.writeUInt16BE(0x0112, 20);
+    segment.writeUInt16BE(3, 22);
+    segment.writeUInt32BE(1, 24);
+    segment.writeUInt16BE(orientation, 28);
+    return segment;
+}
+
+// Rewrite a JPEG's header segments without touching the image data. "strip-gps" drops XMP
+// packets that mention GPS (the EXIF block is scrubbed separately); "strip-all" keeps only JFIF,
+// the ICC profile, the Adobe color transform and the orientation, and drops anything after the
+// main image (MPF depth and gain maps carry their own EXIF).
+function rewriteJpegMetadata(buf, policy) {
+    const parts = [buf.subarray(0, 2)];
+    let orientation = 1;
+    let at = 2;
+
+    while (at + 4 <= buf.length && buf[at] === 0xFF && buf[at + 1] !== 0xDA) {
+        const marker = buf[at + 1];
+        const end = at + 2 + buf.readUInt16BE(at + 2);
+        const segment = buf.subarray(at, end);
+        const id = segment.toString('latin1', 4, 16);
+
+        let keep;
+        if (policy === 'strip-gps') {
+            keep = !(marker === 0xE1 && !id.startsWith('Exif') && segment.includes('GPS', 0, 'latin1'));
+        } else {
+            if (marker === 0xE1 && id.startsWith('Exif\0\0')) {
+                const tiff = openTiff((position, length) => buf.subarray(position, position + length), at + 10);
+                const ifd0 = tiff && readIfd(tiff, tiff.firstIfd);
+                orientation = (ifd0 && (ifdValue(tiff, ifd0.entries.get(0x0112)) || [])[0]) || 1;
+            }
+            keep = (marker < 0xE0 && marker !== 0xFE) || marker === 0xE0 || marker === 0xEE ||
+                (marker === 0xE2 && id.startsWith('ICC_PROFILE'));
+        }
+        if (keep) parts.push(segment);
+        at = end;
+    }
+
+    if (policy === 'strip-all') {
+        const eoi = buf.indexOf(Buffer.from([0xFF, 0xD9]), at);
+        parts.push(buf.subarray(at, eoi === -1 ? buf.length : eoi + 2));
+        if (orientation > 1 && orientation <= 8) {
+            // Right after JFIF's APP0 if there is one, which must come first
+            const after = parts[1] && parts[1][1] === 0xE0 ? 2 : 1;
+            parts.splice(after, 0, orientationSegment(orientation));
+        }
+    } else {
+        parts.push(buf.subarray(at));
+    }
+    return Buffer.concat(parts);
+}
+
+// PNG equivalent of rewriteJpegMetadata: text chunks hold XMP and free-form metadata. eXIf is
+// kept for "strip-gps" (already scrubbed, so its CRC is recomputed) and dropped for "strip-all".
+function rewritePngMetadata(buf, policy) {
+    const parts = [buf.subarray(0, 8)];
+    let at = 8;
+
+    while (at + 12 <= buf.length) {
+        const end = at + 12 + buf.readUInt32BE(at);
+        const chunk = buf.subarray(at, end);
+        const type = chunk.toString('latin1', 4, 8);
+        const isText = ['tEXt', 'zTXt', 'iTXt'].includes(type);
+
+        if (policy === 'strip-gps') {
+            if (type === 'eXIf' && end <= buf.length) {
+                chunk.writeUInt32BE(zlib.crc32(chunk.subarray(4, chunk.length - 4)), chunk.length - 4);
+            }
+            if (!(isText && chunk.includes('GPS', 0, 'latin1'))) parts.push(chunk);
+        } else if (!isText && type !== 'eXIf' && type !== 'tIME') {
+            parts.push(chunk);
+        }
+        at = end;
+    }
+    parts.push(buf.subarray(at));
+    return Buffer.concat(parts);
+}
+
+// An original's bytes with `policy` applied. JPEG and PNG are rewritten losslessly. RAW, TIFF,
+// HEIC and WebP can't lose their metadata without re-encoding, so only their GPS data (and for
+// "strip-all", serial numbers) is blanked.
+function applyMetadataPolicy(buf, policy) {
+    findExifBlocks(buf).forEach(base => scrubExifBlock(buf, base, policy === 'strip-all'));
+
+    if (buf[0] === 0xFF && buf[1] === 0xD8) return rewriteJpegMetadata(buf, policy);
+    if (buf.toString('latin1', 1, 4) === 'PNG') return rewritePngMetadata(buf, policy);
+    return buf;
+}
+
+function privateOriginalPath(galleryId, filename, policy) {
+    return path.join(PRIVATE_ORIGINALS_DIR, galleryId, policy, filename);
+}
+
+// Path of the copy of an original to deliver under `policy`, or null to send the stored file
+// untouched ("keep", and videos, which are always streamed as they are). The copy is written
+// through the job queue on first request and cached in PRIVATE_ORIGINALS_DIR/<galleryId>/<policy>,
+// so an original is only loaded into memory once rather than on every view or download.
+// Throws when the photo is missing.
+async function privatizedOriginal(galleryId, filename, policy) {
+    if (policy === 'keep' || isVideo(filename)) return null;
+
+    const dest = privateOriginalPath(galleryId, filename, policy);
+    if (fs.existsSync(dest)) return dest;
+    return jobs.run(dest, async () => {
+        if (fs.existsSync(dest)) return dest;
+        const key = `uploads/${galleryId}/${filename}`;
+        const buf = await store.read(key);
+        if (!buf) throw new Error(`Photo not found: ${key}`);
+
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        // Written to a temporary name so concurrent requests never read a half-written file
+        const tmp = `${dest}.${uuidv4()}.tmp`;
+        try {
+            await fs.promises.writeFile(tmp, applyMetadataPolicy(buf, policy));
+            fs.renameSync(tmp, dest);
+            return dest;
+        } catch (err) {
+            fs.rmSync(tmp, { force: true });
+            throw err;
+        }
+    });
+}
+
+// --- Watermarks ---
+
+// Galleries delivered as proofs carry gallery.watermark:
+//   enabled  — clients only receive watermarked renditions, and original/ZIP downloads are refused
+//   type     — "logo" (the custom logo, or the bundled one) or "text"
+//   text     — watermark text when type is "text"
+//   position — one of WATERMARK_POSITIONS; "tiled" repeats the mark across the whole image
+//   opacity  — 0.05–1
+//   scale    — watermark width as a fraction of the image width, 0.05–1
+// Renditions are cached in WATERMARK_CACHE_DIR (see getRendition), are never wider than
+// WATERMARK_MAX_WIDTH, and are cleared whenever the settings, the logo or the photo change.
+// Signed-in admins still see originals.
+const WATERMARK_POSITIONS = ['center', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'tiled'];
+const WATERMARK_GRAVITY = {
+    'center': 'centre',
+    'top-left': 'northwest',
+    'top-right': 'northeast',
+    'bottom-left': 'southwest',
+    'bottom-right': 'southeast',
+    'tiled': 'northwest'
+};
+
+const WATERMARK_MAX_WIDTH = 1600;
+
+function watermarkSettings(gallery) {
+    const watermark = gallery.watermark || {};
+    return {
+        enabled: !!watermark.enabled,
+        type: watermark.type === 'text' ? 'text' : 'logo',
+        text: watermark.text || '',
+        position: WATERMARK_POSITIONS.includes(watermark.position) ? watermark.position : 'bottom-right',
+        opacity: typeof watermark.opacity === 'number' ? watermark.opacity : 0.5,
+        scale: typeof watermark.scale === 'number' ? watermark.scale : 0.25
+    };
+}
+
+function isWatermarked(gallery) {
+    return !!gallery && watermarkSettings(gallery).enabled;
+}
+
+function clearWatermarkCache(galleryId) {
+    fs.rmSync(galleryId ? path.join(WATERMARK_CACHE_DIR, galleryId) : WATERMARK_CACHE_DIR, { recursive: true, force: true });
+}
+
+// Build the watermark as a PNG sized for an image of width × height, with opacity applied
+async function renderWatermarkOverlay(width, height, settings) {
+    const edge = settings.position === 'center' || settings.position === 'tiled'
+        ? 0
+        : Math.round(Math.min(width, height) * 0.03);
+    const maxWidth = Math.max(1, Math.min(Math.round(width * settings.scale), width - edge * 2));
+    const maxHeight = Math.max(1, height - edge * 2);
+
+    let mark;
+    if (settings.type === 'text') {
+        // Bold sans-serif averages under 0.7em per character, which keeps the text within maxWidth
+        const fontSize = Math.max(8, Math.floor(maxWidth / (Math.max(settings.text.length, 1) * 0.7)));
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${maxWidth}" height="${Math.ceil(fontSize * 1.4)}">` +
+            `<text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" font-family="sans-serif" ` +
+            `font-weight="600" font-size="${fontSize}" fill="#fff" stroke="#000" stroke-opacity="0.35" ` +
+            `stroke-width="${Math.max(1, Math.round(fontSize / 30))}">${escapeAttr(settings.text)}</text></svg>`;
+        mark = sharp(Buffer.from(svg));
+    } else {
+        mark = sharp(findLogoFile() || path.join(__dirname, 'public', 'logo.svg'), { density: 300 });
+    }
+
+    const { data, info } = await mark
+        .resize(maxWidth, maxHeight, { fit: 'inside' })
+        .ensureAlpha()
+        .png()
+        .toBuffer({ resolveWithObject: true });
+
+    // Scale the mark's own alpha by the opacity setting
+    let overlay = sharp(data).composite([{
+        input: { create: { width: info.width, height: info.height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: settings.opacity } } },
+        blend: 'dest-in'
+    }]);
+
+    // Corner marks keep a small margin from the edge; tiled marks get space between repeats
+    if (edge > 0) {
+        overlay = sharp(await overlay.png().toBuffer())
+            .extend({ top: edge, bottom: edge, left: edge, right: edge, background: { r: 0, g: 0, b: 0, alpha: 0 } });
+    } else if (settings.position === 'tiled') {
+        const gapX = Math.round(info.width / 2);
+        const gapY = Math.round(info.height * 1.5);
+        overlay = sharp(await overlay.png().toBuffer())
+            .extend({ top: 0, bottom: gapY, left: 0, right: gapX, background: { r: 0, g: 0, b: 0, alpha: 0 } });
+    }
+    return overlay.png().toBuffer();
+}
+
+// Composite the gallery's watermark onto an image (a sharp instance already resized)
+async function applyWatermark(image, settings) {
+    const { data, info } = await image.toBuffer({ resolveWithObject: true });
+    const overlay = await renderWatermarkOverlay(info.width, info.height, settings);
+    return sharp(data).composite([{
+        input: overlay,
+        gravity: WATERMARK_GRAVITY[settings.position],
+        tile: settings.position === 'tiled'
+    }]);
+}
+
+// Configure multer for photo uploads
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const galleryId = req.galleryId || req.params.galleryId;
+        const uploadPath = path.join(DATA_DIR, 'uploads', galleryId);
+        if (!fs.existsSync(uploadPath)) {
+            fs.mkdirSync(uploadPath, { recursive: true });
+        }
+        cb(null, uploadPath);
+    },
+    filename: (req, file, cb) => {
+        const safeName = file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_');
+        cb(null, uniqueFilename(req, req.galleryId || req.params.galleryId, safeName));
+    }
+});
+
+// Pick a name that doesn't clash with files already in the gallery or earlier files in
+// the same request: IMG_0001.JPG, IMG_0001-1.JPG, IMG_0001-2.JPG, ...
+// Compared case-insensitively so galleries behave the same on case-insensitive filesystems.
+// The gallery record lists what's in storage (including guest photos awaiting moderation); the
+// staging folder what's still being uploaded.
+function uniqueFilename(req, galleryId, safeName) {
+    if (!req.takenFilenames) {
+        const dir = path.join(DATA_DIR, 'uploads', galleryId);
+        const gallery = galleries.get(galleryId);
+        const stored = gallery ? gallery.files.concat(Object.keys(gallery.guestPhotos || {})) : [];
+        const existing = (fs.existsSync(dir) ? fs.readdirSync(dir) : []).concat(stored);
+        req.takenFilenames = new Set(existing.map(f => f.toLowerCase()));
+    }
+
+    const ext = path.extname(safeName);
+    const base = safeName.slice(0, safeName.length - ext.length) || 'photo';
+    let candidate = safeName;
+    for (let n = 1; req.takenFilenames.has(candidate.toLowerCase()); n++) {
+        candidate = `${base}-${n}${ext}`;
+    }
+    req.takenFilenames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// Display name for an upload: the client's filename without any path or control characters
+function displayName(name) {
+    return path.basename(String(name).replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '').substring(0, 255);
+}
+
+// Multer hands over multipart filenames decoded as latin1; browsers send UTF-8, so re-decode
+function decodeMultipartName(originalname) {
+    const utf8 = Buffer.from(String(originalname), 'latin1').toString('utf8');
+    return utf8.includes('\uFFFD') ? String(originalname) : utf8;
+}
+
+function hashFile(filePath) {
+    return hashStream(fs.createReadStream(filePath));
+}
+
+function hashStream(stream) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        stream
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// Record freshly uploaded files on a gallery and move them from staging into storage. Files
+// whose content is already in the gallery (or earlier in the same batch) are removed again;
+// files saved under a different name than the client sent keep the original for display
+// and download. Files carrying a `section` name are filed under that section, which is created
+// if needed. With a `guestName`, the files are held for moderation instead of joining
+// gallery.files (see the guest uploads section).
+async function ingestUploads(galleryId, gallery, files, guestName = null) {
+    gallery.hashes = gallery.hashes || {};
+    gallery.originalNames = gallery.originalNames || {};
+    gallery.photoDetails = gallery.photoDetails || {};
+    gallery.fileSizes = gallery.fileSizes || {};
+    if (guestName) gallery.guestPhotos = gallery.guestPhotos || {};
+
+    // Galleries created before hashing was introduced are hashed on their next upload
+    const knownHashes = new Map();
+    for (const filename of gallery.files.concat(pendingGuestFiles(gallery))) {
+        if (!gallery.hashes[filename]) {
+            const key = `uploads/${galleryId}/${filename}`;
+            if (!await store.stat(key)) continue;
+            gallery.hashes[filename] = await hashStream(store.createReadStream(key));
+        }
+        knownHashes.set(gallery.hashes[filename], filename);
+    }
+
+    const added = [];
+    const duplicates = [];
+    const renamed = [];
+    for (const file of files) {
+        // Chunked uploads arrive with their name already decoded and their hash already computed
+        const originalName = displayName(file.decodedName || decodeMultipartName(file.originalname));
+        const hash = file.sha256 || await hashFile(file.path);
+
+        if (knownHashes.has(hash)) {
+            fs.unlinkSync(file.path);
+            duplicates.push({ originalName, existing: knownHashes.get(hash) });
+            continue;
+        }
+
+        knownHashes.set(hash, file.filename);
+        gallery.hashes[file.filename] = hash;
+        if (guestName) {
+            gallery.guestPhotos[file.filename] = { guestName, uploadedAt: new Date().toISOString(), approvedAt: null };
+        } else if (!gallery.files.includes(file.filename)) {
+            gallery.files.push(file.filename);
+        }
+        if (!guestName && file.section) {
+            const section = findOrCreateSection(gallery, file.section);
+            if (section) setPhotoSection(gallery, file.filename, section.id);
+        }
+        if (originalName !== file.filename) {
+            gallery.originalNames[file.filename] = originalName;
+        }
+        if (file.filename !== file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_')) {
+            renamed.push({ originalName, filename: file.filename });
+        }
+        gallery.photoDetails[file.filename] = readPhotoDetails(file.path, file.filename);
+        gallery.fileSizes[file.filename] = fs.statSync(file.path).size;
+        await store.putFile(`uploads/${galleryId}/${file.filename}`, file.path);
+        added.push(file.filename);
+    }
+
+    return { added, duplicates, renamed };
+}
+
+// The name a client should see (and download as) for a stored photo
+function originalNameOf(gallery, filename) {
+    return (gallery && gallery.originalNames && gallery.originalNames[filename]) || filename;
+}
+
+function isAllowedPhoto(filename, mimetype) {
+    const allowedTypes = /jpeg|jpg|png|gif|webp|tiff|bmp|heic|heif|raw|cr2|cr3|crw|nef|nrw|arw|srf|sr2|dng|orf|rw2|raf|pef|srw/i;
+    const ext = path.extname(filename).toLowerCase().slice(1);
+    return isVideo(filename) || allowedTypes.test(ext) || String(mimetype || '').startsWith('image/');
+}
+
+// Size limit for one upload: MAX_VIDEO_MB for videos, MAX_UPLOAD_MB for everything else
+function maxUploadBytes(filename) {
+    return isVideo(filename) ? MAX_VIDEO_BYTES : MAX_PHOTO_BYTES;
+}
+
+// Multipart uploads can't be limited per file type, so multer gets the larger of the two limits
+// and enforceQuota checks each file afterwards; chunked uploads are checked when they start
+const upload = multer({
+    storage,
+    limits: { fileSize: Math.max(MAX_PHOTO_BYTES, MAX_VIDEO_BYTES) },
+    fileFilter: (req, file, cb) => {
+        if (isAllowedPhoto(file.originalname, file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only photos and MP4 or MOV videos are allowed'), false);
+        }
+    }
+});
+
+// Replacement photos are written under a hidden temporary name, then renamed over the original
+const uploadReplacement = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            const uploadPath = path.join(DATA_DIR, 'uploads', req.params.galleryId);
+            fs.mkdirSync(uploadPath, { recursive: true });
+            cb(null, uploadPath);
+        },
+        filename: (req, file, cb) => cb(null, `.replace-${uuidv4()}`)
+    }),
+    limits: { fileSize: Math.max(MAX_PHOTO_BYTES, MAX_VIDEO_BYTES) },
+    fileFilter: (req, file, cb) => {
+        const expected = path.extname(req.params.filename).toLowerCase();
+        if (path.extname(file.originalname).toLowerCase() === expected) {
+            cb(null, true);
+        } else {
+            cb(Object.assign(new Error(`Replacement must also be a ${expected} file`), { status: 400, expose: true }), false);
+        }
+    }
+});
+
+// Background images are stored in memory so sharp can normalise them to JPEG
+const uploadBackground = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_BACKGROUND_BYTES },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = /jpeg|jpg|png|gif|webp/i;
+        const ext = path.extname(file.originalname).toLowerCase().slice(1);
+        if (allowedTypes.test(ext)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only JPEG, PNG, GIF, or WebP files are allowed for backgrounds'), false);
+        }
+    }
+});
+
+// Logo uploads accept raster images and SVG; stored in memory then written to DATA_DIR
+const uploadLogo = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB cap — logos should be small
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase();
+        const allowed = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'];
+        if (allowed.includes(ext)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only JPEG, PNG, GIF, WebP, or SVG files are allowed for the logo'), false);
+        }
+    }
+});
+
+// Serve static files
+app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.json());
+
+function validateGalleryId(req, res, next) {
+    if (!UUID_V4_REGEX.test(req.params.galleryId)) {
+        return res.status(400).json({ error: 'Invalid gallery ID' });
+    }
+    next();
+}
+
+// Filename validation — prevents path traversal on per-photo endpoints
+const SAFE_FILENAME_RE = /^[a-zA-Z0-9._\-]+$/;
+
+function validateFilename(req, res, next) {
+    if (!SAFE_FILENAME_RE.test(req.params.filename)) {
+        return res.status(400).json({ error: 'Invalid filename' });
+    }
+    next();
+}
+
+// --- Sessions ---
+
+// Browser sessions are held in memory: a restart simply asks admins to sign in again
+const SESSION_COOKIE = 'metransfer_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const sessions = new Map();
+
+// Drop expired sessions hourly so the map cannot grow without bound
+setInterval(() => {
+    const now = Date.now();
+    for (const [sid, session] of sessions) {
+        if (session.expires < now) sessions.delete(sid);
+    }
+}, 60 * 60 * 1000).unref();
+
+function parseCookies(req) {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(pair => {
+        const idx = pair.indexOf('=');
+        if (idx < 0) return;
+        const key = pair.slice(0, idx).trim();
+        try {
+            cookies[key] = decodeURIComponent(pair.slice(idx + 1).trim());
+        } catch (_) {
+            // Ignore malformed cookie values
+        }
+    });
+    return cookies;
+}
+
+function getSession(req) {
+    const sid = parseCookies(req)[SESSION_COOKIE];
+    if (!sid) return null;
+    const session = sessions.get(sid);
+    if (!session) return null;
+    if (session.expires < Date.now() || !admins.has(session.username)) {
+        sessions.delete(sid);
+        return null;
+    }
+    return session;
+}
+
+function setSessionCookie(req, res, sid, maxAgeMs) {
+    const parts = [
+        `${SESSION_COOKIE}=${encodeURIComponent(sid)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+    ];
+    if (req.secure) parts.push('Secure');
+    res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+// Resolve the caller from either a session cookie or an "Authorization: Bearer <token>" header.
+// Returns { username, via: 'session' | 'token', scopes, session?, token? } or null.
+function authenticate(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        const hashed = hashToken(header.slice(7).trim());
+        for (const token of apiTokens.values()) {
+            if (token.revoked) continue;
+            if (token.hash.length === hashed.length &&
+                crypto.timingSafeEqual(Buffer.from(token.hash), Buffer.from(hashed))) {
+                // Tokens die with the account that created them
+                if (!admins.has(token.createdBy)) return null;
+                return { username: token.createdBy, via: 'token', scopes: token.scopes, token };
+            }
+        }
+        return null;
+    }
+
+    const session = getSession(req);
+    if (session) {
+        return { username: session.username, via: 'session', scopes: TOKEN_SCOPES, session };
+    }
+    return null;
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Authentication middleware factory. Read-only requests need the "read" scope and mutating
+// requests need "write" unless a scope is given explicitly. Cookie-authenticated mutations must
+// echo the session's CSRF token in X-CSRF-Token; bearer tokens are not sent automatically by
+// browsers, so they are exempt.
+function requireScope(scope) {
+    return (req, res, next) => {
+        const auth = authenticate(req);
+        if (!auth) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const isSafe = SAFE_METHODS.includes(req.method);
+        const needed = scope || (isSafe ? 'read' : 'write');
+        if (!auth.scopes.includes(needed)) {
+            return res.status(403).json({ error: `Token lacks the "${needed}" scope` });
+        }
+
+        if (auth.via === 'session' && !isSafe) {
+            const sent = String(req.headers['x-csrf-token'] || '');
+            const expected = auth.session.csrfToken;
+            if (sent.length !== expected.length ||
+                !crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected))) {
+                return res.status(403).json({ error: 'Invalid CSRF token' });
+            }
+        }
+
+        // Record token usage, at most once a minute to avoid rewriting the file on every request
+        const lastUsed = auth.via === 'token' && auth.token.lastUsed ? Date.parse(auth.token.lastUsed) : 0;
+        if (auth.via === 'token' && Date.now() - lastUsed > 60 * 1000) {
+            auth.token.lastUsed = new Date().toISOString();
+            saveApiTokens();
+        }
+
+        req.admin = auth;
+        next();
+    };
+}
+
+const requireAuth = requireScope();
+const requireAdmin = requireScope('admin');
+
+// Whether the caller sees public gallery routes as the photographer rather than as a client:
+// past passwords, expiry, download limits, the watermark lock and moderation, without counting
+// as a client visit or download. Sessions always qualify; API tokens only with the "read" scope.
+function isGalleryReader(req) {
+    const auth = authenticate(req);
+    return !!auth && auth.scopes.includes('read');
+}
+
+// Rate limiter for the login endpoint — 10 attempts per 15 minutes per IP
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many login attempts, please try again in 15 minutes' }
+});
+
+// Rate limiter for public image-generation endpoints — 600 requests per minute per IP
+// Prevents abuse of CPU-intensive sharp processing on unauthenticated routes
+const imageLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 600,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many image requests, please slow down' }
+});
+
+// Rate limiter for client gallery passwords — 20 attempts per 15 minutes per IP
+const unlockLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many password attempts, please try again in 15 minutes' }
+});
+
+// Rate limiter for starting client selections — 20 per 15 minutes per IP
+const selectionLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many selections started, please try again in 15 minutes' }
+});
+
+// Rate limiter for guest uploads — 30 batches per 15 minutes per IP
+const guestUploadLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many uploads, please try again in 15 minutes' }
+});
+
+// --- Client gallery access ---
+
+// Galleries may carry optional access settings:
+//   clientPassword — scrypt hash (same format as admin passwords); null = open link
+//   expiresAt      — ISO timestamp after which the link stops working; null = never
+//   maxDownloads   — number of "Download All" ZIPs allowed; null = unlimited
+//   downloadCount  — ZIP downloads served so far
+// Signed-in admins bypass all of these so the dashboard can always preview a gallery.
+
+function isGalleryExpired(gallery) {
+    return !!gallery.expiresAt && Date.parse(gallery.expiresAt) <= Date.now();
+}
+
+function isDownloadLimitReached(gallery) {
+    return gallery.maxDownloads != null && (gallery.downloadCount || 0) >= gallery.maxDownloads;
+}
+
+// Unlock cookies are an HMAC of the gallery ID keyed by the password hash, so changing or
+// removing the password invalidates every previously issued cookie without extra state
+function galleryUnlockToken(gallery) {
+    return crypto.createHmac('sha256', gallery.clientPassword).update(gallery.id).digest('hex');
+}
+
+function isGalleryUnlocked(req, gallery) {
+    if (!gallery.clientPassword) return true;
+    const sent = String(parseCookies(req)[`gallery_${gallery.id}`] || '');
+    const expected = galleryUnlockToken(gallery);
+    return sent.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+}
+
+// Enforce expiry and client password on public gallery routes.
+// Unknown galleries pass through so each route keeps its own 404 handling.
+function requireGalleryAccess(req, res, next) {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery || isGalleryReader(req)) return next();
+
+    // Guest photos awaiting moderation are only visible in the dashboard
+    if (req.params.filename && pendingGuestFiles(gallery).includes(req.params.filename)) {
+        return res.status(404).json({ error: 'Photo not found' });
+    }
+    if (isGalleryExpired(gallery)) {
+        return res.status(410).json({ error: 'This gallery link has expired', expired: true });
+    }
+    if (!isGalleryUnlocked(req, gallery)) {
+        return res.status(401).json({ error: 'This gallery is password protected', passwordRequired: true });
+    }
+    next();
+}
+
+// Refuse downloads once the gallery's download allowance is used up
+function requireDownloadAllowance(req, res, next) {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery || isGalleryReader(req)) return next();
+
+    if (isDownloadLimitReached(gallery)) {
+        return res.status(410).json({ error: 'The download limit for this gallery has been reached', limitReached: true });
+    }
+    next();
+}
+
+// Watermarked galleries are proofs: originals and ZIPs stay locked until the watermark is switched off
+function requireUnwatermarked(req, res, next) {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!isWatermarked(gallery) || isGalleryReader(req)) return next();
+
+    res.status(403).json({ error: 'Downloads are disabled while this gallery is watermarked', watermarked: true });
+}
+
+// Access settings as reported to the admin dashboard (never includes the password hash)
+function galleryAccessSummary(gallery) {
+    return {
+        hasPassword: !!gallery.clientPassword,
+        expiresAt: gallery.expiresAt || null,
+        expired: isGalleryExpired(gallery),
+        maxDownloads: gallery.maxDownloads != null ? gallery.maxDownloads : null,
+        downloadCount: gallery.downloadCount || 0,
+        metadataPolicy: gallery.metadataPolicy || null,
+        defaultMetadataPolicy: METADATA_POLICY,
+        language: gallery.language || null
+    };
+}
+
+// --- Client page languages ---
+
+// Language of a client page: the gallery's own, or the best match for the visitor's browser
+function clientLocale(req, res, gallery) {
+    if (gallery && i18n.isLocale(gallery.language)) return gallery.language;
+    res.vary('Accept-Language');
+    const others = i18n.LOCALES.map(l => l.code).filter(code => code !== DEFAULT_LANGUAGE);
+    return req.acceptsLanguages(DEFAULT_LANGUAGE, ...others) || DEFAULT_LANGUAGE;
+}
+
+// Set a page's language and text direction, and embed its strings for the page script (which
+// reads them from #i18n)
+function localizePage(html, locale, strings) {
+    const data = JSON.stringify({ locale, strings }).replace(/</g, '\\u003c');
+    return html
+        .replace('<html lang="en">', `<html lang="${locale}" dir="${i18n.textDirection(locale)}">`)
+        .replace('</head>', `    <script id="i18n" type="application/json">${data}</script>\n</head>`);
+}
+
+// Serve the branded error page in place of a client page: "expired" (410) or "notFound" (404).
+// `namespace` can supply its own wording, e.g. the guest page's for upload links.
+function sendErrorPage(req, res, gallery, error, namespace = 'errors') {
+    const locale = clientLocale(req, res, gallery);
+    const t = i18n.strings(locale, ['errors', namespace]);
+    const ogTags = [`<meta name="robots" content="noindex">`];
+    if (gallery && error === 'expired') {
+        ogTags.unshift(
+            `<meta property="og:title" content="${escapeAttr(gallery.eventName || i18n.translate(locale, 'og.yourPhotos'))}">`,
+            `<meta property="og:description" content="${escapeAttr(i18n.translate(locale, 'og.expired'))}">`
+        );
+    }
+    const html = fs.readFileSync(path.join(__dirname, 'public', 'expired.html'), 'utf8')
+        .replace('<head>', `<head>\n    ${ogTags.join('\n    ')}`);
+    res.status(error === 'expired' ? 410 : 404)
+        .send(localizePage(html, locale, { title: t[`${error}Title`], text: t[`${error}Text`] }));
+}
+
+// Languages the client pages are available in
+app.get('/api/languages', requireAuth, (req, res) => {
+    res.json({ languages: i18n.LOCALES, default: DEFAULT_LANGUAGE });
+});
+
+// --- Analytics ---
+
+// The retention period is a dashboard setting (retention.analyticsDays); the log stays on disk
+// while analytics is off, and is pruned to the new period when it is turned back on
+const analytics = createAnalytics({ dir: path.join(DATA_DIR, 'analytics'), retentionDays: ANALYTICS_RETENTION_DAYS });
+
+function analyticsEnabled() {
+    return analyticsRetentionDays() > 0;
+}
+
+// The photographer's own visits and link-preview bots don't count as client activity
+function isClientVisit(req) {
+    return !isGalleryReader(req) && coarseUserAgent(req.get('user-agent')) !== null;
+}
+
+// Record a client event
+function trackEvent(req, galleryId, type, filename) {
+    if (!analyticsEnabled() || !galleries.has(galleryId) || !isClientVisit(req)) return;
+    analytics.record(galleryId, { type, filename, ua: coarseUserAgent(req.get('user-agent')), ip: req.ip });
+}
+
+// Activity totals for the dashboard; top photos carry their display name
+function analyticsSummary(gallery, top) {
+    if (!analyticsEnabled()) return null;
+    const summary = analytics.summary(gallery.id, gallery.files, top);
+    summary.topPhotos = summary.topPhotos.map(p => ({ ...p, originalName: originalNameOf(gallery, p.filename) }));
+    return summary;
+}
+
+setInterval(() => {
+    if (!analyticsEnabled()) return;
+    try {
+        analytics.prune();
+    } catch (err) {
+        console.error('Analytics cleanup failed:', err.message);
+    }
+}, 24 * 60 * 60 * 1000).unref();
+
+// --- Notifications ---
+
+const webhooks = createWebhooks({
+    file: path.join(DATA_DIR, 'webhooks.json'),
+    logFile: path.join(DATA_DIR, 'webhook-deliveries.json'),
+    userAgent: 'MeTransfer-Webhooks/1.0'
+});
+const mailer = createMailer(SMTP_SETTINGS);
+
+// Galleries whose link stops working within this window trigger gallery.expiring (once per expiry date)
+const EXPIRY_WARNING_MS = 24 * 60 * 60 * 1000;
+
+function publicBaseUrl(req) {
+    return PUBLIC_URL || (req ? `${req.protocol}://${req.get('host')}` : null);
+}
+
+// The gallery fields every webhook payload carries
+function galleryPayload(gallery, req) {
+    const baseUrl = publicBaseUrl(req);
+    return {
+        galleryId: gallery.id,
+        eventName: gallery.eventName,
+        created: gallery.created,
+        fileCount: gallery.files.length,
+        expiresAt: gallery.expiresAt || null,
+        downloadUrl: baseUrl ? `${baseUrl}/download/${gallery.id}` : null
+    };
+}
+
+function notifyGallery(event, gallery, req, extra = {}) {
+    webhooks.emit(event, { ...galleryPayload(gallery, req), ...extra });
+}
+
+// The first time a client opens a gallery link
+function noteFirstView(req, gallery) {
+    if (!gallery || gallery.firstViewedAt || !isClientVisit(req)) return;
+    gallery.firstViewedAt = new Date().toISOString();
+    saveGalleries();
+    notifyGallery('gallery.first_viewed', gallery, req, { firstViewedAt: gallery.firstViewedAt });
+}
+
+function checkExpiringGalleries() {
+    let changed = false;
+    for (const gallery of galleries.values()) {
+        if (!gallery.expiresAt || isGalleryExpired(gallery) || gallery.expiryNotifiedFor === gallery.expiresAt) continue;
+        if (Date.parse(gallery.expiresAt) - Date.now() > EXPIRY_WARNING_MS) continue;
+        gallery.expiryNotifiedFor = gallery.expiresAt;
+        changed = true;
+        notifyGallery('gallery.expiring', gallery, null);
+    }
+    if (changed) saveGalleries();
+}
+
+setInterval(checkExpiringGalleries, 60 * 60 * 1000).unref();
+
+// --- Routes ---
+
+// Sign in — issues an HttpOnly session cookie and returns the CSRF token for mutating requests.
+// "username" may be omitted to sign in to the initial "admin" account.
+app.post('/api/auth/verify', authLimiter, (req, res) => {
+    const username = String(req.body.username || 'admin').trim();
+    const password = String(req.body.password || '');
+    const account = admins.get(username);
+
+    const valid = verifyPassword(password, account ? account.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!account || !valid) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const sid = crypto.randomBytes(32).toString('hex');
+    const csrfToken = crypto.randomBytes(32).toString('hex');
+    sessions.set(sid, { username, csrfToken, expires: Date.now() + SESSION_TTL_MS });
+    setSessionCookie(req, res, sid, SESSION_TTL_MS);
+
+    res.json({ success: true, username, csrfToken });
+});
+
+// Current session — lets admin.html restore a signed-in state after a page reload
+app.get('/api/auth/session', (req, res) => {
+    const session = getSession(req);
+    if (!session) {
+        return res.status(401).json({ error: 'Not signed in' });
+    }
+    res.json({ username: session.username, csrfToken: session.csrfToken });
+});
+
+// Sign out — invalidates the session server-side and clears the cookie
+app.post('/api/auth/logout', (req, res) => {
+    const sid = parseCookies(req)[SESSION_COOKIE];
+    if (sid) sessions.delete(sid);
+    setSessionCookie(req, res, '', 0);
+    res.json({ success: true });
+});
+
+// List admin accounts (admin only)
+app.get('/api/admins', requireAdmin, (_req, res) => {
+    res.json(Array.from(admins.values()).map(a => ({ username: a.username, created: a.created })));
+});
+
+// Create an admin account (admin only)
+app.post('/api/admins', requireAdmin, (req, res) => {
+    const username = String(req.body.username || '').trim();
+    const password = String(req.body.password || '');
+
+    if (!USERNAME_RE.test(username)) {
+        return res.status(400).json({ error: 'Username may only contain letters, numbers, dots, dashes and underscores' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (admins.has(username)) {
+        return res.status(409).json({ error: 'An account with that username already exists' });
+    }
+
+    createAdmin(username, password);
+    res.json({ success: true, username });
+});
+
+// Change an account's password (admin only) — signs that account out everywhere
+app.post('/api/admins/:username/password', requireAdmin, (req, res) => {
+    const account = admins.get(req.params.username);
+    if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const password = String(req.body.password || '');
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    account.passwordHash = hashPassword(password);
+    saveAdmins();
+
+    for (const [sid, session] of sessions) {
+        if (session.username === account.username && sid !== parseCookies(req)[SESSION_COOKIE]) {
+            sessions.delete(sid);
+        }
+    }
+
+    res.json({ success: true });
+});
+
+// Delete an admin account (admin only) — the last remaining account cannot be removed
+app.delete('/api/admins/:username', requireAdmin, (req, res) => {
+    const { username } = req.params;
+    if (!admins.has(username)) {
+        return res.status(404).json({ error: 'Account not found' });
+    }
+    if (admins.size === 1) {
+        return res.status(400).json({ error: 'Cannot delete the last admin account' });
+    }
+
+    admins.delete(username);
+    saveAdmins();
+
+    for (const [sid, session] of sessions) {
+        if (session.username === username) sessions.delete(sid);
+    }
+    // Revoked rather than only rejected, so a new account with the same name doesn't inherit them
+    let revoked = false;
+    for (const token of apiTokens.values()) {
+        if (token.createdBy === username && !token.revoked) {
+            token.revoked = true;
+            revoked = true;
+        }
+    }
+    if (revoked) saveApiTokens();
+
+    res.json({ success: true });
+});
+
+// List API tokens (admin only) — token secrets are never returned after creation
+app.get('/api/tokens', requireAdmin, (_req, res) => {
+    res.json(Array.from(apiTokens.values()).map(t => ({
+        id: t.id,
+        name: t.name,
+        scopes: t.scopes,
+        createdBy: t.createdBy,
+        created: t.created,
+        lastUsed: t.lastUsed || null,
+        revoked: !!t.revoked
+    })));
+});
+
+// Create an API token (admin only) — the plaintext token is only shown in this response
+app.post('/api/tokens', requireAdmin, (req, res) => {
+    const name = String(req.body.name || '').trim().substring(0, 100);
+    const scopes = Array.isArray(req.body.scopes) ? req.body.scopes : ['read'];
+
+    if (!name) {
+        return res.status(400).json({ error: 'Token name is required' });
+    }
+    if (scopes.length === 0 || !scopes.every(s => TOKEN_SCOPES.includes(s))) {
+        return res.status(400).json({ error: `Scopes must be any of: ${TOKEN_SCOPES.join(', ')}` });
+    }
+
+    const token = `mt_${crypto.randomBytes(32).toString('hex')}`;
+    const record = {
+        id: uuidv4(),
+        name,
+        scopes: [...new Set(scopes)],
+        hash: hashToken(token),
+        createdBy: req.admin.username,
+        created: new Date().toISOString(),
+        lastUsed: null,
+        revoked: false
+    };
+    apiTokens.set(record.id, record);
+    saveApiTokens();
+
+    res.json({ success: true, id: record.id, name: record.name, scopes: record.scopes, token });
+});
+
+// Revoke an API token (admin only)
+app.delete('/api/tokens/:tokenId', requireAdmin, (req, res) => {
+    const token = apiTokens.get(req.params.tokenId);
+    if (!token) {
+        return res.status(404).json({ error: 'Token not found' });
+    }
+
+    token.revoked = true;
+    saveApiTokens();
+
+    res.json({ success: true });
+});
+
+// Webhook endpoints (admin only), with the events they can subscribe to
+app.get('/api/webhooks', requireAdmin, (_req, res) => {
+    res.json({ events: WEBHOOK_EVENTS, webhooks: webhooks.list() });
+});
+
+// { url, events } — validated for both creating and updating an endpoint
+function webhookChanges(body) {
+    const changes = {};
+    if (body.url !== undefined) {
+        let url;
+        try {
+            url = new URL(String(body.url));
+        } catch (err) {
+            return { error: 'A valid URL is required' };
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return { error: 'Webhook URLs must use http or https' };
+        }
+        changes.url = url.toString();
+    }
+    if (body.events !== undefined) {
+        const events = Array.isArray(body.events) ? [...new Set(body.events.map(String))] : [];
+        if (events.length === 0 || !events.every(e => e === '*' || WEBHOOK_EVENTS.includes(e))) {
+            return { error: `Events must be "*" or any of: ${WEBHOOK_EVENTS.join(', ')}` };
+        }
+        changes.events = events;
+    }
+    if (body.enabled !== undefined) changes.enabled = !!body.enabled;
+    return { changes };
+}
+
+// Add a webhook endpoint (admin only) — the signing secret is only shown in this response
+app.post('/api/webhooks', requireAdmin, (req, res) => {
+    const { error, changes } = webhookChanges({ events: ['*'], ...req.body, url: req.body.url || '' });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const endpoint = webhooks.add(changes);
+    res.json({ success: true, ...endpoint });
+});
+
+// Update a webhook endpoint (admin only): { url, events, enabled }
+app.post('/api/webhooks/:webhookId', requireAdmin, (req, res) => {
+    const { error, changes } = webhookChanges(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const endpoint = webhooks.update(req.params.webhookId, changes);
+    if (!endpoint) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ success: true, webhook: endpoint });
+});
+
+// Remove a webhook endpoint (admin only)
+app.delete('/api/webhooks/:webhookId', requireAdmin, (req, res) => {
+    if (!webhooks.remove(req.params.webhookId)) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ success: true });
+});
+
+// Send a "ping" event to an endpoint (admin only)
+app.post('/api/webhooks/:webhookId/test', requireAdmin, (req, res) => {
+    const deliveryId = webhooks.ping(req.params.webhookId);
+    if (!deliveryId) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ success: true, deliveryId });
+});
+
+// Delivery log, newest first (admin only); ?webhook=<id> for one endpoint
+app.get('/api/webhook-deliveries', requireAdmin, (req, res) => {
+    res.json(webhooks.deliveries(req.query.webhook ? String(req.query.webhook) : null));
+});
+
+// Send a logged delivery again (admin only)
+app.post('/api/webhook-deliveries/:deliveryId/redeliver', requireAdmin, (req, res) => {
+    const deliveryId = webhooks.redeliver(req.params.deliveryId);
+    if (!deliveryId) {
+        return res.status(404).json({ error: 'Delivery or its webhook not found' });
+    }
+    res.json({ success: true, deliveryId });
+});
+
+// Whether client emails can be sent (used by the dashboard)
+app.get('/api/email', requireAuth, (_req, res) => {
+    res.json({ enabled: !!mailer, from: mailer ? mailer.from : null });
+});
+
+// Admin interface - photographer uploads photos here
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Serve the logo — custom file in DATA_DIR takes precedence over the bundled logo.svg
+const LOGO_CONTENT_TYPES = {
+    '.svg':  'image/svg+xml',
+    '.png':  'image/png',
+    '.jpg':  'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif':  'image/gif',
+    '.webp': 'image/webp',
+};
+
+const LOGO_EXTS = ['.svg', '.png', '.jpg', '.jpeg', '.gif', '.webp'];
+
+app.get('/api/logo', (_req, res) => {
+    const custom = findLogoFile();
+    // X-Custom-Logo lets the admin page know whether a custom logo is active
+    res.setHeader('X-Custom-Logo', custom ? '1' : '0');
+    if (custom) {
+        const ext = path.extname(custom).toLowerCase();
+        res.setHeader('Content-Type', LOGO_CONTENT_TYPES[ext] || 'application/octet-stream');
+        return res.sendFile(custom);
+    }
+    // Fall back to the bundled logo.svg in public/
+    res.sendFile(path.join(__dirname, 'public', 'logo.svg'));
+});
+
+// Replace the logo (admin only)
+app.post('/api/logo', requireAuth, uploadLogo.single('logo'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    for (const ext of LOGO_EXTS) {
+        const p = path.join(DATA_DIR, `logo${ext}`);
+        if (fs.existsSync(p)) fs.unlinkSync(p);
+    }
+
+    const ext = path.extname(req.file.originalname).toLowerCase();
     fs.writeFileSync(path.join(DATA_DIR, `logo${ext}`), req.file.buffer);
+    clearWatermarkCache();
+
+    res.json({ success: true });
+});
+
+// Reset logo to the bundled default (admin only)
+app.delete('/api/logo', requireAuth, (_req, res) => {
+    for (const ext of LOGO_EXTS) {
+        const p = path.join(DATA_DIR, `logo${ext}`);
+        if (fs.existsSync(p)) fs.unlinkSync(p);
+    }
+    clearWatermarkCache();
+    res.json({ success: true });
+});
+
+// --- Storage quotas and disk space ---
+
+// Photo bytes a gallery holds, including guest photos awaiting moderation
+function galleryBytes(gallery) {
+    return Object.values(gallery.fileSizes || {}).reduce((sum, size) => sum + size, 0);
+}
+
+function totalGalleryBytes() {
+    let total = 0;
+    for (const gallery of galleries.values()) total += galleryBytes(gallery);
+    return total;
+}
+
+// The gallery's own quota (gallery.quotaMb) or the server default, in bytes; null = unlimited
+function galleryQuotaBytes(gallery) {
+    const mb = gallery.quotaMb != null ? gallery.quotaMb : GALLERY_QUOTA_MB;
+    return mb ? mb * 1024 * 1024 : null;
+}
+
+// Usage as reported to the admin dashboard
+function galleryStorageSummary(gallery) {
+    return {
+        bytes: galleryBytes(gallery),
+        quotaBytes: galleryQuotaBytes(gallery),
+        quotaMb: gallery.quotaMb != null ? gallery.quotaMb : null,
+        defaultQuotaMb: GALLERY_QUOTA_MB
+    };
+}
+
+function formatBytes(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+    let i = 0;
+    while (bytes >= 1024 && i < units.length - 1) {
+        bytes /= 1024;
+        i++;
+    }
+    return `${i === 0 ? bytes : bytes.toFixed(1)} ${units[i]}`;
+}
+
+// Why `bytes` more can't be stored (in `gallery`, if given), or null if they fit both quotas
+function quotaError(gallery, bytes) {
+    const total = totalGalleryBytes();
+    if (STORAGE_QUOTA_BYTES && total + bytes > STORAGE_QUOTA_BYTES) {
+        return `This upload would exceed the server's storage quota (${formatBytes(total)} of ${formatBytes(STORAGE_QUOTA_BYTES)} used)`;
+    }
+    const quota = gallery ? galleryQuotaBytes(gallery) : null;
+    if (quota && galleryBytes(gallery) + bytes > quota) {
+        return `This upload would exceed the gallery's storage quota (${formatBytes(galleryBytes(gallery))} of ${formatBytes(quota)} used)`;
+    }
+    return null;
+}
+
+// Free and total bytes of the filesystem holding DATA_DIR
+async function diskSpace() {
+    const stats = await fs.promises.statfs(DATA_DIR);
+    return { freeBytes: stats.bavail * stats.bsize, totalBytes: stats.blocks * stats.bsize };
+}
+
+async function hasDiskSpaceFor(bytes) {
+    const { freeBytes } = await diskSpace();
+    return freeBytes - bytes >= MIN_FREE_SPACE_BYTES;
+}
+
+function diskFullResponse(res) {
+    return res.status(507).json({ error: 'The server is running out of disk space. Please try again later.', diskFull: true });
+}
+
+// Refuse an upload before receiving it if it would leave less than MIN_FREE_SPACE_MB free.
+// Content-Length is an upper bound for the size of the files in the request.
+async function requireDiskSpace(req, res, next) {
+    if (!await hasDiskSpaceFor(parseInt(req.get('content-length'), 10) || 0)) {
+        return diskFullResponse(res);
+    }
+    next();
+}
+
+// Once an upload's files have arrived, refuse the whole batch if a photo is over MAX_UPLOAD_MB
+// (multer only enforces the larger video limit) or it doesn't fit the gallery's quota or the
+// server's. The files are deleted again; a new gallery's placeholder is cleaned up by
+// generateGalleryId.
+function enforceQuota(req, res, next) {
+    if (!req.files || req.files.length === 0) return next();
+    const gallery = galleries.get(req.galleryId || req.params.galleryId);
+    const sizes = req.files.map(file => fs.statSync(file.path).size);
+    const tooLarge = req.files.find((file, i) => sizes[i] > maxUploadBytes(file.originalname));
+    const bytes = sizes.reduce((sum, size) => sum + size, 0);
+    const error = quotaError(gallery, bytes);
+    if (!tooLarge && !error) return next();
+
+    req.files.forEach(file => fs.rmSync(file.path, { force: true }));
+    if (tooLarge) {
+        return res.status(413).json({ error: `${tooLarge.originalname} is larger than ${maxUploadBytes(tooLarge.originalname) / 1024 / 1024} MB` });
+    }
+    res.status(413).json({ error, quotaExceeded: true });
+}
+
+// --- Chunked uploads ---
+
+// Large shoots are uploaded one file at a time in UPLOAD_CHUNK_BYTES pieces so a dropped
+// connection only costs the current chunk:
+//   POST   /api/uploads                    { filename, size, type?, sha256?, section? } → { uploadId, chunkSize, offset }
+//   GET    /api/uploads/:uploadId          → current offset, to resume after a disconnect
+//   PUT    /api/uploads/:uploadId          raw chunk body, Upload-Offset header (+ optional X-Chunk-SHA256)
+//   POST   /api/uploads/:uploadId/complete → verifies size and checksum
+//   DELETE /api/uploads/:uploadId          → abandon
+// Completed uploads are then attached to a gallery by passing their IDs as { uploads: [...] }
+// to /api/gallery/create or /api/gallery/:id/upload.
+// Each upload is <id>.part (the data so far) plus <id>.json (metadata) in PARTIAL_UPLOADS_DIR;
+// the .part file's length is the authoritative offset, so resuming survives a server restart.
+
+const chunkWritesInProgress = new Set();
+
+function partialUploadPaths(uploadId) {
+    return {
+        data: path.join(PARTIAL_UPLOADS_DIR, `${uploadId}.part`),
+        meta: path.join(PARTIAL_UPLOADS_DIR, `${uploadId}.json`)
+    };
+}
+
+function readPartialUpload(uploadId) {
+    if (!UUID_V4_REGEX.test(String(uploadId))) return null;
+    const paths = partialUploadPaths(uploadId);
+    if (!fs.existsSync(paths.meta) || !fs.existsSync(paths.data)) return null;
+    try {
+        const meta = JSON.parse(fs.readFileSync(paths.meta, 'utf8'));
+        meta.offset = fs.statSync(paths.data).size;
+        return meta;
+    } catch (err) {
+        return null;
+    }
+}
+
+function writePartialUpload(meta) {
+    const { offset, ...stored } = meta;
+    fs.writeFileSync(partialUploadPaths(meta.id).meta, JSON.stringify(stored, null, 2));
+}
+
+function removePartialUpload(uploadId) {
+    const paths = partialUploadPaths(uploadId);
+    fs.rmSync(paths.data, { force: true });
+    fs.rmSync(paths.meta, { force: true });
+}
+
+function partialUploadStatus(meta) {
+    return {
+        uploadId: meta.id,
+        filename: meta.filename,
+        size: meta.size,
+        offset: meta.offset,
+        chunkSize: UPLOAD_CHUNK_BYTES,
+        complete: !!meta.complete
+    };
+}
+
+function loadPartialUpload(req, res, next) {
+    const meta = readPartialUpload(req.params.uploadId);
+    if (!meta) {
+        return res.status(404).json({ error: 'Upload not found' });
+    }
+    req.partialUpload = meta;
+    next();
+}
+
+// Remove uploads nobody has touched for PARTIAL_UPLOAD_TTL_MS, plus any stray files
+function cleanupPartialUploads() {
+    if (!fs.existsSync(PARTIAL_UPLOADS_DIR)) return;
+    const cutoff = Date.now() - PARTIAL_UPLOAD_TTL_MS;
+    for (const entry of fs.readdirSync(PARTIAL_UPLOADS_DIR)) {
+        const filePath = path.join(PARTIAL_UPLOADS_DIR, entry);
+        try {
+            if (fs.statSync(filePath).mtimeMs < cutoff) fs.rmSync(filePath, { force: true });
+        } catch (err) {
+            // Removed concurrently — nothing to do
+        }
+    }
+}
+
+cleanupPartialUploads();
+setInterval(cleanupPartialUploads, 60 * 60 * 1000).unref();
+
+// Object storage keeps local copies of originals for sharp and EXIF parsing; drop stale ones
+setInterval(() => {
+    store.pruneCache(STORAGE_CACHE_TTL_MS).catch(err => console.error('Storage cache cleanup failed:', err.message));
+}, 60 * 60 * 1000).unref();
+
+// Start a chunked upload
+app.post('/api/uploads', requireAuth, asyncHandler(async (req, res) => {
+    const { filename, size, type, sha256, section } = req.body || {};
+
+    if (typeof filename !== 'string' || !filename.trim() || filename.length > 255) {
+        return res.status(400).json({ error: 'filename is required' });
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+        return res.status(400).json({ error: 'size must be a positive number of bytes' });
+    }
+    if (!isAllowedPhoto(filename, type)) {
+        return res.status(400).json({ error: 'Only photos and MP4 or MOV videos are allowed' });
+    }
+    if (size > maxUploadBytes(filename)) {
+        return res.status(413).json({ error: `${isVideo(filename) ? 'Videos' : 'Files'} are limited to ${maxUploadBytes(filename) / 1024 / 1024} MB` });
+    }
+    if (sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(String(sha256))) {
+        return res.status(400).json({ error: 'sha256 must be a hex SHA-256 digest' });
+    }
+    if (section !== undefined && section !== null && typeof section !== 'string') {
+        return res.status(400).json({ error: 'section must be a section name' });
+    }
+    if (!await hasDiskSpaceFor(size)) {
+        return diskFullResponse(res);
+    }
+    const quotaMessage = quotaError(null, size);
+    if (quotaMessage) {
+        return res.status(413).json({ error: quotaMessage, quotaExceeded: true });
+    }
+
+    fs.mkdirSync(PARTIAL_UPLOADS_DIR, { recursive: true });
+    const meta = {
+        id: uuidv4(),
+        filename: displayName(filename),
+        size,
+        sha256: sha256 ? sha256.toLowerCase() : null,
+        section: sectionName(section) || null,
+        created: new Date().toISOString(),
+        complete: false,
+        offset: 0
+    };
+    fs.writeFileSync(partialUploadPaths(meta.id).data, '');
+    writePartialUpload(meta);
+
+    res.status(201).json(partialUploadStatus(meta));
+}));
+
+// Upload progress — clients call this after a disconnect to find where to resume
+app.get('/api/uploads/:uploadId', requireAuth, loadPartialUpload, (req, res) => {
+    res.json(partialUploadStatus(req.partialUpload));
+});
+
+// Append one chunk. Upload-Offset must match the bytes already received, so a chunk that was
+// sent twice (e.g. retried after a lost response) is rejected with the current offset instead
+// of being appended again. The body can take a while to arrive and a retry may overtake it, so
+// the offset is read again from the .part file only once this request holds the write lock.
+app.put('/api/uploads/:uploadId', requireAuth, loadPartialUpload,
+    express.raw({ type: () => true, limit: UPLOAD_CHUNK_BYTES }), asyncHandler(async (req, res) => {
+    const uploadId = req.partialUpload.id;
+    const offset = parseInt(req.get('Upload-Offset'), 10);
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    if (chunkWritesInProgress.has(uploadId)) {
+        return res.status(409).json({ error: 'Another chunk is being written', ...partialUploadStatus(req.partialUpload) });
+    }
+    chunkWritesInProgress.add(uploadId);
+    try {
+        const meta = readPartialUpload(uploadId);
+        if (!meta) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        if (meta.complete) {
+            return res.status(409).json({ error: 'Upload is already complete', ...partialUploadStatus(meta) });
+        }
+        if (offset !== meta.offset) {
+            return res.status(409).json({ error: 'Upload-Offset does not match the bytes received', ...partialUploadStatus(meta) });
+        }
+        if (chunk.length === 0 || offset + chunk.length > meta.size) {
+            return res.status(400).json({ error: 'Chunk is empty or runs past the declared file size' });
+        }
+
+        const checksum = req.get('X-Chunk-SHA256');
+        if (checksum && crypto.createHash('sha256').update(chunk).digest('hex') !== checksum.toLowerCase()) {
+            return res.status(422).json({ error: 'Chunk checksum mismatch', ...partialUploadStatus(meta) });
+        }
+
+        await fs.promises.appendFile(partialUploadPaths(uploadId).data, chunk);
+        meta.offset += chunk.length;
+        res.json(partialUploadStatus(meta));
+    } finally {
+        chunkWritesInProgress.delete(uploadId);
+    }
+}));
+
+// Finish an upload: the full file must be present and match the checksum given at start
+app.post('/api/uploads/:uploadId/complete', requireAuth, loadPartialUpload, asyncHandler(async (req, res) => {
+    const meta = req.partialUpload;
+
+    if (meta.offset !== meta.size) {
+        return res.status(409).json({ error: 'Upload is not finished yet', ...partialUploadStatus(meta) });
+    }
+
+    if (!meta.complete) {
+        const hash = await hashFile(partialUploadPaths(meta.id).data);
+        if (meta.sha256 && meta.sha256 !== hash) {
+            removePartialUpload(meta.id);
+            return res.status(422).json({ error: 'File checksum mismatch — please upload the file again' });
+        }
+        meta.sha256 = hash;
+        meta.complete = true;
+        writePartialUpload(meta);
+    }
+
+    res.json({ ...partialUploadStatus(meta), sha256: meta.sha256 });
+}));
+
+// Abandon an upload
+app.delete('/api/uploads/:uploadId', requireAuth, loadPartialUpload, (req, res) => {
+    removePartialUpload(req.partialUpload.id);
+    res.json({ success: true });
+});
+
+// Move completed chunked uploads ({ uploads: [uploadId, ...] } in a JSON body) into the
+// gallery, presenting them to the route handler as if multer had received them
+function attachChunkedUploads(req, res, next) {
+    const uploadIds = req.body && req.body.uploads;
+    if (!Array.isArray(uploadIds) || (req.files && req.files.length > 0)) return next();
+
+    const uploads = uploadIds.map(readPartialUpload);
+    const missing = uploadIds.filter((id, i) => !uploads[i] || !uploads[i].complete);
+    if (missing.length > 0) {
+        if (req.galleryId) galleries.delete(req.galleryId);
+        return res.status(400).json({ error: 'Some uploads are unknown or not complete', uploads: missing });
+    }
+
+    const galleryId = req.galleryId || req.params.galleryId;
+    if (!galleries.has(galleryId)) return next();
+    const galleryPath = path.join(DATA_DIR, 'uploads', galleryId);
+    fs.mkdirSync(galleryPath, { recursive: true });
+
+    req.files = uploads.map(meta => {
+        const safeName = meta.filename.replace(/[^a-zA-Z0-9._-]/g, '_');
+        const filename = uniqueFilename(req, galleryId, safeName);
+        const filePath = path.join(galleryPath, filename);
+        fs.renameSync(partialUploadPaths(meta.id).data, filePath);
+        fs.rmSync(partialUploadPaths(meta.id).meta, { force: true });
+        return { path: filePath, filename, originalname: safeName, decodedName: meta.filename, sha256: meta.sha256, section: meta.section };
+    });
+    next();
+}
+
+// Files without a section of their own (chunked uploads started with one, e.g. from a dropped
+// folder) go into the request's `section` field, if any
+function assignUploadSections(req, res, next) {
+    const section = sectionName(req.body && req.body.section);
+    if (section && req.files) {
+        req.files.forEach(file => { file.section = file.section || section; });
+    }
+    next();
+}
+
+// Middleware to generate galleryId BEFORE multer processes files. The placeholder gallery is
+// marked incomplete until the create route finishes; if the request fails or is aborted before
+// that, the placeholder and anything already staged or stored for it are removed again.
+function generateGalleryId(req, res, next) {
+    const galleryId = uuidv4();
+    req.galleryId = galleryId;
+    galleries.set(galleryId, {
+        id: galleryId,
+        eventName: '',
+        created: new Date().toISOString(),
+        files: [],
+        background: null,
+        incomplete: true
+    });
+    res.on('close', () => {
+        const gallery = galleries.get(galleryId);
+        if (gallery && !isIncompleteGallery(gallery)) return;
+        if (gallery) {
+            galleries.delete(galleryId);
+            saveGalleries();
+        }
+        removeGalleryData(galleryId).catch(err => console.error(`Cleanup of failed upload ${galleryId} failed:`, err.message));
+    });
+    next();
+}
+
+function isIncompleteGallery(gallery) {
+    return !!gallery.incomplete;
+}
+
+// Create new gallery and upload photos
+app.post('/api/gallery/create', requireAuth, asyncHandler(requireDiskSpace), generateGalleryId, upload.array('photos', 500), attachChunkedUploads, assignUploadSections, enforceQuota, asyncHandler(async (req, res) => {
+    const galleryId = req.galleryId;
+    const gallery = galleries.get(galleryId);
+
+    // If multer processed no files, clean up the skeleton gallery and return an error
+    // so the admin never receives a link for an empty gallery that would 404
+    if (!req.files || req.files.length === 0) {
+        galleries.delete(galleryId);
+        saveGalleries();
+        return res.status(400).json({ error: 'No photos were uploaded. Please select at least one image.' });
+    }
+
+    const details = validateGalleryDetails(req.body || {});
+    if (details.error) {
+        return res.status(400).json({ error: details.error });
+    }
+
+    let result;
+    try {
+        result = await ingestUploads(galleryId, gallery, req.files);
+    } catch (err) {
+        console.error('Upload processing failed:', err.message);
+        return res.status(500).json({ error: 'Failed to process uploaded photos' });
+    }
+
+    gallery.eventName = (String(req.body.eventName || 'Untitled Event')).trim().substring(0, 200);
+    if (clients.has(req.body.clientId)) gallery.clientId = req.body.clientId;
+    applyGalleryDetails(gallery, details.changes);
+    delete gallery.incomplete;
+    saveGalleries();
+    queueGalleryImages(galleryId, result.added, { og: true });
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const downloadUrl = `${baseUrl}/download/${galleryId}`;
+    notifyGallery('gallery.created', gallery, req);
+
+    res.json({
+        success: true,
+        galleryId,
+        downloadUrl,
+        fileCount: gallery.files.length,
+        duplicates: result.duplicates,
+        renamed: result.renamed
+    });
+}));
+
+// Add more photos to existing gallery
+app.post('/api/gallery/:galleryId/upload', requireAuth, validateGalleryId, asyncHandler(requireDiskSpace), upload.array('photos', 500), attachChunkedUploads, assignUploadSections, enforceQuota, asyncHandler(async (req, res) => {
+    const { galleryId } = req.params;
+    const gallery = galleries.get(galleryId);
+
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    let result = { added: [], duplicates: [], renamed: [] };
+    if (req.files) {
+        try {
+            result = await ingestUploads(galleryId, gallery, req.files);
+        } catch (err) {
+            console.error('Upload processing failed:', err.message);
+            return res.status(500).json({ error: 'Failed to process uploaded photos' });
+        }
+        saveGalleries();
+        queueGalleryImages(galleryId, result.added, { og: true });
+    }
+    if (result.added.length > 0) {
+        notifyGallery('gallery.photos_added', gallery, req, { added: result.added.length });
+    }
+
+    res.json({
+        success: true,
+        fileCount: gallery.files.length,
+        duplicates: result.duplicates,
+        renamed: result.renamed
+    });
+}));
+
+// Upload/replace background image — converts to JPEG via sharp
+app.post('/api/gallery/:galleryId/background', requireAuth, validateGalleryId, uploadBackground.single('background'), asyncHandler(async (req, res) => {
+    const { galleryId } = req.params;
+    const gallery = galleries.get(galleryId);
+
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    if (!req.file) {
+        return res.status(400).json({ error: 'No background file provided' });
+    }
+
+    try {
+        // Delete old background (any extension)
+        const existing = backgroundKey(galleryId);
+        if (existing) await store.remove(existing);
+
+        // Invalidate og-cache so it is regenerated with the new image
+        const ogFile = path.join(OG_CACHE_DIR, `${galleryId}.jpg`);
+        if (fs.existsSync(ogFile)) fs.unlinkSync(ogFile);
+
+        // Convert to JPEG in the local backgrounds folder, then hand it to storage
+        const staged = path.join(DATA_DIR, 'backgrounds', `.${galleryId}-${uuidv4()}.jpg`);
+        await sharp(req.file.buffer)
+            .resize(2400, null, { withoutEnlargement: true })
+            .jpeg({ quality: 85 })
+            .toFile(staged);
+        await store.putFile(`backgrounds/${galleryId}.jpg`, staged);
+
+        gallery.background = `${galleryId}.jpg`;
+        saveGalleries();
+
+        res.json({ success: true, background: gallery.background });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to process background image' });
+    }
+}));
+
+// Serve background image (legacy route — kept for backwards compatibility)
+app.get('/api/background/:galleryId', validateGalleryId, asyncHandler(async (req, res) => {
+    const key = backgroundKey(req.params.galleryId);
+    if (!key) {
+        return res.status(404).send('Background not found');
+    }
+    await sendStoredFile(res, key);
+}));
+
+// Serve background image (REST-style route used by admin.html and customer.html)
+app.get('/api/gallery/:galleryId/background', validateGalleryId, asyncHandler(async (req, res) => {
+    const key = backgroundKey(req.params.galleryId);
+    if (!key) {
+        return res.status(404).send('Background not found');
+    }
+    await sendStoredFile(res, key);
+}));
+
+// Unlock a password-protected gallery — sets a per-gallery cookie checked by requireGalleryAccess
+app.post('/api/gallery/:galleryId/unlock', unlockLimiter, validateGalleryId, (req, res) => {
+    const { galleryId } = req.params;
+    const gallery = galleries.get(galleryId);
+
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+    if (isGalleryExpired(gallery)) {
+        return res.status(410).json({ error: 'This gallery link has expired', expired: true });
+    }
+    if (!gallery.clientPassword) {
+        return res.json({ success: true });
+    }
+    if (!verifyPassword(String(req.body.password || ''), gallery.clientPassword)) {
+        return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    const maxAgeMs = gallery.expiresAt
+        ? Math.max(0, Date.parse(gallery.expiresAt) - Date.now())
+        : 30 * 24 * 60 * 60 * 1000;
+    const parts = [
+        `gallery_${galleryId}=${galleryUnlockToken(gallery)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax',
+        `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+    ];
+    if (req.secure) parts.push('Secure');
+    res.setHeader('Set-Cookie', parts.join('; '));
+
+    res.json({ success: true });
+});
+
+// Validate access settings from a request body into the gallery fields they set
+function accessChanges(body) {
+    const { password, expiresAt, maxDownloads, resetDownloads, metadataPolicy: policy, language, quotaMb } = body;
+    const changes = {};
+
+    if (password !== undefined) {
+        if (password === null || password === '') {
+            changes.clientPassword = null;
+        } else if (String(password).length < 4) {
+            return { error: 'Client password must be at least 4 characters' };
+        } else {
+            changes.clientPassword = hashPassword(password);
+        }
+    }
+
+    if (expiresAt !== undefined) {
+        if (expiresAt === null || expiresAt === '') {
+            changes.expiresAt = null;
+        } else if (isNaN(Date.parse(expiresAt))) {
+            return { error: 'Invalid expiry date' };
+        } else {
+            changes.expiresAt = new Date(expiresAt).toISOString();
+        }
+    }
+
+    if (maxDownloads !== undefined) {
+        if (maxDownloads === null || maxDownloads === '') {
+            changes.maxDownloads = null;
+        } else {
+            const n = parseInt(maxDownloads, 10);
+            if (!Number.isInteger(n) || n < 1) {
+                return { error: 'Max downloads must be a positive number' };
+            }
+            changes.maxDownloads = n;
+        }
+    }
+
+    if (resetDownloads) {
+        changes.downloadCount = 0;
+    }
+
+    if (policy !== undefined) {
+        if (policy === null || policy === '') {
+            changes.metadataPolicy = null;
+        } else if (!METADATA_POLICIES.includes(policy)) {
+            return { error: 'Metadata policy must be keep, strip-gps or strip-all' };
+        } else {
+            changes.metadataPolicy = policy;
+        }
+    }
+
+    if (language !== undefined) {
+        if (language === null || language === '') {
+            changes.language = null;
+        } else if (!i18n.isLocale(language)) {
+            return { error: `Language must be one of: ${i18n.LOCALES.map(l => l.code).join(', ')}` };
+        } else {
+            changes.language = language;
+        }
+    }
+
+    // Storage quota in MB; null falls back to GALLERY_QUOTA_MB, 0 means unlimited
+    if (quotaMb !== undefined) {
+        if (quotaMb === null || quotaMb === '') {
+            changes.quotaMb = null;
+        } else {
+            const n = Number(quotaMb);
+            if (!Number.isInteger(n) || n < 0) {
+                return { error: 'Storage quota must be a whole number of MB' };
+            }
+            changes.quotaMb = n;
+        }
+    }
+
+    return { changes };
+}
+
+// Update client access settings (admin only). Omitted fields are left unchanged:
+//   password       — new client password; "" or null removes it
+//   expiresAt      — ISO date/time; "" or null removes the expiry
+//   maxDownloads   — positive integer; "" or null means unlimited
+//   resetDownloads — true to reset the download counter
+//   metadataPolicy — "keep", "strip-gps" or "strip-all"; "" or null follows METADATA_POLICY
+//   language       — language code of the client pages (see /api/languages); "" or null picks
+//                    one from each visitor's browser
+//   quotaMb        — storage quota in MB; 0 means unlimited, "" or null follows GALLERY_QUOTA_MB
+// Every field is validated before any is applied, so a rejected request changes nothing.
+app.post('/api/gallery/:galleryId/access', requireAuth, validateGalleryId, (req, res) => {
+    const { galleryId } = req.params;
+    const gallery = galleries.get(galleryId);
+
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const { error, changes } = accessChanges(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    Object.assign(gallery, changes);
+    saveGalleries();
+    res.json({ success: true, access: galleryAccessSummary(gallery), storage: galleryStorageSummary(gallery) });
+});
+
+// Update watermark settings (admin only). Omitted fields are left unchanged:
+//   enabled, type ("logo" | "text"), text, position, opacity (0.05–1), scale (0.05–1)
+app.post('/api/gallery/:galleryId/watermark', requireAuth, validateGalleryId, (req, res) => {
+    const { galleryId } = req.params;
+    const gallery = galleries.get(galleryId);
+
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const watermark = watermarkSettings(gallery);
+    const { enabled, type, text, position, opacity, scale } = req.body;
+
+    if (enabled !== undefined) {
+        watermark.enabled = !!enabled;
+    }
+    if (type !== undefined) {
+        if (type !== 'logo' && type !== 'text') {
+            return res.status(400).json({ error: 'Watermark type must be "logo" or "text"' });
+        }
+        watermark.type = type;
+    }
+    if (text !== undefined) {
+        watermark.text = String(text || '').trim().substring(0, 100);
+    }
+    if (position !== undefined) {
+        if (!WATERMARK_POSITIONS.includes(position)) {
+            return res.status(400).json({ error: `Position must be one of: ${WATERMARK_POSITIONS.join(', ')}` });
+        }
+        watermark.position = position;
+    }
+    for (const [key, value] of Object.entries({ opacity, scale })) {
+        if (value === undefined) continue;
+        const n = Number(value);
+        if (!Number.isFinite(n) || n < 0.05 || n > 1) {
+            return res.status(400).json({ error: `Watermark ${key} must be between 0.05 and 1` });
+        }
+        watermark[key] = n;
+    }
+    if (watermark.enabled && watermark.type === 'text' && !watermark.text) {
+        return res.status(400).json({ error: 'Enter the watermark text' });
+    }
+
+    gallery.watermark = watermark;
+    saveGalleries();
+    clearWatermarkCache(galleryId);
+    fs.rmSync(path.join(OG_CACHE_DIR, `${galleryId}.jpg`), { force: true });
+
+    res.json({ success: true, watermark });
+});
+
+// Render the gallery's first photo with its current watermark settings (admin only), so the
+// dashboard can show what clients will see before enabling the watermark
+app.get('/api/gallery/:galleryId/watermark/preview', requireAuth, validateGalleryId, asyncHandler(async (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    const files = gallery ? listGalleryFiles(gallery.id) : null;
+
+    if (!files || files.length === 0) {
+        return res.status(404).json({ error: 'Gallery has no photos' });
+    }
+
+    const settings = { ...watermarkSettings(gallery), enabled: true };
+    if (settings.type === 'text' && !settings.text) settings.text = gallery.eventName || 'Proof';
+
+    for (const filename of files) {
+        try {
+            const src = await photoSource(gallery.id, filename);
+            if (!src) continue;
+            const image = await applyWatermark(resizeToWidth(sharp(src), WATERMARK_MAX_WIDTH), settings);
+            res.setHeader('Cache-Control', 'no-store');
+            return res.type('jpeg').send(await image.jpeg({ quality: 82 }).toBuffer());
+        } catch (err) {
+            // Not an image that can be rendered — try the next photo
+        }
+    }
+    res.status(404).json({ error: 'Gallery has no photos that can be previewed' });
+}));
+
+// Rename a gallery
+app.post('/api/gallery/:galleryId/rename', requireAuth, validateGalleryId, (req, res) => {
+    const { galleryId } = req.params;
+    const gallery = galleries.get(galleryId);
+
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    gallery.eventName = (String(req.body.eventName || 'Untitled Event')).trim().substring(0, 200);
+    saveGalleries();
+
+    res.json({ success: true, eventName: gallery.eventName });
+});
+
+// Tags are short labels ("wedding", "studio", "2024") for finding galleries on the dashboard;
+// the shoot date is the day the photos were taken, which can be long before the upload.
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const SHOOT_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate { tags?, shootDate? } from the dashboard. Tags may be an array or a comma-separated
+// string; they are trimmed and de-duplicated ignoring case. Returns { error } or { changes }.
+function validateGalleryDetails(body) {
+    const changes = {};
+    if (body.tags !== undefined) {
+        const list = Array.isArray(body.tags) ? body.tags : String(body.tags || '').split(',');
+        const tags = [];
+        for (const value of list) {
+            const tag = String(value).trim().replace(/\s+/g, ' ');
+            if (!tag) continue;
+            if (tag.length > MAX_TAG_LENGTH) return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters` };
+            if (!tags.some(t => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+        }
+        if (tags.length > MAX_TAGS) return { error: `A gallery can have at most ${MAX_TAGS} tags` };
+        changes.tags = tags;
+    }
+    if (body.shootDate !== undefined) {
+        const date = body.shootDate ? String(body.shootDate) : null;
+        if (date && (!SHOOT_DATE_RE.test(date) || isNaN(Date.parse(date)) ||
+            new Date(date).toISOString().slice(0, 10) !== date)) {
+            return { error: 'Shoot date must be a date as YYYY-MM-DD' };
+        }
+        changes.shootDate = date;
+    }
+    return { changes };
+}
+
+function applyGalleryDetails(gallery, changes) {
+    if (changes.tags) {
+        if (changes.tags.length > 0) gallery.tags = changes.tags;
+        else delete gallery.tags;
+    }
+    if (changes.shootDate !== undefined) {
+        if (changes.shootDate) gallery.shootDate = changes.shootDate;
+        else delete gallery.shootDate;
+    }
+}
+
+// Set a gallery's tags and shoot date: { tags?, shootDate? } (null or '' clears the date)
+app.post('/api/gallery/:galleryId/details', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const { error, changes } = validateGalleryDetails(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    applyGalleryDetails(gallery, changes);
+    saveGalleries();
+
+    res.json({ success: true, tags: gallery.tags || [], shootDate: gallery.shootDate || null });
+});
+
+const EMAIL_RE = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+// Email the gallery link to the client (needs SMTP): { to: "a@x.com, b@y.com", message }
+app.post('/api/gallery/:galleryId/email', requireAuth, validateGalleryId, asyncHandler(async (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+    if (!mailer) {
+        return res.status(503).json({ error: 'Email is not configured (set SMTP_HOST)' });
+    }
+
+    const to = String(req.body.to || '').split(/[,;]/).map(a => a.trim()).filter(Boolean);
+    if (to.length === 0 || to.length > 10 || !to.every(a => EMAIL_RE.test(a))) {
+        return res.status(400).json({ error: 'Enter up to 10 valid email addresses' });
+    }
+    const message = String(req.body.message || '').trim().substring(0, 2000);
+    const { downloadUrl } = galleryPayload(gallery, req);
+
+    const notes = [];
+    if (gallery.clientPassword) notes.push('The gallery is password protected; you will receive the password separately.');
+    if (gallery.expiresAt) notes.push(`The link works until ${new Date(gallery.expiresAt).toUTCString()}.`);
+
+    const text = [message, `Your photos from ${gallery.eventName} are ready:`, downloadUrl, ...notes]
+        .filter(Boolean).join('\n\n');
+    const html = [
+        message && `<p>${escapeAttr(message).replace(/\n/g, '<br>')}</p>`,
+        `<p>Your photos from <strong>${escapeAttr(gallery.eventName)}</strong> are ready:</p>`,
+        `<p><a href="${escapeAttr(downloadUrl)}">${escapeAttr(downloadUrl)}</a></p>`,
+        ...notes.map(n => `<p>${escapeAttr(n)}</p>`)
+    ].filter(Boolean).join('\n');
+
+    try {
+        await mailer.send({ to, subject: `Your photos are ready: ${gallery.eventName}`, text, html });
+    } catch (err) {
+        console.error('Email failed:', err.message);
+        return res.status(502).json({ error: `Could not send email: ${err.message}` });
+    }
+
+    res.json({ success: true, to });
+}));
+
+// Photos in a gallery in their display order, or null for an unknown gallery. gallery.files is
+// kept in step with storage by every upload and delete, and by reconcileGalleries on startup.
+function listGalleryFiles(galleryId) {
+    const gallery = galleries.get(galleryId);
+    return gallery ? gallery.files.slice() : null;
+}
+
+// List photos in a gallery (used by preview.html)
+app.get('/api/gallery/:galleryId/photos', validateGalleryId, requireGalleryAccess, asyncHandler(async (req, res) => {
+    const { galleryId } = req.params;
+    const files = listGalleryFiles(galleryId);
+
+    if (!files) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const gallery = galleries.get(galleryId);
+    const captions = (gallery && gallery.captions) || {};
+
+    // srcset candidates for <img>; proofs stop at the watermarked preview size
+    const widths = isWatermarked(gallery) && !isGalleryReader(req)
+        ? RENDITION_WIDTHS.filter(w => w <= WATERMARK_MAX_WIDTH)
+        : RENDITION_WIDTHS;
+
+    // Capture times for sorting, and video lengths; photos uploaded before they were recorded
+    // are read once, in turn
+    const details = {};
+    const knownDetails = gallery && gallery.photoDetails ? Object.keys(gallery.photoDetails).length : 0;
+    for (const filename of files) {
+        details[filename] = (await photoDetails(galleryId, filename)) || {};
+    }
+    if (gallery && gallery.photoDetails && Object.keys(gallery.photoDetails).length !== knownDetails) {
+        saveGalleries();
+    }
+
+    const photos = files.map(filename => {
+        const url = `/api/gallery/${galleryId}/photo/${encodeURIComponent(filename)}`;
+        return {
+            filename,
+            originalName: originalNameOf(gallery, filename),
+            caption:     captions[filename] || null,
+            format:      photoKind(filename),
+            capturedAt:  details[filename].capturedAt || null,
+            duration:    details[filename].duration || null,
+            section:     sectionOf(gallery, filename),
+            url,
+            thumbnailUrl:`${url}?thumb=1`,
+            srcset:      widths.map(w => `${url}?w=${w} ${w}w`).join(', '),
+            downloadUrl: `/api/gallery/${galleryId}/download/${encodeURIComponent(filename)}`
+        };
+    });
+
+    // Return shape matches what preview.html expects: { id, eventName, sections: [...], photos: [...] }
+    res.json({
+        id: galleryId,
+        eventName: gallery ? gallery.eventName : 'Untitled Event',
+        sections: gallery ? sectionSummaries(gallery) : [],
+        photos
+    });
+}));
+
+// Delete a single photo (admin only) — also removes its thumbnail and the cached OG image
+app.delete('/api/gallery/:galleryId/photo/:filename', requireAuth, validateGalleryId, validateFilename, asyncHandler(async (req, res) => {
+    const { galleryId, filename } = req.params;
+    const gallery = galleries.get(galleryId);
+    const key = `uploads/${galleryId}/${filename}`;
+
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+    if (!await store.stat(key)) {
+        return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    await store.remove(key);
+    invalidatePhotoCaches(galleryId, filename);
+
+    gallery.files = gallery.files.filter(f => f !== filename);
+    if (gallery.captions) delete gallery.captions[filename];
+    if (gallery.hashes) delete gallery.hashes[filename];
+    if (gallery.fileSizes) delete gallery.fileSizes[filename];
+    if (gallery.originalNames) delete gallery.originalNames[filename];
+    if (gallery.guestPhotos) delete gallery.guestPhotos[filename];
+    if (gallery.photoSections) delete gallery.photoSections[filename];
+    for (const selection of gallery.selections || []) {
+        selection.favorites = selection.favorites.filter(f => f !== filename);
+        delete selection.comments[filename];
+    }
+    saveGalleries();
+
+    res.json({ success: true, fileCount: gallery.files.length });
+}));
+
+// Replace a photo in place (admin only) — keeps its filename, position, caption and selections
+app.post('/api/gallery/:galleryId/photo/:filename/replace', requireAuth, validateGalleryId, validateFilename, asyncHandler(requireDiskSpace), asyncHandler(async (req, res, next) => {
+    const { galleryId, filename } = req.params;
+    const gallery = galleries.get(galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+    if (!await store.stat(`uploads/${galleryId}/${filename}`)) {
+        return res.status(404).json({ error: 'Photo not found' });
+    }
+    next();
+}), uploadReplacement.single('photo'), asyncHandler(async (req, res) => {
+    const { galleryId, filename } = req.params;
+
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const gallery = galleries.get(galleryId);
+    gallery.fileSizes = gallery.fileSizes || {};
+    const size = fs.statSync(req.file.path).size;
+    if (size > maxUploadBytes(filename)) {
+        fs.rmSync(req.file.path, { force: true });
+        return res.status(413).json({ error: 'File too large' });
+    }
+    const quotaMessage = quotaError(gallery, size - (gallery.fileSizes[filename] || 0));
+    if (quotaMessage) {
+        fs.rmSync(req.file.path, { force: true });
+        return res.status(413).json({ error: quotaMessage, quotaExceeded: true });
+    }
+
+    const hash = gallery.hashes ? await hashFile(req.file.path) : null;
+    const details = readPhotoDetails(req.file.path, filename);
+    await store.putFile(`uploads/${galleryId}/${filename}`, req.file.path);
+    invalidatePhotoCaches(galleryId, filename);
+    if (hash) gallery.hashes[filename] = hash;
+    gallery.fileSizes[filename] = size;
+    gallery.photoDetails = gallery.photoDetails || {};
+    gallery.photoDetails[filename] = details;
+    saveGalleries();
+    queueGalleryImages(galleryId, [filename], { og: true });
+
+    res.json({ success: true, filename });
+}));
+
+// Set or clear a photo caption (admin only): { caption }
+app.post('/api/gallery/:galleryId/photo/:filename/caption', requireAuth, validateGalleryId, validateFilename, (req, res) => {
+    const { galleryId, filename } = req.params;
+    const gallery = galleries.get(galleryId);
+
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+    if (!gallery.files.includes(filename)) {
+        return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const caption = String(req.body.caption || '').trim().substring(0, 500);
+    gallery.captions = gallery.captions || {};
+    if (caption) {
+        gallery.captions[filename] = caption;
+    } else {
+        delete gallery.captions[filename];
+    }
+    saveGalleries();
+
+    res.json({ success: true, caption: caption || null });
+});
+
+// Reorder a gallery (admin only): { files: [...] } must contain exactly the gallery's photos
+app.post('/api/gallery/:galleryId/order', requireAuth, validateGalleryId, (req, res) => {
+    const { galleryId } = req.params;
+    const gallery = galleries.get(galleryId);
+
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const current = gallery.files;
+    const files = Array.isArray(req.body.files) ? req.body.files.map(String) : [];
+    const isPermutation = files.length === current.length &&
+        new Set(files).size === files.length &&
+        files.every(f => current.includes(f));
+
+    if (!isPermutation) {
+        return res.status(400).json({ error: 'Order must list every photo in the gallery exactly once' });
+    }
+
+    gallery.files = files;
+    saveGalleries();
+
+    res.json({ success: true });
+});
+
+// --- Sections ---
+
+// A gallery can be split into named sections ("Ceremony", "Reception", "Portraits"):
+//   gallery.sections      — [{ id, name }] in display order
+//   gallery.photoSections — { filename: sectionId }; photos not listed are unsectioned
+// gallery.files stays the one gallery-wide order, and each section shows its photos in that
+// order. Folders dropped in admin.html become sections named after the folder.
+
+const MAX_SECTION_NAME_LENGTH = 100;
+const MAX_SECTIONS = 100;
+
+function sectionName(value) {
+    return String(value == null ? '' : value).replace(/\s+/g, ' ').trim().substring(0, MAX_SECTION_NAME_LENGTH);
+}
+
+// Section ID of a photo, or null if it isn't in one
+function sectionOf(gallery, filename) {
+    const sectionId = gallery && gallery.photoSections && gallery.photoSections[filename];
+    return sectionId && (gallery.sections || []).some(s => s.id === sectionId) ? sectionId : null;
+}
+
+function setPhotoSection(gallery, filename, sectionId) {
+    gallery.photoSections = gallery.photoSections || {};
+    if (sectionId) {
+        gallery.photoSections[filename] = sectionId;
+    } else {
+        delete gallery.photoSections[filename];
+    }
+}
+
+// The section called `name` (ignoring case), created if needed; null once MAX_SECTIONS is reached
+function findOrCreateSection(gallery, name) {
+    gallery.sections = gallery.sections || [];
+    const existing = gallery.sections.find(s => s.name.toLowerCase() === name.toLowerCase());
+    if (existing) return existing;
+    if (gallery.sections.length >= MAX_SECTIONS) return null;
+    const section = { id: uuidv4(), name };
+    gallery.sections.push(section);
+    return section;
+}
+
+// Sections with their photo counts, for the photo list and the admin
+function sectionSummaries(gallery) {
+    const counts = {};
+    gallery.files.forEach(filename => {
+        const sectionId = sectionOf(gallery, filename);
+        if (sectionId) counts[sectionId] = (counts[sectionId] || 0) + 1;
+    });
+    return (gallery.sections || []).map(s => ({ id: s.id, name: s.name, count: counts[s.id] || 0 }));
+}
+
+function validateSectionId(req, res, next) {
+    if (!UUID_V4_REGEX.test(req.params.sectionId)) {
+        return res.status(400).json({ error: 'Invalid section ID' });
+    }
+    next();
+}
+
+// Resolve the gallery and the section in the URL, or send an error
+function loadSection(req, res) {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        res.status(404).json({ error: 'Gallery not found' });
+        return null;
+    }
+    const section = (gallery.sections || []).find(s => s.id === req.params.sectionId);
+    if (!section) {
+        res.status(404).json({ error: 'Section not found' });
+        return null;
+    }
+    return { gallery, section };
+}
+
+// Create a section (admin only): { name }
+app.post('/api/gallery/:galleryId/sections', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const name = sectionName(req.body.name);
+    if (!name) {
+        return res.status(400).json({ error: 'Section name is required' });
+    }
+    if ((gallery.sections || []).some(s => s.name.toLowerCase() === name.toLowerCase())) {
+        return res.status(409).json({ error: `There is already a section called "${name}"` });
+    }
+    const section = findOrCreateSection(gallery, name);
+    if (!section) {
+        return res.status(400).json({ error: `A gallery can have at most ${MAX_SECTIONS} sections` });
+    }
+    saveGalleries();
+
+    res.status(201).json({ success: true, section, sections: sectionSummaries(gallery) });
+});
+
+// Reorder sections (admin only): { sections: [sectionId, ...] } must list every section once
+app.post('/api/gallery/:galleryId/sections/order', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const current = gallery.sections || [];
+    const order = Array.isArray(req.body.sections) ? req.body.sections.map(String) : [];
+    const isPermutation = order.length === current.length &&
+        new Set(order).size === order.length &&
+        order.every(id => current.some(s => s.id === id));
+
+    if (!isPermutation) {
+        return res.status(400).json({ error: 'Order must list every section in the gallery exactly once' });
+    }
+
+    gallery.sections = order.map(id => current.find(s => s.id === id));
+    saveGalleries();
+
+    res.json({ success: true, sections: sectionSummaries(gallery) });
+});
+
+// Rename a section (admin only): { name }
+app.post('/api/gallery/:galleryId/sections/:sectionId', requireAuth, validateGalleryId, validateSectionId, (req, res) => {
+    const loaded = loadSection(req, res);
+    if (!loaded) return;
+    const { gallery, section } = loaded;
+
+    const name = sectionName(req.body.name);
+    if (!name) {
+        return res.status(400).json({ error: 'Section name is required' });
+    }
+    if (gallery.sections.some(s => s !== section && s.name.toLowerCase() === name.toLowerCase())) {
+        return res.status(409).json({ error: `There is already a section called "${name}"` });
+    }
+    section.name = name;
+    saveGalleries();
+
+    res.json({ success: true, section, sections: sectionSummaries(gallery) });
+});
+
+// Delete a section (admin only) — its photos stay in the gallery, unsectioned
+app.delete('/api/gallery/:galleryId/sections/:sectionId', requireAuth, validateGalleryId, validateSectionId, (req, res) => {
+    const loaded = loadSection(req, res);
+    if (!loaded) return;
+    const { gallery, section } = loaded;
+
+    gallery.sections = gallery.sections.filter(s => s !== section);
+    for (const [filename, sectionId] of Object.entries(gallery.photoSections || {})) {
+        if (sectionId === section.id) delete gallery.photoSections[filename];
+    }
+    saveGalleries();
+
+    res.json({ success: true, sections: sectionSummaries(gallery) });
+});
+
+// Move photos into a section (admin only): { files: [...], section: sectionId } — a null
+// section takes them out of their sections
+app.post('/api/gallery/:galleryId/photos/section', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const files = Array.isArray(req.body.files) ? [...new Set(req.body.files.map(String))] : [];
+    if (files.length === 0 || !files.every(f => gallery.files.includes(f))) {
+        return res.status(400).json({ error: 'Files must list photos in the gallery' });
+    }
+    const sectionId = req.body.section == null ? null : String(req.body.section);
+    if (sectionId && !(gallery.sections || []).some(s => s.id === sectionId)) {
+        return res.status(404).json({ error: 'Section not found' });
+    }
+
+    files.forEach(filename => setPhotoSection(gallery, filename, sectionId));
+    saveGalleries();
+
+    res.json({ success: true, sections: sectionSummaries(gallery) });
+});
+
+// Serve a single photo: the original, or a rendition with ?w=<width> (?thumb=1 = smallest width).
+// For videos the original is the film itself and renditions are its poster frame.
+app.get('/api/gallery/:galleryId/photo/:filename', imageLimiter, validateGalleryId, validateFilename, requireGalleryAccess, asyncHandler(async (req, res) => {
+    const { galleryId, filename } = req.params;
+    const gallery = galleries.get(galleryId);
+    const watermarked = isWatermarked(gallery) && !isGalleryReader(req);
+
+    let width = req.query.thumb === '1' ? THUMBNAIL_WIDTH : parseInt(req.query.w, 10) || null;
+    // Proofs are never served as the original, even when no width is requested
+    if (watermarked) width = Math.min(width || WATERMARK_MAX_WIDTH, WATERMARK_MAX_WIDTH);
+
+    // The same URL yields a different format per Accept header, and watermarked or not per viewer
+    res.setHeader('Vary', 'Accept, Cookie');
+
+    if (width) {
+        const format = negotiateFormat(req);
+        const rendition = await getRendition(galleryId, filename, renditionWidth(width), format,
+            watermarked ? watermarkSettings(gallery) : null);
+        if (rendition) {
+            return sendPhoto(res, rendition, RENDITION_FORMATS[format].type);
+        }
+        if (watermarked) {
+            return res.status(404).send('Photo not found');
+        }
+        // RAW/HEIC/video without a usable preview: browsers can't show the original as an image either
+        if (photoKind(filename) && await store.stat(`uploads/${galleryId}/${filename}`)) {
+            return res.status(415).json({ error: 'Preview not available', downloadOnly: true });
+        }
+        // Fall through to the original if sharp can't read the file
+    }
+
+    const key = `uploads/${galleryId}/${filename}`;
+    if (!await store.stat(key)) {
+        return res.status(404).send('Photo not found');
+    }
+
+    // Videos are streamed, with Range requests for seeking
+    if (isVideo(filename)) {
+        return sendStoredFile(res, key, { cacheControl: PHOTO_CACHE_CONTROL });
+    }
+
+    // Originals viewed in the browser follow the same metadata policy as downloads
+    const privatized = await privatizedOriginal(galleryId, filename, metadataPolicy(gallery)).catch(() => null);
+    if (privatized) {
+        return sendPhoto(res, privatized, path.extname(filename));
+    }
+    if (metadataPolicy(gallery) !== 'keep') {
+        return res.status(500).send('Could not prepare photo');
+    }
+    await sendStoredFile(res, key, { cacheControl: PHOTO_CACHE_CONTROL });
+}));
+
+// Capture details of a photo for the preview page's info panel. GPS position and serial numbers
+// are never included, whatever the gallery's metadata policy.
+app.get('/api/gallery/:galleryId/photo/:filename/metadata', imageLimiter, validateGalleryId, validateFilename, requireGalleryAccess, asyncHandler(async (req, res) => {
+    const { galleryId, filename } = req.params;
+    const gallery = galleries.get(galleryId);
+    const known = !!(gallery && gallery.photoDetails && gallery.photoDetails[filename]);
+    const details = await photoDetails(galleryId, filename);
+
+    if (!details) {
+        return res.status(404).json({ error: 'Photo not found' });
+    }
+    if (!known) saveGalleries();
+
+    // Displayed dimensions, from the decoded preview for RAW and HEIC
+    let width = null;
+    let height = null;
+    const src = await photoSource(galleryId, filename);
+    const meta = src && await sharp(src).metadata().catch(() => null);
+    if (meta) {
+        const rotated = (meta.orientation || 1) >= 5;
+        width = rotated ? meta.height : meta.width;
+        height = rotated ? meta.width : meta.height;
+    }
+
+    res.json({
+        filename,
+        originalName: originalNameOf(gallery, filename),
+        ...details,
+        width,
+        height
+    });
+}));
+
+// Download a single photo as an attachment
+app.get('/api/gallery/:galleryId/download/:filename', validateGalleryId, validateFilename, requireGalleryAccess, requireUnwatermarked, requireDownloadAllowance, asyncHandler(async (req, res) => {
+    const { galleryId, filename } = req.params;
+    const key = `uploads/${galleryId}/${filename}`;
+    const gallery = galleries.get(galleryId);
+
+    if (!await store.stat(key)) {
+        return res.status(404).send('Photo not found');
+    }
+
+    let privatized;
+    try {
+        privatized = await privatizedOriginal(galleryId, filename, metadataPolicy(gallery));
+    } catch (err) {
+        return res.status(500).send('Could not prepare photo');
+    }
+    trackEvent(req, galleryId, 'photo_download', filename);
+    if (gallery && !isGalleryReader(req)) {
+        gallery.lastDownloadedAt = new Date().toISOString();
+        saveGalleries();
+    }
+    if (!privatized) {
+        return sendStoredFile(res, key, { downloadName: originalNameOf(gallery, filename) });
+    }
+    res.download(privatized, originalNameOf(gallery, filename));
+}));
+
+// Render a gallery's OG image (1200×630 JPEG) into og-cache. Resolves to the cached file, or
+// null if the gallery has nothing to render it from; rendering failures are thrown.
+async function renderOgImage(galleryId) {
+    const cacheFile = path.join(OG_CACHE_DIR, `${galleryId}.jpg`);
+
+    // Find source: prefer background, fall back to the first photo that can be rendered
+    let sourceFile = null;
+    const bgKey = backgroundKey(galleryId);
+    if (bgKey) sourceFile = await store.localPath(bgKey);
+    const fromBackground = !!sourceFile;
+
+    if (!sourceFile) {
+        for (const file of listGalleryFiles(galleryId) || []) {
+            sourceFile = await photoSource(galleryId, file);
+            if (sourceFile) break;
+        }
+        if (!sourceFile) return null;
+    }
+
+    let image = sharp(sourceFile).rotate().resize(1200, 630, { fit: 'cover' });
+    // Share previews of a proof gallery built from a photo carry the watermark too
+    const gallery = galleries.get(galleryId);
+    if (isWatermarked(gallery) && !fromBackground) {
+        image = await applyWatermark(image, watermarkSettings(gallery));
+    }
+    // Written under a temporary name: the OG image route serves whatever is in the cache
+    const tmp = `${cacheFile}.${uuidv4()}.tmp`;
+    try {
+        await image.jpeg({ quality: 80 }).toFile(tmp);
+        fs.renameSync(tmp, cacheFile);
+    } catch (err) {
+        fs.rmSync(tmp, { force: true });
+        throw err;
+    }
+    return cacheFile;
+}
+
+// Serve/generate OG image (1200×630 JPEG, cached)
+app.get('/api/gallery/:galleryId/og-image', imageLimiter, validateGalleryId, requireGalleryAccess, asyncHandler(async (req, res) => {
+    const { galleryId } = req.params;
+    const cacheFile = path.join(OG_CACHE_DIR, `${galleryId}.jpg`);
+
+    if (fs.existsSync(cacheFile)) {
+        return res.sendFile(cacheFile);
+    }
+    if (!galleries.has(galleryId)) {
+        return res.status(404).send('Gallery not found');
+    }
+
+    try {
+        const rendered = await jobs.run(cacheFile, () => renderOgImage(galleryId));
+        if (!rendered) return res.status(404).send('No photos');
+        res.sendFile(rendered);
+    } catch (err) {
+        res.status(500).send('Could not generate OG image');
+    }
+}));
+
+// --- Themes ---
+
+// How the customer and preview pages look. The default theme is set from the dashboard and kept
+// in theme.json; a gallery's own settings (gallery.theme) override it field by field:
+//   mode   — "dark" or "light"
+//   accent — accent color, "#rrggbb"; hover and button text colors are derived from it
+//   fonts  — one of THEME_FONTS, a heading and a body font
+//   layout — the preview page's photo grid: "grid" (4:3 tiles), "square", "masonry" or "justified"
+//   hero   — "cover" (background image behind the title), "split" (image beside it) or "minimal"
+// The pages are sent with the theme already applied (see sendGalleryPage), so clients never see
+// the default look flash first.
+const THEME_FILE = path.join(DATA_DIR, 'theme.json');
+const THEME_MODES = ['dark', 'light'];
+const THEME_LAYOUTS = ['grid', 'square', 'masonry', 'justified'];
+const THEME_HEROES = ['cover', 'split', 'minimal'];
+const THEME_FONTS = {
+    classic: {
+        label: 'Fraunces & Instrument Sans',
+        heading: "'Fraunces', serif",
+        body: "'Instrument Sans', -apple-system, BlinkMacSystemFont, sans-serif",
+        css: 'family=Instrument+Sans:wght@400;500;600&family=Fraunces:wght@400;600'
+    },
+    modern: {
+        label: 'Space Grotesk & Inter',
+        heading: "'Space Grotesk', sans-serif",
+        body: "'Inter', -apple-system, BlinkMacSystemFont, sans-serif",
+        css: 'family=Inter:wght@400;500;600&family=Space+Grotesk:wght@500;600'
+    },
+    editorial: {
+        label: 'Playfair Display & Source Sans',
+        heading: "'Playfair Display', serif",
+        body: "'Source Sans 3', -apple-system, BlinkMacSystemFont, sans-serif",
+        css: 'family=Source+Sans+3:wght@400;500;600&family=Playfair+Display:wght@400;600'
+    },
+    elegant: {
+        label: 'Cormorant Garamond & Montserrat',
+        heading: "'Cormorant Garamond', serif",
+        body: "'Montserrat', -apple-system, BlinkMacSystemFont, sans-serif",
+        css: 'family=Montserrat:wght@400;500;600&family=Cormorant+Garamond:wght@500;600'
+    },
+    system: {
+        label: 'System fonts (nothing loaded from Google Fonts)',
+        heading: 'Georgia, serif',
+        body: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+        css: null
+    }
+};
+const THEME_DEFAULTS = { mode: 'dark', accent: '#c9a962', fonts: 'classic', layout: 'grid', hero: 'cover' };
+const FONT_LINK_RE = /<link href="https:\/\/fonts\.googleapis\.com\/css2\?[^"]*" rel="stylesheet">/;
+
+let defaultTheme = { ...THEME_DEFAULTS };
+
+function loadTheme() {
+    if (fs.existsSync(THEME_FILE)) {
+        try {
+            defaultTheme = { ...defaultTheme, ...JSON.parse(fs.readFileSync(THEME_FILE, 'utf8')) };
+        } catch (err) {
+            console.error('Error loading theme:', err);
+        }
+    }
+}
+
+function saveTheme() {
+    fs.writeFileSync(THEME_FILE, JSON.stringify(defaultTheme, null, 2));
+}
+
+loadTheme();
+
+// Validate theme settings from a request body: { mode, accent, fonts, layout, hero }. With
+// inherit, a field set to null removes a gallery's own value in favour of the default.
+function themeChanges(body, { inherit = false } = {}) {
+    const choices = { mode: THEME_MODES, fonts: Object.keys(THEME_FONTS), layout: THEME_LAYOUTS, hero: THEME_HEROES };
+    const changes = {};
+    for (const field of Object.keys(THEME_DEFAULTS)) {
+        const value = body[field];
+        if (value === undefined) continue;
+        if (value === null && inherit) {
+            changes[field] = null;
+        } else if (field === 'accent') {
+            if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+                return { error: 'Accent must be a color like #c9a962' };
+            }
+            changes.accent = value.toLowerCase();
+        } else if (!choices[field].includes(value)) {
+            return { error: `The ${field === 'fonts' ? 'font pairing' : field} must be one of: ${choices[field].join(', ')}` };
+        } else {
+            changes[field] = value;
+        }
+    }
+    return { changes };
+}
+
+function galleryTheme(gallery) {
+    return { ...defaultTheme, ...(gallery && gallery.theme) };
+}
+
+// What the dashboard offers in its theme editor
+function themeOptions() {
+    return {
+        modes: THEME_MODES,
+        layouts: THEME_LAYOUTS,
+        heroes: THEME_HEROES,
+        fonts: Object.entries(THEME_FONTS).map(([id, f]) => ({ id, label: f.label }))
+    };
+}
+
+// The theme a gallery page is rendered with. Signed-in admins can pass unsaved settings as
+// ?theme=<JSON> — the dashboard's live preview shows the page that way in a frame.
+function pageTheme(req, res, gallery) {
+    const theme = galleryTheme(gallery);
+    if (!req.query.theme || !isGalleryReader(req)) return theme;
+    let preview;
+    try {
+        preview = JSON.parse(String(req.query.theme));
+    } catch (err) {
+        return theme;
+    }
+    const { changes } = themeChanges(preview && typeof preview === 'object' ? preview : {});
+    res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+    res.setHeader('Cache-Control', 'no-store');
+    return { ...theme, ...changes };
+}
+
+// The theme's CSS variables. The pages define the same variables with the default look;
+// this block comes after theirs, so it wins.
+function themeStyle(theme) {
+    const rgb = [1, 3, 5].map(i => parseInt(theme.accent.slice(i, i + 2), 16));
+    // Hover: 15% towards white on dark pages, towards black on light ones
+    const target = theme.mode === 'light' ? 0 : 255;
+    const hover = '#' + rgb.map(c => Math.round(c + (target - c) * 0.15).toString(16).padStart(2, '0')).join('');
+    // Dark text on light accents, white on dark ones (relative luminance, sRGB approximation)
+    const luminance = (0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2]) / 255;
+    const fonts = THEME_FONTS[theme.fonts] || THEME_FONTS.classic;
+    return `<style id="theme">
+        :root {
+            --accent: ${theme.accent};
+            --accent-hover: ${hover};
+            --accent-rgb: ${rgb.join(', ')};
+            --accent-text: ${luminance > 0.5 ? '#0a0a0b' : '#ffffff'};
+            --font-heading: ${fonts.heading};
+            --font-body: ${fonts.body};
+        }
+    </style>`;
+}
+
+// Send customer.html, preview.html or portal.html with OG tags, translated into `locale`, and with the theme
+// applied: its font stylesheet, its CSS variables, and body classes for the mode, layout and hero style
+function sendGalleryPage(res, page, ogTags, theme, locale) {
+    const namespace = { 'customer.html': 'download', 'preview.html': 'preview', 'portal.html': 'portal' }[page];
+    const fonts = THEME_FONTS[theme.fonts] || THEME_FONTS.classic;
+    const fontLink = fonts.css
+        ? `<link href="https://fonts.googleapis.com/css2?${fonts.css}&display=swap" rel="stylesheet">`
+        : '';
+    const html = fs.readFileSync(path.join(__dirname, 'public', page), 'utf8')
+        .replace('<head>', `<head>\n    ${ogTags}`)
+        .replace(FONT_LINK_RE, fontLink)
+        .replace('</head>', `    ${themeStyle(theme)}\n</head>`)
+        .replace('<body>', `<body class="theme-${theme.mode} layout-${theme.layout} hero-${theme.hero}">`);
+    res.send(localizePage(html, locale, i18n.strings(locale, ['errors', namespace])));
+}
+
+// Default theme and the available choices
+app.get('/api/theme', requireAuth, (req, res) => {
+    res.json({ theme: defaultTheme, options: themeOptions() });
+});
+
+// Change the default theme: { mode, accent, fonts, layout, hero }
+app.post('/api/theme', requireAuth, (req, res) => {
+    const { error, changes } = themeChanges(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    defaultTheme = { ...defaultTheme, ...changes };
+    saveTheme();
+    res.json({ success: true, theme: defaultTheme });
+});
+
+// Change a gallery's own theme settings; a field set to null follows the default again
+app.post('/api/gallery/:galleryId/theme', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const { error, changes } = themeChanges(req.body || {}, { inherit: true });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const theme = { ...gallery.theme, ...changes };
+    Object.keys(theme).filter(field => theme[field] === null).forEach(field => delete theme[field]);
+    if (Object.keys(theme).length > 0) {
+        gallery.theme = theme;
+    } else {
+        delete gallery.theme;
+    }
+    saveGalleries();
+
+    res.json({ success: true, theme: gallery.theme || {}, effective: galleryTheme(gallery) });
+});
+
+// Customer download page — serves HTML with OG meta tags injected
+app.get('/download/:galleryId', validateGalleryId, (req, res) => {
+    const { galleryId } = req.params;
+
+    if (!galleries.has(galleryId)) {
+        return sendErrorPage(req, res, null, 'notFound');
+    }
+
+    const gallery = galleries.get(galleryId);
+    if (isGalleryExpired(gallery) && !isGalleryReader(req)) {
+        return sendErrorPage(req, res, gallery, 'expired');
+    }
+    trackEvent(req, galleryId, 'download_page');
+    noteFirstView(req, gallery);
+    const locale = clientLocale(req, res, gallery);
+    const eventName = gallery.eventName || i18n.translate(locale, 'og.yourPhotos');
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    const ogTags = [
+        `<meta property="og:title" content="${escapeAttr(eventName)}">`,
+        `<meta property="og:description" content="${escapeAttr(i18n.translate(locale, 'og.download'))}">`,
+        `<meta property="og:image" content="${baseUrl}/api/gallery/${galleryId}/og-image">`,
+        `<meta property="og:type" content="website">`,
+        `<meta property="og:url" content="${baseUrl}/download/${galleryId}">`
+    ].join('\n    ');
+
+    sendGalleryPage(res, 'customer.html', ogTags, pageTheme(req, res, gallery), locale);
+});
+
+// Preview page — serves HTML with OG meta tags injected
+app.get('/preview/:galleryId', validateGalleryId, (req, res) => {
+    const { galleryId } = req.params;
+
+    if (!galleries.has(galleryId)) {
+        return sendErrorPage(req, res, null, 'notFound');
+    }
+
+    const gallery = galleries.get(galleryId);
+    if (isGalleryExpired(gallery) && !isGalleryReader(req)) {
+        return sendErrorPage(req, res, gallery, 'expired');
+    }
+    trackEvent(req, galleryId, 'preview_page');
+    noteFirstView(req, gallery);
+    const locale = clientLocale(req, res, gallery);
+    const eventName = gallery.eventName || i18n.translate(locale, 'og.yourPhotos');
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    const ogTags = [
+        `<meta property="og:title" content="${escapeAttr(eventName)}">`,
+        `<meta property="og:description" content="${escapeAttr(i18n.translate(locale, 'og.preview'))}">`,
+        `<meta property="og:image" content="${baseUrl}/api/gallery/${galleryId}/og-image">`,
+        `<meta property="og:type" content="website">`,
+        `<meta property="og:url" content="${baseUrl}/preview/${galleryId}">`
+    ].join('\n    ');
+
+    sendGalleryPage(res, 'preview.html', ogTags, pageTheme(req, res, gallery), locale);
+});
+
+// Get gallery info (for customer and preview pages)
+app.get('/api/gallery/:galleryId/info', validateGalleryId, (req, res) => {
+    const { galleryId } = req.params;
+
+    const backgroundFile = backgroundKey(galleryId);
+    const gallery = galleries.get(galleryId);
+    const fileCount = gallery ? gallery.files.length : 0;
+
+    const eventName = gallery ? gallery.eventName : 'Your Photos';
+    const isAdmin = isGalleryReader(req);
+
+    if (gallery && isGalleryExpired(gallery) && !isAdmin) {
+        return res.status(410).json({ error: 'This gallery link has expired', expired: true });
+    }
+
+    // Locked galleries only reveal what the password prompt needs
+    const locked = !!gallery && !isAdmin && !isGalleryUnlocked(req, gallery);
+    const downloadsRemaining = gallery && gallery.maxDownloads != null
+        ? Math.max(0, gallery.maxDownloads - (gallery.downloadCount || 0))
+        : null;
+
+    res.json({
+        galleryId,
+        eventName,
+        background: backgroundFile ? `/api/gallery/${galleryId}/background` : null,
+        fileCount: locked ? null : fileCount,
+        passwordRequired: locked,
+        expiresAt: gallery ? gallery.expiresAt || null : null,
+        downloadsRemaining: isAdmin ? null : downloadsRemaining,
+        proofing: gallery ? proofingSettings(gallery) : null,
+        watermarked: isWatermarked(gallery) && !isAdmin,
+        sections: gallery && !locked ? sectionSummaries(gallery).filter(s => s.count > 0) : []
+    });
+});
+
+// --- Client proofing (favorites, comments and final selections) ---
+
+// Each gallery holds a list of selections, one per client session on the preview page:
+//   { id, clientName, visitor, favorites: [filename], comments: { filename: text },
+//     status: 'draft' | 'submitted', created, updated, submittedAt }
+// The selection ID is only known to the browser that created it, so it doubles as its secret.
+// `visitor` is a keyed hash of the client IP that started it, only used to cap open drafts; the
+// key lives in memory, so the per-visitor cap starts over after a restart.
+
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_DRAFT_SELECTIONS = 200;
+const MAX_DRAFTS_PER_VISITOR = 5;
+const MAX_SELECTION_PHOTOS = 1000;
+const SELECTION_VISITOR_KEY = crypto.randomBytes(32);
+
+function selectionVisitor(req) {
+    return crypto.createHmac('sha256', SELECTION_VISITOR_KEY).update(String(req.ip)).digest('hex').slice(0, 16);
+}
+
+function proofingSettings(gallery) {
+    const proofing = gallery.proofing || {};
+    return {
+        enabled: proofing.enabled !== false,
+        maxSelections: proofing.maxSelections || null
+    };
+}
+
+// Resolve the gallery and (optionally) the selection for proofing routes, or send an error
+function loadSelection(req, res) {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        res.status(404).json({ error: 'Gallery not found' });
+        return null;
+    }
+    if (!proofingSettings(gallery).enabled) {
+        res.status(403).json({ error: 'Proofing is not enabled for this gallery' });
+        return null;
+    }
+    if (!req.params.selectionId) return { gallery };
+
+    const selection = (gallery.selections || []).find(s => s.id === req.params.selectionId);
+    if (!selection) {
+        res.status(404).json({ error: 'Selection not found' });
+        return null;
+    }
+    return { gallery, selection };
+}
+
+function validateSelectionId(req, res, next) {
+    if (!UUID_V4_REGEX.test(req.params.selectionId)) {
+        return res.status(400).json({ error: 'Invalid selection ID' });
+    }
+    next();
+}
+
+// Strip the extension so filenames can be pasted into Lightroom's "Filename contains" filter
+function lightroomName(filename) {
+    return filename.replace(/\.[^.]+$/, '');
+}
+
+function csvCell(value) {
+    const str = String(value == null ? '' : value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Update proofing settings (admin only): { enabled, maxSelections }
+app.post('/api/gallery/:galleryId/proofing', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const proofing = proofingSettings(gallery);
+    if (req.body.enabled !== undefined) {
+        proofing.enabled = !!req.body.enabled;
+    }
+    if (req.body.maxSelections !== undefined) {
+        if (req.body.maxSelections === null || req.body.maxSelections === '') {
+            proofing.maxSelections = null;
+        } else {
+            const n = parseInt(req.body.maxSelections, 10);
+            if (!Number.isInteger(n) || n < 1) {
+                return res.status(400).json({ error: 'Selection limit must be a positive number' });
+            }
+            proofing.maxSelections = n;
+        }
+    }
+
+    gallery.proofing = proofing;
+    saveGalleries();
+    res.json({ success: true, proofing });
+});
+
+// List all selections for a gallery (admin only)
+app.get('/api/gallery/:galleryId/selections', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+    res.json({ proofing: proofingSettings(gallery), selections: gallery.selections || [] });
+});
+
+// Export selections (admin only).
+//   ?format=csv       — one row per photo that was favorited or commented on
+//   ?format=lightroom — comma-separated filenames (no extensions) for Lightroom's filter bar
+//   ?selection=<id>   — limit the export to a single selection
+app.get('/api/gallery/:galleryId/selections/export', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    let selections = gallery.selections || [];
+    if (req.query.selection) {
+        selections = selections.filter(s => s.id === req.query.selection);
+        if (selections.length === 0) {
+            return res.status(404).json({ error: 'Selection not found' });
+        }
+    }
+
+    const baseName = safeDownloadName(gallery.eventName, 'selection');
+
+    if (req.query.format === 'lightroom') {
+        const names = new Set();
+        selections.forEach(s => s.favorites.forEach(f => names.add(lightroomName(originalNameOf(gallery, f)))));
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}-lightroom.txt"`);
+        return res.send([...names].join(', '));
+    }
+
+    const rows = [['Selection', 'Client', 'Status', 'Filename', 'Original Filename', 'Favorite', 'Comment']];
+    selections.forEach(s => {
+        const files = new Set([...s.favorites, ...Object.keys(s.comments)]);
+        gallery.files.filter(f => files.has(f)).forEach(f => {
+            rows.push([s.id, s.clientName, s.status, f, originalNameOf(gallery, f), s.favorites.includes(f) ? 'yes' : 'no', s.comments[f] || '']);
+        });
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}-selections.csv"`);
+    res.send(rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n');
+});
+
+// Start a new selection (client) — returns the selection ID the browser keeps for later edits
+// Drafts are capped per visitor and per gallery; at the gallery cap the oldest untouched draft
+// makes room, so abandoned sessions can't lock other clients out
+app.post('/api/gallery/:galleryId/selections', selectionLimiter, validateGalleryId, requireGalleryAccess, (req, res) => {
+    const ctx = loadSelection(req, res);
+    if (!ctx) return;
+    const selections = ctx.gallery.selections || [];
+    const visitor = selectionVisitor(req);
+
+    const drafts = selections.filter(s => s.status === 'draft');
+    if (drafts.filter(s => s.visitor === visitor).length >= MAX_DRAFTS_PER_VISITOR) {
+        return res.status(429).json({ error: 'Too many open selections for this gallery' });
+    }
+    if (drafts.length >= MAX_DRAFT_SELECTIONS) {
+        const untouched = drafts.filter(s => s.favorites.length === 0 && Object.keys(s.comments).length === 0);
+        if (untouched.length === 0) {
+            return res.status(429).json({ error: 'This gallery has too many open selections' });
+        }
+        const oldest = untouched.reduce((a, b) => (a.updated <= b.updated ? a : b));
+        selections.splice(selections.indexOf(oldest), 1);
+    }
+
+    const now = new Date().toISOString();
+    const selection = {
+        id: uuidv4(),
+        clientName: String(req.body.clientName || '').trim().substring(0, 100),
+        visitor,
+        favorites: [],
+        comments: {},
+        status: 'draft',
+        created: now,
+        updated: now,
+        submittedAt: null
+    };
+    selections.push(selection);
+    ctx.gallery.selections = selections;
+    saveGalleries();
+
+    res.json(selection);
+});
+
+// Fetch a selection (client)
+app.get('/api/gallery/:galleryId/selections/:selectionId', validateGalleryId, validateSelectionId, requireGalleryAccess, (req, res) => {
+    const ctx = loadSelection(req, res);
+    if (!ctx) return;
+    res.json(ctx.selection);
+});
 
-    res.json({ success: true });
+// Favorite/unfavorite a photo or set its comment (client): { favorite?: bool, comment?: string }
+app.post('/api/gallery/:galleryId/selections/:selectionId/photo/:filename', validateGalleryId, validateSelectionId, validateFilename, requireGalleryAccess, (req, res) => {
+    const ctx = loadSelection(req, res);
+    if (!ctx) return;
+    const { gallery, selection } = ctx;
+    const { filename } = req.params;
+
+    if (selection.status === 'submitted') {
+        return res.status(409).json({ error: 'This selection has already been submitted' });
+    }
+    if (!gallery.files.includes(filename)) {
+        return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    if (req.body.favorite !== undefined) {
+        const isFavorite = selection.favorites.includes(filename);
+        if (req.body.favorite && !isFavorite) {
+            const { maxSelections } = proofingSettings(gallery);
+            if (maxSelections && selection.favorites.length >= maxSelections) {
+                return res.status(409).json({ error: `You can choose up to ${maxSelections} photos`, maxSelections });
+            }
+            if (selection.favorites.length >= MAX_SELECTION_PHOTOS) {
+                return res.status(409).json({ error: `A selection can hold up to ${MAX_SELECTION_PHOTOS} photos` });
+            }
+            selection.favorites.push(filename);
+        } else if (!req.body.favorite && isFavorite) {
+            selection.favorites = selection.favorites.filter(f => f !== filename);
+        }
+    }
+
+    if (req.body.comment !== undefined) {
+        const comment = String(req.body.comment || '').trim().substring(0, MAX_COMMENT_LENGTH);
+        if (comment) {
+            if (!(filename in selection.comments) && Object.keys(selection.comments).length >= MAX_SELECTION_PHOTOS) {
+                return res.status(409).json({ error: `A selection can hold up to ${MAX_SELECTION_PHOTOS} comments` });
+            }
+            selection.comments[filename] = comment;
+        } else {
+            delete selection.comments[filename];
+        }
+    }
+
+    selection.updated = new Date().toISOString();
+    saveGalleries();
+    res.json(selection);
 });
 
-// Reset logo to the bundled default (admin only)
-app.delete('/api/logo', requireAuth, (_req, res) => {
-    for (const ext of LOGO_EXTS) {
-        const p = path.join(DATA_DIR, `logo${ext}`);
-        if (fs.existsSync(p)) fs.unlinkSync(p);
+// Submit the final selection (client): { clientName }
+app.post('/api/gallery/:galleryId/selections/:selectionId/submit', validateGalleryId, validateSelectionId, requireGalleryAccess, (req, res) => {
+    const ctx = loadSelection(req, res);
+    if (!ctx) return;
+    const { selection } = ctx;
+
+    if (selection.status === 'submitted') {
+        return res.status(409).json({ error: 'This selection has already been submitted' });
+    }
+
+    const clientName = String(req.body.clientName || selection.clientName || '').trim().substring(0, 100);
+    if (!clientName) {
+        return res.status(400).json({ error: 'Please enter your name' });
+    }
+    if (selection.favorites.length === 0) {
+        return res.status(400).json({ error: 'Select at least one photo first' });
+    }
+
+    selection.clientName = clientName;
+    selection.status = 'submitted';
+    selection.submittedAt = new Date().toISOString();
+    selection.updated = selection.submittedAt;
+    saveGalleries();
+
+    res.json(selection);
+});
+
+// Delete a selection (admin only)
+app.delete('/api/gallery/:galleryId/selections/:selectionId', requireAuth, validateGalleryId, validateSelectionId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const before = (gallery.selections || []).length;
+    gallery.selections = (gallery.selections || []).filter(s => s.id !== req.params.selectionId);
+    if (gallery.selections.length === before) {
+        return res.status(404).json({ error: 'Selection not found' });
     }
+
+    saveGalleries();
     res.json({ success: true });
 });
 
-// Middleware to generate galleryId BEFORE multer processes files
-function generateGalleryId(req, res, next) {
-    const galleryId = uuidv4();
-    req.galleryId = galleryId;
-    galleries.set(galleryId, {
-        id: galleryId,
-        eventName: '',
-        created: new Date().toISOString(),
-        files: [],
-        background: null
-    });
+// --- Guest uploads ---
+
+// A gallery can hand out a second link that lets guests add their own photos:
+//   gallery.guestUpload = { enabled, token, maxFiles, maxFileMb, types }
+// `token` is the link's secret and is only ever checked against the URL. Guest photos are
+// stored with the gallery's other originals but kept out of gallery.files (and so out of
+// /photos, the ZIP and selections) until an admin approves them:
+//   gallery.guestPhotos = { filename: { guestName, uploadedAt, approvedAt } }
+// Approved photos keep their entry, so the dashboard can still tell who contributed what.
+
+// File types a gallery may accept from guests, by the name used in its settings
+const GUEST_UPLOAD_TYPES = {
+    jpeg: ['.jpg', '.jpeg'],
+    png:  ['.png'],
+    heic: HEIC_EXTENSIONS,
+    webp: ['.webp'],
+    raw:  RAW_EXTENSIONS
+};
+const GUEST_TOKEN_RE = /^[A-Za-z0-9_-]{16,64}$/;
+// Photos waiting for moderation per gallery, so an open link can't fill the disk
+const GUEST_PENDING_LIMIT = 500;
+const MAX_PHOTO_MB = Math.floor(MAX_PHOTO_BYTES / (1024 * 1024));
+
+function guestUploadSettings(gallery) {
+    const guest = gallery.guestUpload || {};
+    return {
+        enabled: !!guest.enabled,
+        token: guest.token || null,
+        maxFiles: guest.maxFiles || 20,
+        maxFileMb: Math.min(guest.maxFileMb || 25, MAX_PHOTO_MB),
+        types: guest.types || ['jpeg', 'png', 'heic', 'webp']
+    };
+}
+
+// Guest photos awaiting moderation, oldest first
+function pendingGuestFiles(gallery) {
+    const guestPhotos = gallery.guestPhotos || {};
+    return Object.keys(guestPhotos).filter(f => !guestPhotos[f].approvedAt);
+}
+
+function newGuestToken() {
+    return crypto.randomBytes(18).toString('base64url');
+}
+
+// Guest routes answer an unknown, disabled or wrong link the same way
+function requireGuestToken(req, res, next) {
+    const gallery = galleries.get(req.params.galleryId);
+    const settings = gallery && guestUploadSettings(gallery);
+    const sent = String(req.params.token);
+    const valid = !!settings && settings.enabled && !!settings.token && GUEST_TOKEN_RE.test(sent) &&
+        sent.length === settings.token.length &&
+        crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(settings.token));
+
+    if (!valid) {
+        return res.status(404).json({ error: 'This upload link is not valid' });
+    }
+    if (isGalleryExpired(gallery)) {
+        return res.status(410).json({ error: 'This gallery link has expired', expired: true });
+    }
     next();
 }
 
-// Create new gallery and upload photos
-app.post('/api/gallery/create', requireAuth, generateGalleryId, upload.array('photos', 500), (req, res) => {
-    const galleryId = req.galleryId;
+// The regular upload pipeline (staging storage, unique filenames) with the gallery's own limits
+function guestUpload(req, res, next) {
+    const settings = guestUploadSettings(galleries.get(req.params.galleryId));
+    const extensions = settings.types.flatMap(type => GUEST_UPLOAD_TYPES[type]);
+
+    multer({
+        storage,
+        limits: { fileSize: settings.maxFileMb * 1024 * 1024, files: settings.maxFiles },
+        fileFilter: (req, file, cb) => {
+            if (extensions.includes(path.extname(file.originalname).toLowerCase())) {
+                cb(null, true);
+            } else {
+                cb(Object.assign(new Error(`${file.originalname} is not a file type this gallery accepts`), { status: 400, expose: true }), false);
+            }
+        }
+    }).array('photos', settings.maxFiles)(req, res, err => {
+        if (err && err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Photos can be up to ${settings.maxFileMb} MB each` });
+        }
+        if (err && (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE')) {
+            return res.status(400).json({ error: `Upload up to ${settings.maxFiles} photos at a time` });
+        }
+        next(err);
+    });
+}
+
+// Guest upload page
+app.get('/upload/:galleryId/:token', validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return sendErrorPage(req, res, null, 'notFound', 'guest');
+    }
+
+    const locale = clientLocale(req, res, gallery);
+    const ogTags = [
+        `<meta property="og:title" content="${escapeAttr(gallery.eventName || i18n.translate(locale, 'og.guestTitle'))}">`,
+        `<meta property="og:description" content="${escapeAttr(i18n.translate(locale, 'og.guest'))}">`,
+        `<meta name="robots" content="noindex">`
+    ].join('\n    ');
+    const html = fs.readFileSync(path.join(__dirname, 'public', 'guest.html'), 'utf8');
+    res.send(localizePage(html.replace('<head>', `<head>\n    ${ogTags}`), locale, i18n.strings(locale, ['errors', 'guest'])));
+});
+
+// What the guest upload page needs to know: event name and the gallery's limits
+app.get('/api/gallery/:galleryId/guest-upload/:token', validateGalleryId, requireGuestToken, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    const settings = guestUploadSettings(gallery);
+    res.json({
+        eventName: gallery.eventName,
+        background: gallery.background ? `/api/gallery/${gallery.id}/background` : null,
+        maxFiles: settings.maxFiles,
+        maxFileMb: settings.maxFileMb,
+        extensions: settings.types.flatMap(type => GUEST_UPLOAD_TYPES[type])
+    });
+});
+
+// Guest upload: multipart `photos` plus the guest's `name`. The photos wait for moderation.
+app.post('/api/gallery/:galleryId/guest-upload/:token', guestUploadLimiter, validateGalleryId, requireGuestToken, (req, res, next) => {
+    if (pendingGuestFiles(galleries.get(req.params.galleryId)).length >= GUEST_PENDING_LIMIT) {
+        return res.status(429).json({ error: 'This gallery is not accepting more photos right now' });
+    }
+    next();
+}, asyncHandler(requireDiskSpace), guestUpload, enforceQuota, asyncHandler(async (req, res) => {
+    const { galleryId } = req.params;
     const gallery = galleries.get(galleryId);
 
-    // If multer processed no files, clean up the skeleton gallery and return an error
-    // so the admin never receives a link for an empty gallery that would 404
     if (!req.files || req.files.length === 0) {
-        galleries.delete(galleryId);
-        saveGalleries();
         return res.status(400).json({ error: 'No photos were uploaded. Please select at least one image.' });
     }
 
-    if (gallery) {
-        gallery.files = req.files.map(f => f.filename);
-        gallery.eventName = (String(req.body.eventName || 'Untitled Event')).trim().substring(0, 200);
-        saveGalleries();
-        generateGalleryThumbnails(galleryId, gallery.files).catch(() => {});
+    const guestName = String(req.body.name || '').replace(/[\x00-\x1f\x7f]/g, '').trim().substring(0, 100) || 'Guest';
+    let result;
+    try {
+        result = await ingestUploads(galleryId, gallery, req.files, guestName);
+    } catch (err) {
+        console.error('Guest upload processing failed:', err.message);
+        return res.status(500).json({ error: 'Failed to process uploaded photos' });
+    }
+    saveGalleries();
+    // Thumbnails for the moderation queue
+    queueGalleryImages(galleryId, result.added);
+
+    res.json({ success: true, received: result.added.length, duplicates: result.duplicates.length });
+}));
+
+// Guest upload settings and the moderation queue (admin only)
+app.get('/api/gallery/:galleryId/guest-uploads', requireAuth, validateGalleryId, (req, res) => {
+    const { galleryId } = req.params;
+    const gallery = galleries.get(galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
     }
 
+    const settings = guestUploadSettings(gallery);
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const downloadUrl = `${baseUrl}/download/${galleryId}`;
+    res.json({
+        settings,
+        types: Object.keys(GUEST_UPLOAD_TYPES),
+        maxFileMb: MAX_PHOTO_MB,
+        uploadUrl: settings.token ? `${baseUrl}/upload/${galleryId}/${settings.token}` : null,
+        pending: pendingGuestFiles(gallery).map(filename => ({
+            filename,
+            originalName: originalNameOf(gallery, filename),
+            guestName: gallery.guestPhotos[filename].guestName,
+            uploadedAt: gallery.guestPhotos[filename].uploadedAt,
+            format: photoKind(filename),
+            thumbnailUrl: `/api/gallery/${galleryId}/photo/${encodeURIComponent(filename)}?thumb=1`
+        }))
+    });
+});
+
+// Update guest upload settings (admin only): { enabled, maxFiles, maxFileMb, types, newLink }.
+// A link is created the first time guest uploads are enabled; `newLink` replaces it, so the
+// old one stops working.
+app.post('/api/gallery/:galleryId/guest-uploads', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const settings = guestUploadSettings(gallery);
+    const { enabled, maxFiles, maxFileMb, types, newLink } = req.body;
+
+    if (enabled !== undefined) {
+        settings.enabled = !!enabled;
+    }
+    if (maxFiles !== undefined) {
+        const n = parseInt(maxFiles, 10);
+        if (!Number.isInteger(n) || n < 1 || n > 500) {
+            return res.status(400).json({ error: 'Photos per upload must be between 1 and 500' });
+        }
+        settings.maxFiles = n;
+    }
+    if (maxFileMb !== undefined) {
+        const n = parseInt(maxFileMb, 10);
+        if (!Number.isInteger(n) || n < 1 || n > MAX_PHOTO_MB) {
+            return res.status(400).json({ error: `Maximum photo size must be between 1 and ${MAX_PHOTO_MB} MB` });
+        }
+        settings.maxFileMb = n;
+    }
+    if (types !== undefined) {
+        const list = Array.isArray(types) ? [...new Set(types.map(String))] : [];
+        if (list.length === 0 || !list.every(type => GUEST_UPLOAD_TYPES[type])) {
+            return res.status(400).json({ error: `File types must be any of: ${Object.keys(GUEST_UPLOAD_TYPES).join(', ')}` });
+        }
+        settings.types = list;
+    }
+    if (newLink || (settings.enabled && !settings.token)) {
+        settings.token = newGuestToken();
+    }
+
+    gallery.guestUpload = settings;
+    saveGalleries();
 
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
     res.json({
         success: true,
-        galleryId,
-        downloadUrl,
-        fileCount: req.files.length
+        settings,
+        uploadUrl: settings.token ? `${baseUrl}/upload/${gallery.id}/${settings.token}` : null
     });
 });
 
-// Add more photos to existing gallery
-app.post('/api/gallery/:galleryId/upload', requireAuth, validateGalleryId, upload.array('photos', 500), (req, res) => {
+// Pending guest photos named in `files`, or an error response
+function pendingSelection(req, res) {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        res.status(404).json({ error: 'Gallery not found' });
+        return null;
+    }
+    const pending = pendingGuestFiles(gallery);
+    const files = Array.isArray(req.body.files) ? [...new Set(req.body.files.map(String))] : [];
+    if (files.length === 0 || !files.every(f => pending.includes(f))) {
+        res.status(400).json({ error: 'Files must list photos awaiting approval' });
+        return null;
+    }
+    return { gallery, files };
+}
+
+// Approve guest photos (admin only): { files: [...] } — they are added to the end of the gallery
+app.post('/api/gallery/:galleryId/guest-uploads/approve', requireAuth, validateGalleryId, (req, res) => {
+    const selection = pendingSelection(req, res);
+    if (!selection) return;
+    const { gallery, files } = selection;
+
+    const approvedAt = new Date().toISOString();
+    for (const filename of files) {
+        gallery.guestPhotos[filename].approvedAt = approvedAt;
+        gallery.files.push(filename);
+    }
+    saveGalleries();
+    notifyGallery('gallery.photos_added', gallery, req, { added: files.length });
+
+    res.json({ success: true, fileCount: gallery.files.length, pending: pendingGuestFiles(gallery).length });
+});
+
+// Reject guest photos (admin only): { files: [...] } — they are deleted
+app.post('/api/gallery/:galleryId/guest-uploads/reject', requireAuth, validateGalleryId, asyncHandler(async (req, res) => {
+    const selection = pendingSelection(req, res);
+    if (!selection) return;
+    const { gallery, files } = selection;
+
+    for (const filename of files) {
+        await store.remove(`uploads/${gallery.id}/${filename}`);
+        invalidatePhotoCaches(gallery.id, filename);
+        delete gallery.guestPhotos[filename];
+        delete gallery.hashes[filename];
+        if (gallery.fileSizes) delete gallery.fileSizes[filename];
+        if (gallery.originalNames) delete gallery.originalNames[filename];
+        if (gallery.photoDetails) delete gallery.photoDetails[filename];
+    }
+    saveGalleries();
+
+    res.json({ success: true, pending: pendingGuestFiles(gallery).length });
+}));
+
+// Download photos as ZIP.
+//   ?files=a.jpg,b.jpg — only these photos (e.g. a selection made in preview.html)
+//   ?selection=<id>    — only the favorites of a proofing selection
+//   ?section=<id>      — only the photos of one section
+//   ?size=web          — resized JPEGs (WEB_SIZE_PX long edge) instead of the originals
+app.get('/api/gallery/:galleryId/download', validateGalleryId, requireGalleryAccess, requireUnwatermarked, requireDownloadAllowance, asyncHandler(async (req, res) => {
+    const { galleryId } = req.params;
+    let files = listGalleryFiles(galleryId);
+
+    if (!files) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const gallery = galleries.get(galleryId);
+
+    // Narrow down to the requested subset, ignoring names that aren't in the gallery
+    let requested = null;
+    if (req.query.files) {
+        requested = String(req.query.files).split(',').map(f => f.trim()).filter(f => SAFE_FILENAME_RE.test(f));
+    } else if (req.query.selection && gallery) {
+        const selection = (gallery.selections || []).find(s => s.id === req.query.selection);
+        if (!selection) {
+            return res.status(404).json({ error: 'Selection not found' });
+        }
+        requested = selection.favorites;
+    }
+    let section = null;
+    if (req.query.section && gallery) {
+        section = (gallery.sections || []).find(s => s.id === req.query.section);
+        if (!section) {
+            return res.status(404).json({ error: 'Section not found' });
+        }
+        files = files.filter(f => sectionOf(gallery, f) === section.id);
+    }
+    if (requested) {
+        const wanted = new Set(requested);
+        files = files.filter(f => wanted.has(f));
+    }
+
+    if (files.length === 0) {
+        return res.status(404).json({ error: requested || section ? 'None of the requested photos were found' : 'No files in gallery' });
+    }
+
+    const webSize = req.query.size === 'web';
+    const eventName = gallery && gallery.eventName ? gallery.eventName : 'photos';
+
+    // Count client ZIP downloads towards the gallery's download allowance
+    if (gallery && !isGalleryReader(req)) {
+        gallery.downloadCount = (gallery.downloadCount || 0) + 1;
+        gallery.lastDownloadedAt = new Date().toISOString();
+        saveGalleries();
+    }
+    trackEvent(req, galleryId, 'zip_download');
+
+    const safeFileName = safeDownloadName(eventName, 'photos') +
+        (section ? `-${safeDownloadName(section.name, 'section')}` : '') +
+        (webSize ? '-web' : '');
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${safeFileName}.zip"`);
+
+    const archive = archiver('zip', { zlib: { level: 5 } });
+    archive.on('error', (err) => {
+        // Once the archive has started streaming, the only way to signal failure is to cut it off
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).send({ error: err.message });
+    });
+    archive.pipe(res);
+
+    // Tell webhooks once a client has received the whole archive
+    if (gallery && !isGalleryReader(req)) {
+        res.on('finish', () => notifyGallery('gallery.zip_downloaded', gallery, req, {
+            photoCount: files.length,
+            size: webSize ? 'web' : 'original'
+        }));
+    }
+
+    // Entries use the names the photos were uploaded with; repeats get a -2, -3, ... suffix.
+    // A whole-gallery ZIP puts sectioned photos in a folder per section.
+    const usedNames = new Set();
+    const folders = {};
+    if (!section) {
+        (gallery ? gallery.sections || [] : []).forEach(s => {
+            folders[s.id] = s.name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').replace(/^\.+/, '_') + '/';
+        });
+    }
+    const entryName = (file, name) => {
+        const folder = folders[sectionOf(gallery, file)] || '';
+        const ext = path.extname(name);
+        const base = name.slice(0, name.length - ext.length);
+        let candidate = folder + name;
+        for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+            candidate = `${folder}${base}-${n}${ext}`;
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    };
+
+    // Videos are stored as they are: they are compressed already, and deflating them again
+    // would only cost CPU time
+    const policy = metadataPolicy(gallery);
+    if (!webSize && policy === 'keep' && store.isLocal) {
+        const galleryPath = path.join(DATA_DIR, 'uploads', galleryId);
+        files.forEach(file => archive.file(path.join(galleryPath, file), {
+            name: entryName(file, originalNameOf(gallery, file)),
+            store: isVideo(file)
+        }));
+        archive.finalize();
+        return;
+    }
+
+    // Web size and metadata stripping: process one photo at a time and wait for archiver to
+    // consume it, so memory stays bounded to a single image. Resized JPEGs carry no metadata;
+    // RAW and HEIC are converted from their decoded preview, and files that can't be decoded at
+    // all are included as originals with the policy applied (or left out if that fails).
+    // Videos, which have no web size, and originals in object storage are streamed the same
+    // way, one at a time.
+    // archiver stops emitting 'entry' once the client goes away, so every wait also ends on close
+    let aborted = false;
+    const closed = new Promise(resolve => res.once('close', () => {
+        aborted = true;
+        resolve();
+    }));
+
+    for (const file of files) {
+        if (aborted) break;
+        const key = `uploads/${galleryId}/${file}`;
+        const video = isVideo(file);
+        const decoded = webSize && !video ? await photoSource(galleryId, file) : null;
+        const resized = decoded && await sharp(decoded)
+            .rotate()
+            .resize(WEB_SIZE_PX, WEB_SIZE_PX, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 85 })
+            .toBuffer()
+            .catch(() => null);
+        const privatized = !resized && await privatizedOriginal(galleryId, file, policy).catch(() => null);
+        if (!resized && !privatized && !video && policy !== 'keep') continue;
+
+        const originalName = originalNameOf(gallery, file);
+        const name = entryName(file, resized ? originalName.replace(/\.[^.]+$/, '') + '.jpg' : originalName);
+
+        const processed = new Promise(resolve => archive.once('entry', resolve));
+        if (resized) {
+            archive.append(resized, { name });
+        } else if (privatized) {
+            archive.append(fs.createReadStream(privatized), { name });
+        } else {
+            archive.append(store.createReadStream(key), { name, store: video });
+        }
+        await Promise.race([processed, closed]);
+    }
+
+    if (aborted) {
+        archive.abort();
+        return;
+    }
+    archive.finalize();
+}));
+
+// Lightbox view of a photo, reported by preview.html with navigator.sendBeacon
+app.post('/api/gallery/:galleryId/photo/:filename/view', imageLimiter, validateGalleryId, validateFilename, requireGalleryAccess, (req, res) => {
+    const { galleryId, filename } = req.params;
+    const gallery = galleries.get(galleryId);
+    if (!gallery || !gallery.files.includes(filename)) {
+        return res.status(404).json({ error: 'Photo not found' });
+    }
+    trackEvent(req, galleryId, 'photo_view', filename);
+    res.status(204).end();
+});
+
+// Client activity for a gallery (admin): totals, the most viewed photos and the latest events
+app.get('/api/gallery/:galleryId/analytics', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+    if (!analyticsEnabled()) {
+        return res.json({ enabled: false });
+    }
+
+    res.json({
+        enabled: true,
+        retentionDays: analyticsRetentionDays(),
+        ...analyticsSummary(gallery, 10),
+        recent: analytics.events(gallery.id).slice(-20).reverse()
+            .map(e => ({ ...e, originalName: e.filename ? originalNameOf(gallery, e.filename) : null }))
+    });
+});
+
+// Every recorded event of a gallery as CSV (admin)
+app.get('/api/gallery/:galleryId/analytics/export', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
+
+    const rows = [['Time', 'Event', 'Filename', 'Original Filename', 'Browser', 'Visitor']];
+    (analyticsEnabled() ? analytics.events(gallery.id) : []).forEach(e => {
+        rows.push([e.ts, e.type, e.filename, e.filename ? originalNameOf(gallery, e.filename) : '', e.ua, e.visitor]);
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${safeDownloadName(gallery.eventName, 'gallery')}-activity.csv"`);
+    res.send(rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n');
+});
+
+// When anything last happened to a gallery: created, opened by the client or downloaded
+function lastActivityAt(gallery) {
+    const viewed = analyticsEnabled() ? analytics.summary(gallery.id, []).lastViewedAt : null;
+    return [gallery.created, viewed, gallery.lastDownloadedAt].filter(Boolean).sort().pop();
+}
+
+// Sort keys for the dashboard list; ties are broken by gallery ID so cursors stay stable.
+// "date" is the shoot date, or the upload day for galleries without one, then creation time.
+const GALLERY_SORTS = {
+    date: { order: 'desc', key: g => [g.shootDate || g.created.slice(0, 10), g.created] },
+    name: { order: 'asc', key: g => [(g.eventName || 'Untitled Event').toLowerCase()] },
+    size: { order: 'desc', key: g => [galleryBytes(g)] },
+    activity: { order: 'desc', key: g => [lastActivityAt(g)] }
+};
+const MAX_GALLERY_PAGE = 200;
+
+function compareSortKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) continue;
+        if (typeof a[i] === 'number') return a[i] - b[i];
+        return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+// Cursors are the sort key and ID of the last gallery on the previous page, so a page doesn't
+// shift when galleries are added or deleted in the meantime
+function encodeGalleryCursor(key, id) {
+    return Buffer.from(JSON.stringify([...key, id])).toString('base64url');
+}
+
+function decodeGalleryCursor(cursor) {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Array.isArray(values) || values.length < 2) return null;
+        if (!values.every(v => typeof v === 'string' || typeof v === 'number')) return null;
+        return { key: values.slice(0, -1), id: String(values[values.length - 1]) };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Dashboard gallery list, filtered, sorted and paged on the server:
+//   ?q=       words that must all appear in the event name or the tags
+//   ?tag=     only galleries with this tag
+//   ?client=  a client ID, or "none" for galleries without one
+//   ?sort=    date (default), name, size or activity; ?order=asc|desc overrides the direction
+//   ?limit=   page size, up to MAX_GALLERY_PAGE (everything if unset); ?cursor= the next page
+// Responds { galleries, total, nextCursor, tags } — total counts all matches, tags every tag in use
+app.get('/api/galleries', requireAuth, (req, res) => {
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const sortName = req.query.sort ? String(req.query.sort) : 'date';
+    const sort = Object.prototype.hasOwnProperty.call(GALLERY_SORTS, sortName) && GALLERY_SORTS[sortName];
+    if (!sort) {
+        return res.status(400).json({ error: `Unknown sort "${sortName}"` });
+    }
+    if (req.query.order && !['asc', 'desc'].includes(req.query.order)) {
+        return res.status(400).json({ error: 'Order must be asc or desc' });
+    }
+    const direction = (req.query.order || sort.order) === 'asc' ? 1 : -1;
+    let limit = null;
+    if (req.query.limit !== undefined) {
+        limit = parseInt(req.query.limit, 10);
+        if (!(limit >= 1 && limit <= MAX_GALLERY_PAGE)) {
+            return res.status(400).json({ error: `Limit must be between 1 and ${MAX_GALLERY_PAGE}` });
+        }
+    }
+
+    const all = Array.from(galleries.values());
+    let list = all;
+    if (req.query.client === 'none') {
+        list = list.filter(gallery => !galleryClient(gallery));
+    } else if (req.query.client) {
+        list = list.filter(gallery => gallery.clientId === req.query.client && galleryClient(gallery));
+    }
+    if (req.query.tag) {
+        const tag = String(req.query.tag).toLowerCase();
+        list = list.filter(gallery => (gallery.tags || []).some(t => t.toLowerCase() === tag));
+    }
+    const words = String(req.query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length > 0) {
+        list = list.filter(gallery => {
+            const text = [gallery.eventName || '', ...(gallery.tags || [])].join(' ').toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    let entries = list
+        .map(gallery => ({ gallery, key: sort.key(gallery) }))
+        .sort((a, b) => direction * compareSortKeys(a.key, b.key) || (a.gallery.id < b.gallery.id ? -1 : 1));
+    const total = entries.length;
+    if (req.query.cursor) {
+        // A cursor from another sort order doesn't fit this one's keys
+        const cursor = decodeGalleryCursor(req.query.cursor);
+        const sample = entries.length > 0 ? entries[0].key : null;
+        if (!cursor || (sample && (cursor.key.length !== sample.length ||
+            cursor.key.some((value, i) => typeof value !== typeof sample[i])))) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        entries = entries.filter(({ gallery, key }) =>
+            (direction * compareSortKeys(key, cursor.key) || (gallery.id < cursor.id ? -1 : gallery.id > cursor.id ? 1 : 0)) > 0);
+    }
+    let nextCursor = null;
+    if (limit && entries.length > limit) {
+        entries = entries.slice(0, limit);
+        const last = entries[entries.length - 1];
+        nextCursor = encodeGalleryCursor(last.key, last.gallery.id);
+    }
+
+    const tags = new Map();
+    all.forEach(gallery => (gallery.tags || []).forEach(tag => {
+        if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    }));
+
+    const galleryList = entries.map(({ gallery }) => ({
+        id: gallery.id,
+        eventName: gallery.eventName || 'Untitled Event',
+        created: gallery.created,
+        shootDate: gallery.shootDate || null,
+        tags: gallery.tags || [],
+        lastActivityAt: lastActivityAt(gallery),
+        fileCount: gallery.files.length,
+        hasBackground: !!gallery.background,
+        access: galleryAccessSummary(gallery),
+        watermark: watermarkSettings(gallery),
+        selectionCount: (gallery.selections || []).filter(s => s.status === 'submitted').length,
+        sectionCount: (gallery.sections || []).length,
+        storage: galleryStorageSummary(gallery),
+        processing: jobs.progress(gallery.id),
+        theme: gallery.theme || {},
+        client: clientRef(gallery),
+        guestUploads: { enabled: guestUploadSettings(gallery).enabled, pending: pendingGuestFiles(gallery).length },
+        analytics: analyticsSummary(gallery),
+        downloadUrl: `${baseUrl}/download/${gallery.id}`
+    }));
+
+    res.json({
+        galleries: galleryList,
+        total,
+        nextCursor,
+        tags: [...tags.values()].sort((a, b) => a.localeCompare(b))
+    });
+});
+
+// Remove everything stored for a gallery except its metadata record: photos, background,
+// renditions, analytics and the OG image
+async function removeGalleryData(galleryId) {
+    // Delete photo uploads, and anything left in the local staging directory
+    await store.removePrefix(`uploads/${galleryId}/`);
+    fs.rmSync(path.join(DATA_DIR, 'uploads', galleryId), { recursive: true, force: true });
+
+    // Delete background
+    const bgKey = backgroundKey(galleryId);
+    if (bgKey) await store.remove(bgKey);
+
+    // Delete thumbnails and watermarked renditions
+    fs.rmSync(path.join(THUMBNAILS_DIR, galleryId), { recursive: true, force: true });
+    clearWatermarkCache(galleryId);
+    fs.rmSync(path.join(PRIVATE_ORIGINALS_DIR, galleryId), { recursive: true, force: true });
+
+    analytics.remove(galleryId);
+    jobs.removeGallery(galleryId);
+
+    // Delete og-cache
+    const ogFile = path.join(OG_CACHE_DIR, `${galleryId}.jpg`);
+    if (fs.existsSync(ogFile)) fs.unlinkSync(ogFile);
+}
+
+// Delete a gallery with everything stored for it, and tell webhooks
+async function deleteGallery(gallery, req) {
+    await removeGalleryData(gallery.id);
+    galleries.delete(gallery.id);
+    saveGalleries();
+    notifyGallery('gallery.deleted', gallery, req);
+}
+
+// Delete gallery
+app.delete('/api/gallery/:galleryId', requireAuth, validateGalleryId, asyncHandler(async (req, res) => {
     const { galleryId } = req.params;
     const gallery = galleries.get(galleryId);
 
-    if (!gallery) {
-        return res.status(404).json({ error: 'Gallery not found' });
+    if (gallery) {
+        await deleteGallery(gallery, req);
+    } else {
+        await removeGalleryData(galleryId);
     }
 
-    if (req.files) {
-        const newFiles = req.files.map(f => f.filename);
-        gallery.files.push(...newFiles);
-        saveGalleries();
-        generateGalleryThumbnails(galleryId, newFiles).catch(() => {});
+    res.json({ success: true });
+}));
+
+// --- Clients ---
+
+// Repeat clients (a family, a company) are kept as records that galleries are assigned to:
+//   clients.json = [{ id, name, email, notes, portalToken, created }]
+//   gallery.clientId = the client's id
+// Each client has one portal link, /portal/<clientId>/<portalToken>, that lists all of their
+// galleries. Like guest upload links, the token is only ever compared with the URL, and a new
+// one stops the old link working. Client records are not part of backups; an imported gallery
+// whose client doesn't exist on this server is treated as unassigned.
+const CLIENTS_FILE = path.join(DATA_DIR, 'clients.json');
+const clients = new Map();
+const PORTAL_TOKEN_RE = /^[A-Za-z0-9_-]{16,64}$/;
+
+function loadClients() {
+    if (fs.existsSync(CLIENTS_FILE)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(CLIENTS_FILE, 'utf8'));
+            data.forEach(c => clients.set(c.id, c));
+        } catch (err) {
+            console.error('Error loading clients:', err);
+        }
     }
+}
 
-    res.json({
-        success: true,
-        fileCount: gallery.files.length
-    });
-});
+function saveClients() {
+    const data = Array.from(clients.values());
+    fs.writeFileSync(CLIENTS_FILE, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
 
-// Upload/replace background image — converts to JPEG via sharp
-app.post('/api/gallery/:galleryId/background', requireAuth, validateGalleryId, uploadBackground.single('background'), async (req, res) => {
-    const { galleryId } = req.params;
-    const gallery = galleries.get(galleryId);
+loadClients();
 
-    if (!gallery) {
-        return res.status(404).json({ error: 'Gallery not found' });
-    }
+function newPortalToken() {
+    return crypto.randomBytes(18).toString('base64url');
+}
 
-    if (!req.file) {
-        return res.status(400).json({ error: 'No background file provided' });
-    }
+function galleryClient(gallery) {
+    return (gallery.clientId && clients.get(gallery.clientId)) || null;
+}
 
-    try {
-        const backgroundsDir = path.join(DATA_DIR, 'backgrounds');
+// The client a gallery is assigned to, as { id, name }, or null
+function clientRef(gallery) {
+    const client = galleryClient(gallery);
+    return client && { id: client.id, name: client.name };
+}
 
-        // Delete old background (any extension)
-        if (fs.existsSync(backgroundsDir)) {
-            const existing = fs.readdirSync(backgroundsDir).find(f => f.startsWith(galleryId));
-            if (existing) fs.unlinkSync(path.join(backgroundsDir, existing));
-        }
+function clientGalleries(clientId) {
+    return Array.from(galleries.values())
+        .filter(g => g.clientId === clientId && !isIncompleteGallery(g))
+        .sort((a, b) => new Date(b.created) - new Date(a.created));
+}
 
-        // Invalidate og-cache so it is regenerated with the new image
-        const ogFile = path.join(OG_CACHE_DIR, `${galleryId}.jpg`);
-        if (fs.existsSync(ogFile)) fs.unlinkSync(ogFile);
+// A client as shown on the dashboard
+function clientSummary(client, req) {
+    return {
+        id: client.id,
+        name: client.name,
+        email: client.email,
+        notes: client.notes,
+        created: client.created,
+        galleryCount: clientGalleries(client.id).length,
+        portalUrl: `${publicBaseUrl(req)}/portal/${client.id}/${client.portalToken}`
+    };
+}
 
-        // Convert and save as JPEG
-        const dest = path.join(backgroundsDir, `${galleryId}.jpg`);
-        await sharp(req.file.buffer)
-            .resize(2400, null, { withoutEnlargement: true })
-            .jpeg({ quality: 85 })
-            .toFile(dest);
+// { name, email, notes } — validated for both creating and updating a client
+function clientChanges(body) {
+    const changes = {};
+    if (body.name !== undefined) {
+        const name = String(body.name || '').trim().substring(0, 100);
+        if (!name) {
+            return { error: 'Client name is required' };
+        }
+        changes.name = name;
+    }
+    if (body.email !== undefined) {
+        const email = String(body.email || '').trim();
+        if (email && !EMAIL_RE.test(email)) {
+            return { error: 'Enter a valid email address' };
+        }
+        changes.email = email || null;
+    }
+    if (body.notes !== undefined) {
+        changes.notes = String(body.notes || '').trim().substring(0, 2000);
+    }
+    return { changes };
+}
 
-        gallery.background = `${galleryId}.jpg`;
-        saveGalleries();
+// All clients, by name
+app.get('/api/clients', requireAuth, (req, res) => {
+    const list = Array.from(clients.values(), client => clientSummary(client, req));
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    res.json(list);
+});
 
-        res.json({ success: true, background: gallery.background });
-    } catch (err) {
-        res.status(500).json({ error: 'Failed to process background image' });
+// Add a client: { name, email, notes }
+app.post('/api/clients', requireAuth, (req, res) => {
+    const { error, changes } = clientChanges({ email: null, notes: '', ...req.body, name: req.body.name || '' });
+    if (error) {
+        return res.status(400).json({ error });
     }
+    const client = { id: uuidv4(), ...changes, portalToken: newPortalToken(), created: new Date().toISOString() };
+    clients.set(client.id, client);
+    saveClients();
+    res.json({ success: true, client: clientSummary(client, req) });
 });
 
-// Serve background image (legacy route — kept for backwards compatibility)
-app.get('/api/background/:galleryId', validateGalleryId, (req, res) => {
-    const { galleryId } = req.params;
-    const backgroundsDir = path.join(DATA_DIR, 'backgrounds');
-
-    if (fs.existsSync(backgroundsDir)) {
-        const backgroundFile = fs.readdirSync(backgroundsDir).find(f => f.startsWith(galleryId));
-        if (backgroundFile) {
-            return res.sendFile(path.join(backgroundsDir, backgroundFile));
-        }
+// Update a client: { name, email, notes, newLink }. `newLink` replaces the portal link, so the
+// old one stops working.
+app.post('/api/clients/:clientId', requireAuth, (req, res) => {
+    const client = clients.get(req.params.clientId);
+    if (!client) {
+        return res.status(404).json({ error: 'Client not found' });
     }
-
-    res.status(404).send('Background not found');
+    const { error, changes } = clientChanges(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    Object.assign(client, changes);
+    if (req.body.newLink) {
+        client.portalToken = newPortalToken();
+    }
+    saveClients();
+    res.json({ success: true, client: clientSummary(client, req) });
 });
 
-// Serve background image (REST-style route used by admin.html and customer.html)
-app.get('/api/gallery/:galleryId/background', validateGalleryId, (req, res) => {
-    const { galleryId } = req.params;
-    const backgroundsDir = path.join(DATA_DIR, 'backgrounds');
+// Delete a client; their galleries stay, unassigned
+app.delete('/api/clients/:clientId', requireAuth, (req, res) => {
+    const { clientId } = req.params;
+    if (!clients.delete(clientId)) {
+        return res.status(404).json({ error: 'Client not found' });
+    }
+    saveClients();
 
-    if (fs.existsSync(backgroundsDir)) {
-        const backgroundFile = fs.readdirSync(backgroundsDir).find(f => f.startsWith(galleryId));
-        if (backgroundFile) {
-            return res.sendFile(path.join(backgroundsDir, backgroundFile));
+    let unassigned = 0;
+    for (const gallery of galleries.values()) {
+        if (gallery.clientId === clientId) {
+            delete gallery.clientId;
+            unassigned++;
         }
     }
-
-    res.status(404).send('Background not found');
+    if (unassigned > 0) saveGalleries();
+    res.json({ success: true, unassigned });
 });
 
-// Rename a gallery
-app.post('/api/gallery/:galleryId/rename', requireAuth, validateGalleryId, (req, res) => {
-    const { galleryId } = req.params;
-    const gallery = galleries.get(galleryId);
-
+// Assign a gallery to a client: { clientId }, or null to unassign it
+app.post('/api/gallery/:galleryId/client', requireAuth, validateGalleryId, (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
     if (!gallery) {
         return res.status(404).json({ error: 'Gallery not found' });
     }
 
-    gallery.eventName = (String(req.body.eventName || 'Untitled Event')).trim().substring(0, 200);
+    const { clientId } = req.body;
+    if (clientId === null || clientId === '') {
+        delete gallery.clientId;
+    } else if (!clients.has(clientId)) {
+        return res.status(400).json({ error: 'Client not found' });
+    } else {
+        gallery.clientId = clientId;
+    }
     saveGalleries();
 
-    res.json({ success: true, eventName: gallery.eventName });
+    res.json({ success: true, client: clientRef(gallery) });
 });
 
-// List photos in a gallery (used by preview.html)
-app.get('/api/gallery/:galleryId/photos', validateGalleryId, (req, res) => {
-    const { galleryId } = req.params;
-    const galleryPath = path.join(DATA_DIR, 'uploads', galleryId);
+// Portal routes answer an unknown client or a wrong token the same way
+function portalClient(req) {
+    const client = clients.get(req.params.clientId);
+    const sent = String(req.params.token);
+    const valid = !!client && PORTAL_TOKEN_RE.test(sent) && sent.length === client.portalToken.length &&
+        crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(client.portalToken));
+    return valid ? client : null;
+}
 
-    if (!fs.existsSync(galleryPath)) {
-        return res.status(404).json({ error: 'Gallery not found' });
+// Client portal page
+app.get('/portal/:clientId/:token', (req, res) => {
+    const client = portalClient(req);
+    if (!client) {
+        return sendErrorPage(req, res, null, 'notFound', 'portal');
     }
 
-    const files = fs.readdirSync(galleryPath).filter(f => !f.startsWith('.'));
+    const locale = clientLocale(req, res, null);
+    const latest = clientGalleries(client.id)[0];
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const ogTags = [
+        `<meta property="og:title" content="${escapeAttr(client.name)}">`,
+        `<meta property="og:description" content="${escapeAttr(i18n.translate(locale, 'og.portal'))}">`,
+        latest && `<meta property="og:image" content="${baseUrl}/api/gallery/${latest.id}/og-image">`,
+        `<meta name="robots" content="noindex">`
+    ].filter(Boolean).join('\n    ');
 
-    const gallery = galleries.get(galleryId);
+    sendGalleryPage(res, 'portal.html', ogTags, defaultTheme, locale);
+});
 
-    const photos = files.map(filename => ({
-        filename,
-        url:         `/api/gallery/${galleryId}/photo/${encodeURIComponent(filename)}`,
-        thumbnailUrl:`/api/gallery/${galleryId}/photo/${encodeURIComponent(filename)}?thumb=1`,
-        downloadUrl: `/api/gallery/${galleryId}/download/${encodeURIComponent(filename)}`
-    }));
+// What the portal page shows: the client's name and their galleries, newest first. Expired
+// galleries are listed without a link.
+app.get('/api/portal/:clientId/:token', (req, res) => {
+    const client = portalClient(req);
+    if (!client) {
+        return res.status(404).json({ error: 'This link is not valid' });
+    }
 
-    // Return shape matches what preview.html expects: { id, eventName, photos: [...] }
     res.json({
-        id: galleryId,
-        eventName: gallery ? gallery.eventName : 'Untitled Event',
-        photos
+        name: client.name,
+        galleries: clientGalleries(client.id).map(gallery => {
+            const expired = isGalleryExpired(gallery);
+            return {
+                id: gallery.id,
+                eventName: gallery.eventName,
+                created: gallery.created,
+                fileCount: gallery.files.length,
+                expiresAt: gallery.expiresAt || null,
+                expired,
+                passwordRequired: !!gallery.clientPassword,
+                cover: gallery.files.length > 0 || gallery.background ? `/api/gallery/${gallery.id}/og-image` : null,
+                url: expired ? null : `/download/${gallery.id}`
+            };
+        })
     });
 });
 
-// Serve a single photo (original or thumbnail)
-app.get('/api/gallery/:galleryId/photo/:filename', imageLimiter, validateGalleryId, validateFilename, async (req, res) => {
-    const { galleryId, filename } = req.params;
+// --- Backups and maintenance ---
 
-    if (req.query.thumb === '1') {
-        const thumbPath = path.join(THUMBNAILS_DIR, galleryId, filename + '.jpg');
+// Backup archives (see backup.js) hold gallery records, originals, backgrounds and the logo.
+// Exports stream straight from storage; imports are unpacked into IMPORTS_DIR first, so a
+// truncated or invalid archive changes nothing. A gallery whose ID already exists is skipped,
+// replaced, or imported as a copy under a new ID, depending on ?conflict=.
 
-        if (!fs.existsSync(thumbPath)) {
-            // Generate on-the-fly if missing
-            await generateThumbnail(galleryId, filename);
-        }
+const IMPORT_CONFLICT_MODES = ['skip', 'replace', 'copy'];
 
-        if (fs.existsSync(thumbPath)) {
-            return res.sendFile(thumbPath);
-        }
-        // Fall through to original if thumbnail generation failed
+// Leftovers of imports interrupted by a restart
+fs.rmSync(IMPORTS_DIR, { recursive: true, force: true });
+
+// Write a backup of `galleryList` to `output`, with the custom logo if `withLogo`
+function backupTo(output, galleryList, withLogo) {
+    return writeBackup(output, {
+        galleries: galleryList.filter(g => !isIncompleteGallery(g)),
+        schemaVersion: GALLERY_MIGRATIONS.length,
+        store,
+        files: gallery => gallery.files.concat(pendingGuestFiles(gallery)),
+        logoFile: withLogo ? findLogoFile() : null
+    });
+}
+
+async function sendBackup(res, galleryList, downloadName, withLogo) {
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${downloadName}.tar.gz"`);
+    await backupTo(res, galleryList, withLogo);
+}
+
+// Add one gallery from an unpacked backup; `record` is already at the current schema version
+async function importGallery(record, dir, conflict) {
+    const exists = galleries.has(record.id);
+    if (exists && conflict === 'skip') {
+        return { id: record.id, status: 'skipped' };
     }
 
-    const filePath = path.join(DATA_DIR, 'uploads', galleryId, filename);
-    if (!fs.existsSync(filePath)) {
-        return res.status(404).send('Photo not found');
+    const gallery = { ...record };
+    if (exists && conflict === 'replace') {
+        await removeGalleryData(gallery.id);
+    } else if (exists) {
+        gallery.id = uuidv4();
     }
-    res.sendFile(filePath);
-});
 
-// Download a single photo as an attachment
-app.get('/api/gallery/:galleryId/download/:filename', validateGalleryId, validateFilename, (req, res) => {
-    const { galleryId, filename } = req.params;
-    const filePath = path.join(DATA_DIR, 'uploads', galleryId, filename);
+    // Like reconcileGalleries: keep the recorded order of the photos that are present, leave
+    // pending guest photos out of the list and append any photo the record doesn't mention
+    const { photos, background } = extractedFiles(dir);
+    gallery.fileSizes = {};
+    for (const filename of photos) {
+        const photoPath = path.join(dir, 'photos', filename);
+        gallery.fileSizes[filename] = fs.statSync(photoPath).size;
+        await store.putFile(`uploads/${gallery.id}/${filename}`, photoPath);
+    }
+    const present = new Set(photos);
+    const pending = pendingGuestFiles(gallery).filter(f => present.has(f));
+    const ordered = (Array.isArray(gallery.files) ? gallery.files : []).filter(f => present.has(f));
+    const known = new Set(ordered.concat(pending));
+    gallery.files = ordered.concat(photos.filter(f => !known.has(f)));
+    for (const filename of pendingGuestFiles(gallery).filter(f => !present.has(f))) {
+        delete gallery.guestPhotos[filename];
+    }
 
-    if (!fs.existsSync(filePath)) {
-        return res.status(404).send('Photo not found');
+    gallery.background = null;
+    if (background) {
+        gallery.background = `${gallery.id}${path.extname(background).toLowerCase()}`;
+        await store.putFile(`backgrounds/${gallery.background}`, background);
     }
 
-    res.download(filePath, filename);
-});
+    galleries.set(gallery.id, gallery);
+    queueGalleryImages(gallery.id, gallery.files.concat(pendingGuestFiles(gallery)), { og: true });
 
-// Serve/generate OG image (1200×630 JPEG, cached)
-app.get('/api/gallery/:galleryId/og-image', imageLimiter, validateGalleryId, async (req, res) => {
-    const { galleryId } = req.params;
-    const cacheFile = path.join(OG_CACHE_DIR, `${galleryId}.jpg`);
+    return {
+        id: gallery.id,
+        status: exists ? (conflict === 'replace' ? 'replaced' : 'copied') : 'imported',
+        ...(gallery.id !== record.id ? { originalId: record.id } : {}),
+        eventName: gallery.eventName,
+        fileCount: gallery.files.length
+    };
+}
 
-    if (fs.existsSync(cacheFile)) {
-        return res.sendFile(cacheFile);
-    }
+// Export every gallery and the custom logo (admin only)
+app.get('/api/backup', requireAdmin, asyncHandler(async (req, res) => {
+    const date = new Date().toISOString().slice(0, 10);
+    await sendBackup(res, Array.from(galleries.values()), `metransfer-backup-${date}`, true);
+}));
 
-    // Find source: prefer background, fall back to first photo
-    let sourceFile = null;
-    const backgroundsDir = path.join(DATA_DIR, 'backgrounds');
-    if (fs.existsSync(backgroundsDir)) {
-        const bgFile = fs.readdirSync(backgroundsDir).find(f => f.startsWith(galleryId));
-        if (bgFile) sourceFile = path.join(backgroundsDir, bgFile);
+// Export a single gallery (admin only)
+app.get('/api/gallery/:galleryId/backup', requireAdmin, validateGalleryId, asyncHandler(async (req, res) => {
+    const gallery = galleries.get(req.params.galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
     }
-
-    if (!sourceFile) {
-        const galleryPath = path.join(DATA_DIR, 'uploads', galleryId);
-        if (!fs.existsSync(galleryPath)) return res.status(404).send('Gallery not found');
-        const files = fs.readdirSync(galleryPath).filter(f => !f.startsWith('.'));
-        if (files.length === 0) return res.status(404).send('No photos');
-        sourceFile = path.join(galleryPath, files[0]);
+    await sendBackup(res, [gallery], `${safeDownloadName(gallery.eventName, 'gallery')}-backup`, false);
+}));
+
+// Import a backup archive sent as the raw request body (admin only).
+//   ?conflict=skip (default) | replace | copy — what to do with galleries that already exist
+// The logo is restored when the archive has one and this install has none (or with replace).
+app.post('/api/backup/import', requireAdmin, asyncHandler(requireDiskSpace), asyncHandler(async (req, res) => {
+    const conflict = req.query.conflict || 'skip';
+    if (!IMPORT_CONFLICT_MODES.includes(conflict)) {
+        return res.status(400).json({ error: `conflict must be one of: ${IMPORT_CONFLICT_MODES.join(', ')}` });
     }
 
+    const dir = path.join(IMPORTS_DIR, uuidv4());
+    fs.mkdirSync(dir, { recursive: true });
     try {
-        await sharp(sourceFile)
-            .resize(1200, 630, { fit: 'cover' })
-            .jpeg({ quality: 80 })
-            .toFile(cacheFile);
-        res.sendFile(cacheFile);
-    } catch (err) {
-        res.status(500).send('Could not generate OG image');
-    }
-});
+        const backup = await extractBackup(req, dir);
+        const fromVersion = backup.manifest.schemaVersion;
+        if (!Number.isInteger(fromVersion) || fromVersion < 0 || fromVersion > GALLERY_MIGRATIONS.length) {
+            return res.status(400).json({ error: 'The backup was made by a newer version of MeTransfer. Upgrade the server first.' });
+        }
 
-// Customer download page — serves HTML with OG meta tags injected
-app.get('/download/:galleryId', validateGalleryId, (req, res) => {
-    const { galleryId } = req.params;
-    const galleryPath = path.join(DATA_DIR, 'uploads', galleryId);
+        const results = [];
+        for (const { record, dir: galleryDir } of backup.galleries) {
+            const migrated = GALLERY_MIGRATIONS.slice(fromVersion).reduce((r, upgrade) => upgrade(r), record);
+            results.push(await importGallery(migrated, galleryDir, conflict));
+            saveGalleries();
+        }
 
-    if (!fs.existsSync(galleryPath)) {
-        return res.status(404).send('Gallery not found');
+        let logo = null;
+        if (backup.logoFile) {
+            const current = findLogoFile();
+            if (current && conflict !== 'replace') {
+                logo = 'kept';
+            } else {
+                if (current) fs.rmSync(current, { force: true });
+                fs.copyFileSync(backup.logoFile, path.join(DATA_DIR, path.basename(backup.logoFile)));
+                clearWatermarkCache();
+                logo = 'imported';
+            }
+        }
+
+        res.json({ success: true, galleries: results, logo });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
     }
+}));
 
+// Rebuild a gallery's cached images: { thumbnails, og } — both when neither is given. The work
+// is queued (202); follow it with GET /api/gallery/:galleryId/jobs. Useful after an import,
+// after photos were changed in storage by hand, or to retry photos that failed to process.
+app.post('/api/gallery/:galleryId/regenerate', requireAuth, validateGalleryId, (req, res) => {
+    const { galleryId } = req.params;
     const gallery = galleries.get(galleryId);
-    const eventName = gallery ? gallery.eventName : 'Your Photos';
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
+    }
 
-    const ogTags = [
-        `<meta property="og:title" content="${escapeAttr(eventName)}">`,
-        `<meta property="og:description" content="Your photos are ready to download.">`,
-        `<meta property="og:image" content="${baseUrl}/api/gallery/${galleryId}/og-image">`,
-        `<meta property="og:type" content="website">`,
-        `<meta property="og:url" content="${baseUrl}/download/${galleryId}">`
-    ].join('\n    ');
+    const body = req.body || {};
+    const both = body.thumbnails === undefined && body.og === undefined;
+    const files = gallery.files.concat(pendingGuestFiles(gallery));
+    const queued = {};
+
+    jobs.clearFailures(galleryId);
+    if (both || body.thumbnails) {
+        fs.rmSync(path.join(THUMBNAILS_DIR, galleryId), { recursive: true, force: true });
+        clearWatermarkCache(galleryId);
+        for (const filename of files) {
+            undecodablePhotos.delete(`${galleryId}/${filename}`);
+        }
+        queueGalleryImages(galleryId, files);
+        queued.thumbnails = files.length;
+    }
+    if (both || body.og) {
+        fs.rmSync(path.join(OG_CACHE_DIR, `${galleryId}.jpg`), { force: true });
+        queueGalleryImages(galleryId, [], { og: true });
+        queued.og = true;
+    }
 
-    const html = fs.readFileSync(path.join(__dirname, 'public', 'customer.html'), 'utf8');
-    res.send(html.replace('<head>', `<head>\n    ${ogTags}`));
+    res.status(202).json({ success: true, queued, processing: jobs.progress(galleryId) });
 });
 
-// Preview page — serves HTML with OG meta tags injected
-app.get('/preview/:galleryId', validateGalleryId, (req, res) => {
-    const { galleryId } = req.params;
-    const galleryPath = path.join(DATA_DIR, 'uploads', galleryId);
-
-    if (!fs.existsSync(galleryPath)) {
-        return res.status(404).send('Gallery not found');
+// Processing state of every gallery with queued, running or failed jobs, for the
+// dashboard's progress indicators: { concurrency, queued, running, failed, galleries: { id: progress } }
+app.get('/api/jobs', requireAuth, (req, res) => {
+    const list = {};
+    for (const galleryId of jobs.galleryIds()) {
+        if (galleries.has(galleryId)) list[galleryId] = jobs.progress(galleryId);
     }
-
-    const gallery = galleries.get(galleryId);
-    const eventName = gallery ? gallery.eventName : 'Your Photos';
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-
-    const ogTags = [
-        `<meta property="og:title" content="${escapeAttr(eventName)}">`,
-        `<meta property="og:description" content="Browse and download individual photos.">`,
-        `<meta property="og:image" content="${baseUrl}/api/gallery/${galleryId}/og-image">`,
-        `<meta property="og:type" content="website">`,
-        `<meta property="og:url" content="${baseUrl}/preview/${galleryId}">`
-    ].join('\n    ');
-
-    const html = fs.readFileSync(path.join(__dirname, 'public', 'preview.html'), 'utf8');
-    res.send(html.replace('<head>', `<head>\n    ${ogTags}`));
+    res.json({ ...jobs.stats(), galleries: list });
 });
 
-// Get gallery info (for customer and preview pages)
-app.get('/api/gallery/:galleryId/info', validateGalleryId, (req, res) => {
+// Processing state of one gallery with its failed jobs
+app.get('/api/gallery/:galleryId/jobs', requireAuth, validateGalleryId, (req, res) => {
     const { galleryId } = req.params;
-
-    const backgroundsDir = path.join(DATA_DIR, 'backgrounds');
-    let backgroundFile = null;
-    if (fs.existsSync(backgroundsDir)) {
-        backgroundFile = fs.readdirSync(backgroundsDir).find(f => f.startsWith(galleryId)) || null;
+    const gallery = galleries.get(galleryId);
+    if (!gallery) {
+        return res.status(404).json({ error: 'Gallery not found' });
     }
+    const failures = jobs.failures(galleryId).map(f =>
+        f.filename ? { ...f, originalName: originalNameOf(gallery, f.filename) } : f);
+    res.json({ ...jobs.progress(galleryId), failures });
+});
 
-    const galleryPath = path.join(DATA_DIR, 'uploads', galleryId);
-    let fileCount = 0;
-    if (fs.existsSync(galleryPath)) {
-        fileCount = fs.readdirSync(galleryPath).filter(f => !f.startsWith('.')).length;
+// --- Storage and retention ---
+
+// An optional retention policy, set from the dashboard and kept in retention.json. Once enabled,
+// an hourly check removes galleries afterExpiryDays after their link expired, or
+// afterLastDownloadDays after a client last downloaded from them (either rule may be null = off).
+// With action "archive" the gallery is first written to ARCHIVES_DIR as a backup archive, which
+// can be imported again later; with "delete" it is simply deleted. The same check removes
+// cached renditions and OG images of galleries that no longer exist. The file also holds
+// analyticsDays, how long client activity is kept (null = ANALYTICS_RETENTION_DAYS, 0 = off).
+const RETENTION_FILE = path.join(DATA_DIR, 'retention.json');
+const ARCHIVES_DIR = path.join(DATA_DIR, 'archives');
+const RETENTION_ACTIONS = ['archive', 'delete'];
+const RETENTION_MAX_DAYS = 3650;
+const ARCHIVE_NAME_RE = /^[a-zA-Z0-9-]+\.tar\.gz$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let retention = { enabled: false, action: 'archive', afterExpiryDays: null, afterLastDownloadDays: null, analyticsDays: null };
+
+function loadRetention() {
+    if (fs.existsSync(RETENTION_FILE)) {
+        try {
+            retention = { ...retention, ...JSON.parse(fs.readFileSync(RETENTION_FILE, 'utf8')) };
+        } catch (err) {
+            console.error('Error loading retention policy:', err);
+        }
     }
+}
 
-    const gallery = galleries.get(galleryId);
-    const eventName = gallery ? gallery.eventName : 'Your Photos';
+function saveRetention() {
+    fs.writeFileSync(RETENTION_FILE, JSON.stringify(retention, null, 2));
+}
 
-    res.json({
-        galleryId,
-        eventName,
-        background: backgroundFile ? `/api/gallery/${galleryId}/background` : null,
-        fileCount
-    });
-});
+function analyticsRetentionDays() {
+    return retention.analyticsDays != null ? retention.analyticsDays : ANALYTICS_RETENTION_DAYS;
+}
 
-// Download all photos as ZIP
-app.get('/api/gallery/:galleryId/download', validateGalleryId, (req, res) => {
-    const { galleryId } = req.params;
-    const galleryPath = path.join(DATA_DIR, 'uploads', galleryId);
+// Prune the activity logs to the current period; nothing is dropped while analytics is off
+function applyAnalyticsRetention() {
+    if (analyticsEnabled()) analytics.setRetentionDays(analyticsRetentionDays());
+}
 
-    if (!fs.existsSync(galleryPath)) {
-        return res.status(404).json({ error: 'Gallery not found' });
+loadRetention();
+if (retention.analyticsDays != null) applyAnalyticsRetention();
+
+// Validate retention settings from a request body:
+// { enabled, action, afterExpiryDays, afterLastDownloadDays, analyticsDays }
+function retentionChanges(body) {
+    const changes = {};
+    if (body.enabled !== undefined) changes.enabled = !!body.enabled;
+    if (body.action !== undefined) {
+        if (!RETENTION_ACTIONS.includes(body.action)) {
+            return { error: 'Action must be archive or delete' };
+        }
+        changes.action = body.action;
     }
+    for (const field of ['afterExpiryDays', 'afterLastDownloadDays', 'analyticsDays']) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null || body[field] === '') {
+            changes[field] = null;
+            continue;
+        }
+        const days = Number(body[field]);
+        if (!Number.isInteger(days) || days < 0 || days > RETENTION_MAX_DAYS) {
+            return { error: `Days must be a whole number from 0 to ${RETENTION_MAX_DAYS}` };
+        }
+        changes[field] = days;
+    }
+    return { changes };
+}
 
-    const files = fs.readdirSync(galleryPath).filter(f => !f.startsWith('.'));
-
-    if (files.length === 0) {
-        return res.status(404).json({ error: 'No files in gallery' });
+// Galleries `policy` removes now, each with the rule that applies ("expired" or "downloaded")
+// and when it became due
+function retentionCandidates(policy) {
+    const now = Date.now();
+    const due = [];
+    for (const gallery of galleries.values()) {
+        if (isIncompleteGallery(gallery)) continue;
+        const rules = [
+            { reason: 'expired', since: gallery.expiresAt, days: policy.afterExpiryDays },
+            { reason: 'downloaded', since: gallery.lastDownloadedAt, days: policy.afterLastDownloadDays }
+        ]
+            .filter(rule => rule.since && rule.days != null)
+            .map(rule => ({ reason: rule.reason, dueAt: Date.parse(rule.since) + rule.days * DAY_MS }))
+            .filter(rule => rule.dueAt <= now)
+            .sort((a, b) => a.dueAt - b.dueAt);
+        if (rules.length > 0) {
+            due.push({ gallery, reason: rules[0].reason, dueAt: new Date(rules[0].dueAt).toISOString() });
+        }
     }
+    return due;
+}
 
-    const gallery = galleries.get(galleryId);
-    const eventName = gallery && gallery.eventName ? gallery.eventName : 'photos';
+// Thumbnail, watermark, private original and OG cache entries whose gallery no longer exists
+function orphanedCacheEntries() {
+    const orphans = [];
+    const scan = (dir, galleryIdOf) => {
+        let names;
+        try {
+            names = fs.readdirSync(dir);
+        } catch (err) {
+            return;
+        }
+        for (const name of names) {
+            const galleryId = galleryIdOf(name);
+            if (UUID_V4_REGEX.test(galleryId) && !galleries.has(galleryId)) orphans.push(path.join(dir, name));
+        }
+    };
+    scan(THUMBNAILS_DIR, name => name);
+    scan(WATERMARK_CACHE_DIR, name => name);
+    scan(PRIVATE_ORIGINALS_DIR, name => name);
+    scan(OG_CACHE_DIR, name => name.replace(/\.jpg$/, ''));
+    return orphans;
+}
 
-    const safeFileName = eventName
-        .replace(/[^a-zA-Z0-9\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .substring(0, 50) || 'photos';
+// Write a gallery to ARCHIVES_DIR; resolves to the archive's file name
+async function archiveGallery(gallery) {
+    fs.mkdirSync(ARCHIVES_DIR, { recursive: true });
+    const name = `${safeDownloadName(gallery.eventName, 'gallery')}-${gallery.id}.tar.gz`;
+    const file = path.join(ARCHIVES_DIR, name);
+    const tmp = `${file}.tmp`;
+    try {
+        await backupTo(fs.createWriteStream(tmp), [gallery], false);
+        fs.renameSync(tmp, file);
+    } catch (err) {
+        fs.rmSync(tmp, { force: true });
+        throw err;
+    }
+    return name;
+}
 
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="${safeFileName}.zip"`);
+function listArchives() {
+    let names;
+    try {
+        names = fs.readdirSync(ARCHIVES_DIR).filter(name => ARCHIVE_NAME_RE.test(name));
+    } catch (err) {
+        return [];
+    }
+    return names.map(name => {
+        const stats = fs.statSync(path.join(ARCHIVES_DIR, name));
+        return { name, size: stats.size, created: stats.mtime.toISOString() };
+    }).sort((a, b) => b.created.localeCompare(a.created));
+}
 
-    const archive = archiver('zip', { zlib: { level: 5 } });
-    archive.on('error', (err) => { res.status(500).send({ error: err.message }); });
-    archive.pipe(res);
-    files.forEach(file => archive.file(path.join(galleryPath, file), { name: file }));
-    archive.finalize();
-});
+let retentionRunning = false;
 
-// List all galleries (admin)
-app.get('/api/galleries', requireAuth, (req, res) => {
-    const galleryList = [];
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const uploadsDir = path.join(DATA_DIR, 'uploads');
-    const backgroundsDir = path.join(DATA_DIR, 'backgrounds');
-
-    const bgFiles = fs.existsSync(backgroundsDir)
-        ? new Set(fs.readdirSync(backgroundsDir))
-        : new Set();
-
-    if (fs.existsSync(uploadsDir)) {
-        const dirs = fs.readdirSync(uploadsDir);
-
-        dirs.forEach(galleryId => {
-            const galleryPath = path.join(uploadsDir, galleryId);
-            const stats = fs.statSync(galleryPath);
-
-            if (stats.isDirectory()) {
-                const files = fs.readdirSync(galleryPath).filter(f => !f.startsWith('.'));
-
-                let gallery = galleries.get(galleryId);
-                if (!gallery) {
-                    gallery = {
-                        id: galleryId,
-                        eventName: 'Untitled Event',
-                        created: stats.birthtime.toISOString(),
-                        files,
-                        background: null
-                    };
-                    galleries.set(galleryId, gallery);
-                    saveGalleries();
-                }
-
-                const hasBackground = [...bgFiles].some(f => f.startsWith(galleryId));
-
-                galleryList.push({
-                    id: galleryId,
-                    eventName: gallery.eventName || 'Untitled Event',
-                    created: gallery.created || stats.birthtime.toISOString(),
-                    fileCount: files.length,
-                    hasBackground,
-                    downloadUrl: `${baseUrl}/download/${galleryId}`
-                });
+// Apply the retention policy (if enabled) and clear orphaned caches. Galleries that fail to
+// archive are kept and tried again on the next run.
+async function runRetention() {
+    if (retentionRunning) return null;
+    retentionRunning = true;
+    const removed = [];
+    try {
+        const due = retention.enabled ? retentionCandidates(retention) : [];
+        for (const { gallery, reason } of due) {
+            try {
+                const archive = retention.action === 'archive' ? await archiveGallery(gallery) : null;
+                await deleteGallery(gallery, null);
+                removed.push({ id: gallery.id, eventName: gallery.eventName, reason, archive });
+                console.log(`Retention: ${archive ? 'archived' : 'deleted'} "${gallery.eventName}" (${gallery.id})`);
+            } catch (err) {
+                console.error(`Retention: could not ${retention.action} gallery ${gallery.id}:`, err.message);
             }
-        });
-    }
+        }
 
-    galleryList.sort((a, b) => new Date(b.created) - new Date(a.created));
-    res.json(galleryList);
-});
+        const orphans = orphanedCacheEntries();
+        orphans.forEach(entry => fs.rmSync(entry, { recursive: true, force: true }));
+        return { removed, orphansRemoved: orphans.length };
+    } finally {
+        retentionRunning = false;
+    }
+}
 
-// Delete gallery
-app.delete('/api/gallery/:galleryId', requireAuth, validateGalleryId, (req, res) => {
-    const { galleryId } = req.params;
+setInterval(() => {
+    runRetention().catch(err => console.error('Retention check failed:', err.message));
+}, 60 * 60 * 1000).unref();
 
-    // Delete photo uploads
-    const galleryPath = path.join(DATA_DIR, 'uploads', galleryId);
-    if (fs.existsSync(galleryPath)) {
-        fs.rmSync(galleryPath, { recursive: true });
+// Storage usage, disk space, the retention policy and archived galleries (admin only)
+app.get('/api/storage', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({
+        usedBytes: totalGalleryBytes(),
+        quotaBytes: STORAGE_QUOTA_BYTES,
+        galleryQuotaMb: GALLERY_QUOTA_MB,
+        disk: { ...await diskSpace(), minFreeBytes: MIN_FREE_SPACE_BYTES },
+        retention,
+        analyticsDefaultDays: ANALYTICS_RETENTION_DAYS,
+        archives: listArchives()
+    });
+}));
+
+// Update the retention policy (admin only):
+// { enabled, action, afterExpiryDays, afterLastDownloadDays, analyticsDays }
+app.post('/api/storage/retention', requireAdmin, (req, res) => {
+    const { error, changes } = retentionChanges(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
     }
+    retention = { ...retention, ...changes };
+    saveRetention();
+    if (changes.analyticsDays !== undefined) applyAnalyticsRetention();
+    res.json({ success: true, retention });
+});
 
-    // Delete background
-    const backgroundsDir = path.join(DATA_DIR, 'backgrounds');
-    if (fs.existsSync(backgroundsDir)) {
-        const bgFile = fs.readdirSync(backgroundsDir).find(f => f.startsWith(galleryId));
-        if (bgFile) fs.unlinkSync(path.join(backgroundsDir, bgFile));
+// Dry run (admin only): what the policy in the body — or the saved one, for fields left out —
+// would remove right now. Nothing is changed.
+app.post('/api/storage/retention/preview', requireAdmin, (req, res) => {
+    const { error, changes } = retentionChanges(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
     }
+    const policy = { ...retention, ...changes };
+    const due = retentionCandidates(policy);
+    res.json({
+        action: policy.action,
+        galleries: due.map(({ gallery, reason, dueAt }) => ({
+            id: gallery.id,
+            eventName: gallery.eventName,
+            reason,
+            dueAt,
+            expiresAt: gallery.expiresAt || null,
+            lastDownloadedAt: gallery.lastDownloadedAt || null,
+            bytes: galleryBytes(gallery)
+        })),
+        bytes: due.reduce((sum, { gallery }) => sum + galleryBytes(gallery), 0),
+        orphanedCacheEntries: orphanedCacheEntries().length
+    });
+});
 
-    // Delete thumbnails
-    fs.rmSync(path.join(THUMBNAILS_DIR, galleryId), { recursive: true, force: true });
+// Apply the saved policy now instead of waiting for the hourly check (admin only)
+app.post('/api/storage/retention/run', requireAdmin, asyncHandler(async (req, res) => {
+    const result = await runRetention();
+    if (!result) {
+        return res.status(409).json({ error: 'A retention run is already in progress' });
+    }
+    res.json({ success: true, ...result });
+}));
 
-    // Delete og-cache
-    const ogFile = path.join(OG_CACHE_DIR, `${galleryId}.jpg`);
-    if (fs.existsSync(ogFile)) fs.unlinkSync(ogFile);
+function validateArchiveName(req, res, next) {
+    if (!ARCHIVE_NAME_RE.test(req.params.name) || !fs.existsSync(path.join(ARCHIVES_DIR, req.params.name))) {
+        return res.status(404).json({ error: 'Archive not found' });
+    }
+    next();
+}
 
-    galleries.delete(galleryId);
-    saveGalleries();
+// Download an archived gallery (admin only) — import it to restore the gallery
+app.get('/api/archives/:name', requireAdmin, validateArchiveName, (req, res) => {
+    res.download(path.join(ARCHIVES_DIR, req.params.name));
+});
 
+// Delete an archived gallery for good (admin only)
+app.delete('/api/archives/:name', requireAdmin, validateArchiveName, (req, res) => {
+    fs.rmSync(path.join(ARCHIVES_DIR, req.params.name), { force: true });
     res.json({ success: true });
 });
 
 // Error handling — never expose internal details (file paths, stack traces) to the client
 app.use((err, req, res, next) => {
     console.error(err);
+    if (res.headersSent) {
+        return next(err);
+    }
     const status = err.status || err.statusCode || 500;
     // Multer errors have a user-safe code; surface only those
     if (err.code === 'LIMIT_FILE_SIZE') {
         return res.status(413).json({ error: 'File too large' });
     }
+    // Errors we raise ourselves with a client-safe message
+    if (err.expose) {
+        return res.status(status).json({ error: err.message });
+    }
     res.status(status).json({ error: 'Internal server error' });
 });
 
-app.listen(PORT, () => {
-    console.log(`\n📸 MeTransfer is running on port ${PORT}\n`);
+reconcileGalleries().then(() => {
+    jobs.start();
+    checkExpiringGalleries();
+    runRetention().catch(err => console.error('Retention check failed:', err.message));
+    app.listen(PORT, () => {
+        console.log(`\n📸 MeTransfer is running on port ${PORT} (${store.name} storage)\n`);
+    });
+}, err => {
+    console.error('FATAL: Could not read photo storage:', err.message);
+    process.exit(1);
 });
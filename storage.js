@@ -0,0 +1,345 @@
+// Storage backends for gallery originals and background images.
+//
+// Keys are "/"-separated paths such as "uploads/<galleryId>/<filename>" or
+// "backgrounds/<galleryId>.jpg". Every backend provides:
+//   list(prefix)                 — names of the objects directly under prefix ("uploads/<id>/")
+//   listDirs(prefix)             — names of the "directories" directly under prefix
+//   stat(key)                    — { size, mtime }, or null if the object doesn't exist
+//   read(key)                    — the whole object as a Buffer, or null
+//   createReadStream(key, range) — readable stream of the object, or of the bytes
+//                                  range.start–range.end (inclusive) when a range is given
+//   putFile(key, localPath)      — move a local file into storage; the local file is consumed
+//   remove(key), removePrefix(prefix)
+//   localPath(key)               — path of a local copy for code that needs a real file (sharp,
+//                                  EXIF parsing); null if the object doesn't exist
+//   presignedUrl(key, options)   — time-limited direct download URL, or null if unsupported
+//   pruneCache(maxAgeMs)         — drop local copies not used for maxAgeMs
+// Gallery metadata, admin accounts and generated renditions always stay in DATA_DIR.
+
+const path = require('path');
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+
+function isMissing(err) {
+    return err.code === 'ENOENT';
+}
+
+// Keys map directly to files under DATA_DIR, which is the layout every install had before
+// storage backends existed
+function createLocalStorage(root) {
+    const resolve = key => path.join(root, ...key.split('/'));
+
+    async function entries(prefix) {
+        try {
+            return await fs.promises.readdir(resolve(prefix), { withFileTypes: true });
+        } catch (err) {
+            if (isMissing(err)) return [];
+            throw err;
+        }
+    }
+
+    return {
+        name: 'local',
+        isLocal: true,
+
+        async list(prefix) {
+            return (await entries(prefix)).filter(e => e.isFile() && !e.name.startsWith('.')).map(e => e.name);
+        },
+
+        async listDirs(prefix) {
+            return (await entries(prefix)).filter(e => e.isDirectory()).map(e => e.name);
+        },
+
+        async stat(key) {
+            try {
+                const stats = await fs.promises.stat(resolve(key));
+                return stats.isFile() ? { size: stats.size, mtime: stats.mtime } : null;
+            } catch (err) {
+                if (isMissing(err)) return null;
+                throw err;
+            }
+        },
+
+        async read(key) {
+            try {
+                return await fs.promises.readFile(resolve(key));
+            } catch (err) {
+                if (isMissing(err)) return null;
+                throw err;
+            }
+        },
+
+        createReadStream(key, range) {
+            return fs.createReadStream(resolve(key), range ? { start: range.start, end: range.end } : {});
+        },
+
+        async putFile(key, localPath) {
+            const dest = resolve(key);
+            if (path.resolve(localPath) === dest) return;
+            await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+            try {
+                await fs.promises.rename(localPath, dest);
+            } catch (err) {
+                if (err.code !== 'EXDEV') throw err;
+                // Different filesystem (e.g. a NAS mount): copy, then remove the original
+                await fs.promises.copyFile(localPath, dest);
+                await fs.promises.unlink(localPath);
+            }
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        },
+
+        async removePrefix(prefix) {
+            await fs.promises.rm(resolve(prefix), { recursive: true, force: true });
+        },
+
+        async localPath(key) {
+            const filePath = resolve(key);
+            return fs.existsSync(filePath) ? filePath : null;
+        },
+
+        async presignedUrl() {
+            return null;
+        },
+
+        async pruneCache() {}
+    };
+}
+
+// Any S3-compatible object store (AWS S3, MinIO, Backblaze B2, Wasabi, ...). Objects that have
+// to be read as files are downloaded into `cacheDir`; freshly uploaded files are kept there too,
+// so thumbnails for a new gallery are made without downloading the photos again.
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, prefix, forcePathStyle, cacheDir }) {
+    // Only loaded when S3 is configured
+    const {
+        S3Client, ListObjectsV2Command, HeadObjectCommand, GetObjectCommand,
+        PutObjectCommand, DeleteObjectCommand, DeleteObjectsCommand
+    } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+    if (!bucket) {
+        throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+        // Many S3-compatible stores don't understand the SDK's default streaming checksums
+        // (aws-chunked uploads) and would store the chunk framing as part of the object
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED'
+    });
+    const objectKey = key => prefix + key;
+    const cachePath = key => path.join(cacheDir, ...key.split('/'));
+    const isNotFound = err => err.name === 'NotFound' || err.name === 'NoSuchKey' ||
+        (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+    // Every page of a listing under `listPrefix`; with a delimiter, only one level deep
+    async function listAll(listPrefix, delimiter) {
+        const contents = [];
+        const prefixes = [];
+        let ContinuationToken;
+        do {
+            const page = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: objectKey(listPrefix),
+                Delimiter: delimiter,
+                ContinuationToken
+            }));
+            (page.Contents || []).forEach(o => contents.push(o.Key.slice(prefix.length)));
+            (page.CommonPrefixes || []).forEach(p => prefixes.push(p.Prefix.slice(prefix.length)));
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return { contents, prefixes };
+    }
+
+    async function getObject(key, range) {
+        try {
+            return await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key),
+                Range: range ? `bytes=${range.start}-${range.end}` : undefined
+            }));
+        } catch (err) {
+            if (isNotFound(err)) return null;
+            throw err;
+        }
+    }
+
+    // Concurrent requests for the same uncached object share one download
+    const downloads = new Map();
+
+    async function download(key) {
+        const dest = cachePath(key);
+        const object = await getObject(key);
+        if (!object) return null;
+        await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+        const tmp = `${dest}.${uuidv4()}.tmp`;
+        try {
+            await pipeline(object.Body, fs.createWriteStream(tmp));
+            await fs.promises.rename(tmp, dest);
+        } catch (err) {
+            await fs.promises.rm(tmp, { force: true });
+            throw err;
+        }
+        return dest;
+    }
+
+    return {
+        name: 's3',
+        isLocal: false,
+
+        async list(listPrefix) {
+            const { contents } = await listAll(listPrefix, '/');
+            return contents
+                .map(key => key.slice(listPrefix.length))
+                .filter(name => name && !name.startsWith('.'));
+        },
+
+        async listDirs(listPrefix) {
+            const { prefixes } = await listAll(listPrefix, '/');
+            return prefixes.map(p => p.slice(listPrefix.length, -1));
+        },
+
+        async stat(key) {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+                return { size: head.ContentLength, mtime: head.LastModified };
+            } catch (err) {
+                if (isNotFound(err)) return null;
+                throw err;
+            }
+        },
+
+        async read(key) {
+            const object = await getObject(key);
+            return object ? Buffer.from(await object.Body.transformToByteArray()) : null;
+        },
+
+        // GetObject is asynchronous, so hand back a stream right away and feed it once the
+        // response arrives; failures are emitted as stream errors
+        createReadStream(key, range) {
+            const stream = new PassThrough();
+            getObject(key, range).then(object => {
+                if (!object) {
+                    stream.destroy(Object.assign(new Error(`Object not found: ${key}`), { code: 'ENOENT' }));
+                    return;
+                }
+                object.Body.on('error', err => stream.destroy(err));
+                object.Body.pipe(stream);
+            }, err => stream.destroy(err));
+            return stream;
+        },
+
+        async putFile(key, localPath) {
+            const { size } = await fs.promises.stat(localPath);
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key),
+                Body: fs.createReadStream(localPath),
+                ContentLength: size
+            }));
+            const dest = cachePath(key);
+            await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+            await fs.promises.rename(localPath, dest).catch(() => fs.promises.unlink(localPath));
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+            await fs.promises.rm(cachePath(key), { force: true });
+        },
+
+        async removePrefix(removePrefix) {
+            const { contents } = await listAll(removePrefix);
+            for (let i = 0; i < contents.length; i += 1000) {
+                await client.send(new DeleteObjectsCommand({
+                    Bucket: bucket,
+                    Delete: { Objects: contents.slice(i, i + 1000).map(key => ({ Key: objectKey(key) })), Quiet: true }
+                }));
+            }
+            await fs.promises.rm(cachePath(removePrefix), { recursive: true, force: true });
+        },
+
+        async localPath(key) {
+            const dest = cachePath(key);
+            if (fs.existsSync(dest)) {
+                // Mark as recently used so pruneCache keeps it
+                const now = new Date();
+                await fs.promises.utimes(dest, now, now).catch(() => {});
+                return dest;
+            }
+            if (!downloads.has(key)) {
+                downloads.set(key, download(key).finally(() => downloads.delete(key)));
+            }
+            return downloads.get(key);
+        },
+
+        // `filename` is offered as the download name; `inline` shows it in the browser instead
+        async presignedUrl(key, { expiresIn, filename, inline } = {}) {
+            const disposition = filename
+                ? `${inline ? 'inline' : 'attachment'}; filename="${filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+                : undefined;
+            return getSignedUrl(client, new GetObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key),
+                ResponseContentDisposition: disposition
+            }), { expiresIn });
+        },
+
+        async pruneCache(maxAgeMs) {
+            const cutoff = Date.now() - maxAgeMs;
+            const prune = async dir => {
+                let dirEntries;
+                try {
+                    dirEntries = await fs.promises.readdir(dir, { withFileTypes: true });
+                } catch (err) {
+                    return;
+                }
+                for (const entry of dirEntries) {
+                    const entryPath = path.join(dir, entry.name);
+                    if (entry.isDirectory()) {
+                        await prune(entryPath);
+                    } else {
+                        const stats = await fs.promises.stat(entryPath).catch(() => null);
+                        if (stats && stats.mtimeMs < cutoff) await fs.promises.rm(entryPath, { force: true });
+                    }
+                }
+            };
+            await prune(cacheDir);
+        }
+    };
+}
+
+// Build a backend from its driver name ("local" or "s3") and the S3_* environment variables.
+// Used by the server and by the migration script, which needs both ends at once.
+function createStorage(driver, dataDir) {
+    if (driver === 'local') {
+        return createLocalStorage(dataDir);
+    }
+    if (driver === 's3') {
+        const endpoint = process.env.S3_ENDPOINT || '';
+        return createS3Storage({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            // Key prefix, so one bucket can hold several installs ("metransfer/")
+            prefix: (process.env.S3_PREFIX || '').replace(/^\/+/, '').replace(/([^/])$/, '$1/'),
+            // MinIO and most self-hosted stores need path-style URLs (http://host:9000/bucket/key)
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+                ? process.env.S3_FORCE_PATH_STYLE === '1'
+                : !!endpoint,
+            cacheDir: path.join(dataDir, 'storage-cache')
+        });
+    }
+    throw new Error(`Unknown storage driver "${driver}" (expected "local" or "s3")`);
+}
+
+module.exports = { createStorage, createLocalStorage, createS3Storage };
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+    server = await startServer();
+    api = await signIn(server.url);
+});
+
+after(() => server.stop());
+
+function setAccess(galleryId, body) {
+    return api(`/api/gallery/${galleryId}/access`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+const clientPhotos = galleryId => fetch(`${server.url}/api/gallery/${galleryId}/photos`);
+
+test('a rejected access update changes nothing', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+
+    for (const invalid of [{ expiresAt: 'garbage' }, { maxDownloads: 0 }]) {
+        const res = await setAccess(galleryId, { password: 'secret', resetDownloads: true, ...invalid });
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual((await clientPhotos(galleryId)).status, 200);
+    }
+});
+
+test('an unknown language rejects the whole access update', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+
+    const res = await setAccess(galleryId, { password: 'secret', language: 'xx' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await clientPhotos(galleryId)).status, 200);
+});
+
+test('expired galleries answer 410 to clients but stay open to the photographer', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+    assert.strictEqual((await setAccess(galleryId, { expiresAt: new Date(Date.now() - 1000).toISOString() })).status, 200);
+
+    for (const pathname of [`/api/gallery/${galleryId}/photos`, `/api/gallery/${galleryId}/info`, `/preview/${galleryId}`]) {
+        assert.strictEqual((await fetch(`${server.url}${pathname}`)).status, 410, pathname);
+    }
+    assert.strictEqual((await api(`/api/gallery/${galleryId}/photos`)).status, 200);
+
+    assert.strictEqual((await setAccess(galleryId, { expiresAt: null })).status, 200);
+    assert.strictEqual((await clientPhotos(galleryId)).status, 200);
+});
+
+test('the right password unlocks a protected gallery for that browser', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+    assert.strictEqual((await setAccess(galleryId, { password: 'secret' })).status, 200);
+
+    const locked = await clientPhotos(galleryId);
+    assert.strictEqual(locked.status, 401);
+    assert.strictEqual((await locked.json()).passwordRequired, true);
+    const info = await (await fetch(`${server.url}/api/gallery/${galleryId}/info`)).json();
+    assert.strictEqual(info.passwordRequired, true);
+
+    const unlock = password => fetch(`${server.url}/api/gallery/${galleryId}/unlock`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+    });
+    assert.strictEqual((await unlock('wrong')).status, 401);
+
+    const unlocked = await unlock('secret');
+    assert.strictEqual(unlocked.status, 200);
+    const Cookie = unlocked.headers.get('set-cookie').split(';')[0];
+    const photos = await fetch(`${server.url}/api/gallery/${galleryId}/photos`, { headers: { Cookie } });
+    assert.strictEqual(photos.status, 200);
+
+    // Changing the password signs every browser out again
+    assert.strictEqual((await setAccess(galleryId, { password: 'another' })).status, 200);
+    assert.strictEqual((await fetch(`${server.url}/api/gallery/${galleryId}/photos`, { headers: { Cookie } })).status, 401);
+});
+
+test('ZIP downloads stop once the download allowance is used up', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+    assert.strictEqual((await setAccess(galleryId, { maxDownloads: 1 })).status, 200);
+    const zip = () => fetch(`${server.url}/api/gallery/${galleryId}/download`);
+
+    const first = await zip();
+    assert.strictEqual(first.status, 200);
+    await first.arrayBuffer();
+    const second = await zip();
+    assert.strictEqual(second.status, 410);
+    assert.strictEqual((await second.json()).limitReached, true);
+
+    assert.strictEqual((await setAccess(galleryId, { resetDownloads: true })).status, 200);
+    const reset = await zip();
+    assert.strictEqual(reset.status, 200);
+    await reset.arrayBuffer();
+});
@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let server;
+let api;
+let galleryId;
+
+before(async () => {
+    server = await startServer({ ANALYTICS_RETENTION_DAYS: '90' });
+    api = await signIn(server.url);
+    galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+});
+
+after(() => server.stop());
+
+function setAnalyticsDays(analyticsDays) {
+    return api('/api/storage/retention', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ analyticsDays })
+    });
+}
+
+const activity = async () => (await api(`/api/gallery/${galleryId}/analytics`)).json();
+
+test('activity retention is a dashboard setting that defaults to ANALYTICS_RETENTION_DAYS', async () => {
+    const storage = await (await api('/api/storage')).json();
+    assert.strictEqual(storage.retention.analyticsDays, null);
+    assert.strictEqual(storage.analyticsDefaultDays, 90);
+    assert.strictEqual((await activity()).retentionDays, 90);
+
+    assert.strictEqual((await setAnalyticsDays(30)).status, 200);
+    assert.strictEqual((await activity()).retentionDays, 30);
+
+    assert.strictEqual((await setAnalyticsDays(0)).status, 200);
+    assert.strictEqual((await activity()).enabled, false);
+
+    assert.strictEqual((await setAnalyticsDays(-1)).status, 400);
+
+    assert.strictEqual((await setAnalyticsDays(null)).status, 200);
+    assert.strictEqual((await activity()).retentionDays, 90);
+});
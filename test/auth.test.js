@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+    server = await startServer();
+    api = await signIn(server.url);
+});
+
+after(() => server.stop());
+
+function createToken(scopes) {
+    return api('/api/tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: scopes.join('+'), scopes })
+    }).then(res => res.json()).then(body => body.token);
+}
+
+function rename(galleryId, headers) {
+    return fetch(`${server.url}/api/gallery/${galleryId}/rename`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ eventName: 'Renamed' })
+    });
+}
+
+function createAdmin(username, password) {
+    return api('/api/admins', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+}
+
+test('API tokens stop working once their creator is deleted', async () => {
+    assert.strictEqual((await createAdmin('bob', 'bob-password')).status, 200);
+    const bob = await signIn(server.url, 'bob', 'bob-password');
+    const created = await bob('/api/tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'script', scopes: ['read', 'write', 'admin'] })
+    });
+    const { token } = await created.json();
+    const withToken = () => fetch(`${server.url}/api/admins`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.strictEqual((await withToken()).status, 200);
+
+    assert.strictEqual((await api('/api/admins/bob', { method: 'DELETE' })).status, 200);
+    assert.strictEqual((await withToken()).status, 401);
+
+    // Not even for a new account that reuses the name
+    assert.strictEqual((await createAdmin('bob', 'another-password')).status, 200);
+    assert.strictEqual((await withToken()).status, 401);
+});
+
+test('cookie-authenticated changes need the session CSRF token', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+    const { Cookie, 'X-CSRF-Token': csrfToken } = api.headers;
+
+    assert.strictEqual((await rename(galleryId, { Cookie })).status, 403);
+    assert.strictEqual((await rename(galleryId, { Cookie, 'X-CSRF-Token': 'f'.repeat(csrfToken.length) })).status, 403);
+
+    const logo = new FormData();
+    logo.append('logo', new Blob([await jpeg()], { type: 'image/jpeg' }), 'logo.jpg');
+    assert.strictEqual((await fetch(`${server.url}/api/logo`, { method: 'POST', headers: { Cookie }, body: logo })).status, 403);
+
+    assert.strictEqual((await rename(galleryId, { Cookie, 'X-CSRF-Token': csrfToken })).status, 200);
+});
+
+test('a read-only token can read but not change anything', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+    const token = await createToken(['read']);
+    const Authorization = `Bearer ${token}`;
+
+    assert.strictEqual((await fetch(`${server.url}/api/galleries`, { headers: { Authorization } })).status, 200);
+    assert.strictEqual((await rename(galleryId, { Authorization })).status, 403);
+    assert.strictEqual((await rename(galleryId, { Authorization: `Bearer ${await createToken(['read', 'write'])}` })).status, 200);
+});
+
+test('signing out ends the session', async () => {
+    const session = await signIn(server.url);
+    assert.strictEqual((await session('/api/auth/session')).status, 200);
+
+    assert.strictEqual((await session('/api/auth/logout', { method: 'POST' })).status, 200);
+    assert.strictEqual((await session('/api/auth/session')).status, 401);
+    assert.strictEqual((await session('/api/galleries')).status, 401);
+});
+
+test('only tokens with the read scope see past a gallery password', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+    const access = await api(`/api/gallery/${galleryId}/access`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: 'secret' })
+    });
+    assert.strictEqual(access.status, 200);
+    const photos = token => fetch(`${server.url}/api/gallery/${galleryId}/photos`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+
+    assert.strictEqual((await photos(await createToken(['write']))).status, 401);
+    assert.strictEqual((await photos(await createToken(['read']))).status, 200);
+});
@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+    server = await startServer();
+    api = await signIn(server.url);
+});
+
+after(() => server.stop());
+
+function postJson(pathname, body) {
+    return api(pathname, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+// The API route behind a client's portal page link
+const portalApi = portalUrl => `${server.url}/api${new URL(portalUrl).pathname}`;
+
+test('the client portal lists the client\'s galleries, newest first', async () => {
+    assert.strictEqual((await postJson('/api/clients', { name: 'Ada', email: 'not-an-email' })).status, 400);
+    const { client } = await (await postJson('/api/clients', { name: ' Ada ', email: 'ada@example.com' })).json();
+    assert.strictEqual(client.name, 'Ada');
+
+    const older = await createGallery(api, { 'a.jpg': await jpeg() }, { eventName: 'Engagement', clientId: client.id });
+    const newer = await createGallery(api, { 'b.jpg': await jpeg() }, { eventName: 'Wedding' });
+    assert.strictEqual((await postJson(`/api/gallery/${newer}/client`, { clientId: client.id })).status, 200);
+    await createGallery(api, { 'c.jpg': await jpeg() }, { eventName: 'Someone else' });
+    assert.strictEqual((await postJson(`/api/gallery/${older}/access`, { expiresAt: new Date(Date.now() - 1000).toISOString() })).status, 200);
+
+    const portal = await (await fetch(portalApi(client.portalUrl))).json();
+    assert.strictEqual(portal.name, 'Ada');
+    assert.deepStrictEqual(portal.galleries.map(g => [g.eventName, g.expired, g.url]), [
+        ['Wedding', false, `/download/${newer}`],
+        ['Engagement', true, null]
+    ]);
+
+    const clients = await (await api('/api/clients')).json();
+    assert.strictEqual(clients.find(c => c.id === client.id).galleryCount, 2);
+});
+
+test('a new portal link retires the old one, and deleting a client unassigns their galleries', async () => {
+    const { client } = await (await postJson('/api/clients', { name: 'Grace' })).json();
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() }, { clientId: client.id });
+
+    const { client: renewed } = await (await postJson(`/api/clients/${client.id}`, { newLink: true })).json();
+    assert.strictEqual((await fetch(portalApi(client.portalUrl))).status, 404);
+    assert.strictEqual((await fetch(portalApi(renewed.portalUrl))).status, 200);
+
+    const deleted = await api(`/api/clients/${client.id}`, { method: 'DELETE' });
+    assert.strictEqual((await deleted.json()).unassigned, 1);
+    assert.strictEqual((await fetch(portalApi(renewed.portalUrl))).status, 404);
+    const { galleries } = await (await api('/api/galleries')).json();
+    assert.strictEqual(galleries.find(g => g.id === galleryId).client, null);
+});
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+    server = await startServer();
+    api = await signIn(server.url);
+    const galleries = [
+        ['Smith Wedding', '2024-06-01', 'wedding, outdoor'],
+        ['Jones Wedding', '2024-05-01', 'Wedding'],
+        ['Acme Headshots', '2024-04-01', 'corporate'],
+        ['Baby Lee', '2024-03-01', ''],
+        ['Brown Family', '2024-02-01', 'outdoor']
+    ];
+    for (const [eventName, shootDate, tags] of galleries) {
+        await createGallery(api, { 'a.jpg': await jpeg() }, { eventName, shootDate, tags });
+    }
+});
+
+after(() => server.stop());
+
+const list = async query => (await api(`/api/galleries?${query}`)).json();
+const names = body => body.galleries.map(g => g.eventName);
+
+test('cursor pagination walks every gallery once in sort order', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+        const page = await list(`limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+        assert.strictEqual(page.total, 5);
+        assert.ok(page.galleries.length <= 2);
+        seen.push(...names(page));
+        cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepStrictEqual(seen, ['Smith Wedding', 'Jones Wedding', 'Acme Headshots', 'Baby Lee', 'Brown Family']);
+
+    const byName = await list('sort=name&limit=3');
+    assert.deepStrictEqual(names(byName), ['Acme Headshots', 'Baby Lee', 'Brown Family']);
+    assert.deepStrictEqual(names(await list(`sort=name&cursor=${byName.nextCursor}`)), ['Jones Wedding', 'Smith Wedding']);
+    assert.deepStrictEqual(names(await list('sort=name&order=desc&limit=1')), ['Smith Wedding']);
+});
+
+test('invalid sorts, limits and cursors are rejected', async () => {
+    const byDate = await list('limit=1');
+    assert.strictEqual((await api(`/api/galleries?sort=name&cursor=${byDate.nextCursor}`)).status, 400);
+    for (const query of ['sort=colour', 'order=up', 'limit=0', 'limit=201', 'cursor=garbage']) {
+        assert.strictEqual((await api(`/api/galleries?${query}`)).status, 400, query);
+    }
+});
+
+test('galleries can be filtered by tag and searched by name and tags', async () => {
+    const tagged = await list('tag=WEDDING');
+    assert.deepStrictEqual(names(tagged), ['Smith Wedding', 'Jones Wedding']);
+    assert.strictEqual(tagged.total, 2);
+    assert.deepStrictEqual(tagged.tags, ['corporate', 'outdoor', 'wedding']);
+
+    assert.deepStrictEqual(names(await list('q=outdoor')), ['Smith Wedding', 'Brown Family']);
+    assert.deepStrictEqual(names(await list('q=wedding%20jones')), ['Jones Wedding']);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+    server = await startServer();
+    api = await signIn(server.url);
+});
+
+after(() => server.stop());
+
+function postJson(pathname, body) {
+    return api(pathname, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+// Update the gallery's guest upload settings; resolves to the upload link's token
+async function guestSettings(galleryId, body) {
+    const res = await postJson(`/api/gallery/${galleryId}/guest-uploads`, body);
+    return (await res.json()).settings.token;
+}
+
+function guestUpload(galleryId, token, photos) {
+    const form = new FormData();
+    form.append('name', 'Aunt May');
+    for (const [name, data] of photos) form.append('photos', new Blob([data], { type: 'image/jpeg' }), name);
+    return fetch(`${server.url}/api/gallery/${galleryId}/guest-upload/${token}`, { method: 'POST', body: form });
+}
+
+async function zipOf(galleryId) {
+    const res = await fetch(`${server.url}/api/gallery/${galleryId}/download`);
+    assert.strictEqual(res.status, 200);
+    return Buffer.from(await res.arrayBuffer());
+}
+
+test('guest photos stay out of the gallery and its ZIP until approved', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+    const token = await guestSettings(galleryId, { enabled: true });
+
+    const upload = await guestUpload(galleryId, token, [['guest.jpg', await jpeg({ color: '#123' })]]);
+    assert.strictEqual(upload.status, 200);
+    assert.strictEqual((await upload.json()).received, 1);
+
+    const queue = await (await api(`/api/gallery/${galleryId}/guest-uploads`)).json();
+    assert.deepStrictEqual(queue.pending.map(p => [p.filename, p.guestName]), [['guest.jpg', 'Aunt May']]);
+
+    const clientFiles = async () => (await (await fetch(`${server.url}/api/gallery/${galleryId}/photos`)).json()).photos.map(p => p.filename);
+    assert.deepStrictEqual(await clientFiles(), ['a.jpg']);
+    assert.strictEqual((await fetch(`${server.url}/api/gallery/${galleryId}/photo/guest.jpg`)).status, 404);
+    assert.ok(!(await zipOf(galleryId)).includes('guest.jpg'));
+
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/guest-uploads/approve`, { files: ['a.jpg'] })).status, 400);
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/guest-uploads/approve`, { files: ['guest.jpg'] })).status, 200);
+    assert.deepStrictEqual(await clientFiles(), ['a.jpg', 'guest.jpg']);
+    assert.ok((await zipOf(galleryId)).includes('guest.jpg'));
+});
+
+test('rejected guest photos are deleted and old links stop working', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+    const token = await guestSettings(galleryId, { enabled: true });
+    assert.strictEqual((await guestUpload(galleryId, token, [['guest.jpg', await jpeg({ color: '#123' })]])).status, 200);
+
+    const rejected = await postJson(`/api/gallery/${galleryId}/guest-uploads/reject`, { files: ['guest.jpg'] });
+    assert.strictEqual((await rejected.json()).pending, 0);
+    assert.strictEqual((await api(`/api/gallery/${galleryId}/photo/guest.jpg`)).status, 404);
+
+    assert.notStrictEqual(await guestSettings(galleryId, { newLink: true }), token);
+    assert.strictEqual((await guestUpload(galleryId, token, [['late.jpg', await jpeg({ color: '#456' })]])).status, 404);
+});
@@ -0,0 +1,101 @@
+// Starts a real server on a free port with its own temporary INSTALL_DIR, so tests exercise the
+// same routes, middleware and files as production without touching the repository's data.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const ADMIN_PASSWORD = 'test-password';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// `prepare(dir)` may write files into the install directory before the server starts
+async function startServer(env = {}, { prepare } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metransfer-test-'));
+    if (prepare) prepare(dir);
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, INSTALL_DIR: dir, PORT: String(port), ADMIN_PASSWORD, ...env },
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', data => stderr += data);
+
+    const url = `http://127.0.0.1:${port}`;
+    for (let i = 0; ; i++) {
+        if (child.exitCode !== null) throw new Error(`Server exited:\n${stderr}`);
+        try {
+            await fetch(`${url}/api/logo`);
+            break;
+        } catch (err) {
+            if (i > 100) throw new Error(`Server did not start:\n${stderr}`);
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    return {
+        url,
+        dir,
+        async stop() {
+            if (child.exitCode === null) {
+                child.kill();
+                await new Promise(resolve => child.once('exit', resolve));
+            }
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Sign in and return a fetch wrapper that sends the session cookie and CSRF token; the same
+// headers are on its `headers` property for requests made without fetch
+async function signIn(url, username = 'admin', password = ADMIN_PASSWORD) {
+    const res = await fetch(`${url}/api/auth/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    if (!res.ok) throw new Error(`Sign-in failed with ${res.status}`);
+    const { csrfToken } = await res.json();
+    const cookie = res.headers.get('set-cookie').split(';')[0];
+
+    const headers = { Cookie: cookie, 'X-CSRF-Token': csrfToken };
+    const api = (pathname, options = {}) => fetch(`${url}${pathname}`, {
+        ...options,
+        headers: { ...headers, ...options.headers }
+    });
+    api.headers = headers;
+    return api;
+}
+
+// A small JPEG; `exif` is passed to sharp's withExif, and `color` makes photos differ
+function jpeg({ color = '#888', exif } = {}) {
+    let image = sharp({ create: { width: 8, height: 8, channels: 3, background: color } });
+    if (exif) image = image.withExif(exif);
+    return image.jpeg().toBuffer();
+}
+
+// Create a gallery from { name: buffer } photos through the upload route; resolves to its ID
+async function createGallery(api, photos, fields = {}) {
+    const form = new FormData();
+    for (const [name, value] of Object.entries({ eventName: 'Test', ...fields })) form.append(name, value);
+    for (const [name, data] of Object.entries(photos)) {
+        form.append('photos', new Blob([data], { type: 'image/jpeg' }), name);
+    }
+    const res = await api('/api/gallery/create', { method: 'POST', body: form });
+    if (!res.ok) throw new Error(`Gallery creation failed with ${res.status}: ${await res.text()}`);
+    return (await res.json()).galleryId;
+}
+
+module.exports = { ADMIN_PASSWORD, startServer, signIn, jpeg, createGallery };
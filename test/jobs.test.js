@@ -0,0 +1,105 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobQueue } = require('../jobs');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let dir;
+const queueFile = () => path.join(dir, 'jobs.json');
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metransfer-jobs-'));
+});
+
+// Let the queue's delayed save land before its directory goes
+afterEach(async () => {
+    await new Promise(resolve => setTimeout(resolve, 600));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Resolves once `check()` holds, polling every few milliseconds
+async function until(check) {
+    for (let i = 0; !check(); i++) {
+        if (i > 500) throw new Error('Timed out');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('failing jobs are retried, then reported as failures of their gallery', async () => {
+    let attempts = 0;
+    const jobs = createJobQueue({
+        file: queueFile(),
+        maxAttempts: 3,
+        handlers: {
+            ok: () => {},
+            broken: () => { attempts++; throw new Error('cannot decode'); }
+        }
+    });
+    jobs.add('ok', { galleryId: 'g1', filename: 'a.jpg' });
+    jobs.add('broken', { galleryId: 'g1', filename: 'b.jpg' });
+    jobs.add('broken', { galleryId: 'g1', filename: 'b.jpg' });
+    assert.strictEqual(jobs.progress('g1').queued, 2);
+    jobs.start();
+
+    await until(() => jobs.progress('g1').done === 2);
+    assert.strictEqual(attempts, 3);
+    assert.deepStrictEqual(jobs.progress('g1'), { total: 2, done: 2, queued: 0, running: 0, failed: 1 });
+    const [failure] = jobs.failures('g1');
+    assert.deepStrictEqual([failure.type, failure.filename, failure.attempts, failure.error], ['broken', 'b.jpg', 3, 'cannot decode']);
+
+    jobs.clearFailures('g1');
+    assert.strictEqual(jobs.progress('g1').failed, 0);
+});
+
+test('queued jobs survive a restart', async () => {
+    const before = createJobQueue({ file: queueFile(), handlers: {} });
+    before.add('thumbnail', { galleryId: 'g1', filename: 'a.jpg' });
+    await until(() => fs.existsSync(queueFile()));
+
+    const done = [];
+    const after = createJobQueue({ file: queueFile(), handlers: { thumbnail: params => done.push(params.filename) } });
+    assert.strictEqual(after.progress('g1').queued, 1);
+    after.start();
+    await until(() => done.length === 1);
+    assert.deepStrictEqual(done, ['a.jpg']);
+});
+
+test('waiting requests share one run and go ahead of background jobs', async () => {
+    const order = [];
+    const jobs = createJobQueue({ file: queueFile(), concurrency: 1, handlers: { thumbnail: () => order.push('background') } });
+    jobs.add('thumbnail', { galleryId: 'g1', filename: 'a.jpg' });
+
+    let runs = 0;
+    const task = () => { runs++; order.push('request'); return 'rendition'; };
+    const first = jobs.run('a.jpg@800', task);
+    const second = jobs.run('a.jpg@800', task);
+    jobs.start();
+
+    assert.deepStrictEqual(await Promise.all([first, second]), ['rendition', 'rendition']);
+    await until(() => order.length === 2);
+    assert.strictEqual(runs, 1);
+    assert.deepStrictEqual(order, ['request', 'background']);
+});
+
+test('the server reports thumbnail progress per gallery', async () => {
+    const server = await startServer();
+    try {
+        const api = await signIn(server.url);
+        const galleryId = await createGallery(api, { 'a.jpg': await jpeg(), 'b.jpg': await jpeg({ color: '#123' }) });
+
+        let progress;
+        for (let i = 0; ; i++) {
+            progress = await (await api(`/api/gallery/${galleryId}/jobs`)).json();
+            if (progress.done === progress.total || i > 100) break;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        assert.ok(progress.total >= 2);
+        assert.strictEqual(progress.done, progress.total);
+        assert.deepStrictEqual(progress.failures, []);
+        assert.ok(fs.readdirSync(path.join(server.dir, 'thumbnails', galleryId)).some(f => f.startsWith('a.jpg.')));
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,112 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecordStore } = require('../metadata-store');
+const { startServer, signIn } = require('./helpers');
+
+let dir;
+const snapshotFile = () => path.join(dir, 'records.json');
+const journalFile = () => path.join(dir, 'records.journal');
+const open = (options = {}) => createRecordStore({ dir, name: 'records', migrations: [], ...options });
+const byId = records => [...records].sort((a, b) => a.id.localeCompare(b.id));
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metransfer-store-'));
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a store that was never written loads as null', () => {
+    assert.strictEqual(open().load(), null);
+});
+
+test('replays the journal over the snapshot and skips a torn last line', () => {
+    fs.writeFileSync(snapshotFile(), JSON.stringify({
+        schemaVersion: 0,
+        records: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }]
+    }));
+    fs.writeFileSync(journalFile(), [
+        JSON.stringify({ op: 'put', record: { id: 'a', name: 'A2' } }),
+        JSON.stringify({ op: 'delete', id: 'b' }),
+        JSON.stringify({ op: 'put', record: { id: 'c', name: 'C' } }),
+        '{"op":"put","record":{"id":"d","na'
+    ].join('\n'));
+
+    const expected = [{ id: 'a', name: 'A2' }, { id: 'c', name: 'C' }];
+    assert.deepStrictEqual(byId(open().load()), expected);
+
+    // Loading compacts: the snapshot holds everything and the torn line is gone
+    assert.strictEqual(fs.readFileSync(journalFile(), 'utf8'), '');
+    assert.deepStrictEqual(byId(JSON.parse(fs.readFileSync(snapshotFile(), 'utf8')).records), expected);
+    assert.deepStrictEqual(byId(open().load()), expected);
+});
+
+test('refuses a journal that is corrupt before its last line', () => {
+    fs.writeFileSync(journalFile(), [
+        'not json',
+        JSON.stringify({ op: 'put', record: { id: 'a' } })
+    ].join('\n'));
+    assert.throws(() => open().load(), /corrupt at line 1/);
+});
+
+test('journals only what changed and folds the journal into a snapshot when it grows', () => {
+    const store = open({ compactAfter: 3 });
+    store.load();
+    const records = [{ id: 'a', n: 1 }, { id: 'b', n: 1 }];
+    store.save(records);
+    assert.strictEqual(fs.readFileSync(journalFile(), 'utf8').trim().split('\n').length, 2);
+
+    records[0].n = 2;
+    store.save(records);
+    const lines = fs.readFileSync(journalFile(), 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 3);
+    assert.deepStrictEqual(JSON.parse(lines[2]), { op: 'put', record: { id: 'a', n: 2 } });
+
+    // Past compactAfter lines the next save writes a snapshot instead
+    store.save([records[0]]);
+    assert.strictEqual(fs.readFileSync(journalFile(), 'utf8'), '');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(snapshotFile(), 'utf8')).records, [{ id: 'a', n: 2 }]);
+    assert.deepStrictEqual(open().load(), [{ id: 'a', n: 2 }]);
+});
+
+test('migrates records from an older schema and writes them back upgraded', () => {
+    fs.writeFileSync(snapshotFile(), JSON.stringify({ schemaVersion: 0, records: [{ id: 'a' }] }));
+    fs.writeFileSync(journalFile(), JSON.stringify({ op: 'put', record: { id: 'b' } }) + '\n');
+    const migrations = [r => ({ ...r, v1: true }), r => ({ ...r, v2: true })];
+
+    const expected = [{ id: 'a', v1: true, v2: true }, { id: 'b', v1: true, v2: true }];
+    assert.deepStrictEqual(byId(open({ migrations }).load()), expected);
+    const snapshot = JSON.parse(fs.readFileSync(snapshotFile(), 'utf8'));
+    assert.strictEqual(snapshot.schemaVersion, 2);
+    assert.deepStrictEqual(byId(snapshot.records), expected);
+
+    // A snapshot from a newer server is not guessed at
+    assert.throws(() => open({ migrations: [migrations[0]] }).load(), /schema version 2/);
+});
+
+test('the server imports galleries.json once, migrating its records', async () => {
+    const id = crypto.randomUUID();
+    const server = await startServer({}, {
+        prepare(installDir) {
+            fs.writeFileSync(path.join(installDir, 'galleries.json'), JSON.stringify([{ id, files: ['a.jpg'] }]));
+            fs.mkdirSync(path.join(installDir, 'uploads', id), { recursive: true });
+            fs.writeFileSync(path.join(installDir, 'uploads', id, 'a.jpg'), 'photo');
+        }
+    });
+    try {
+        const api = await signIn(server.url);
+        const { galleries } = await (await api('/api/galleries')).json();
+        assert.deepStrictEqual(galleries.map(g => [g.id, g.eventName, g.fileCount]), [[id, 'Untitled Event', 1]]);
+
+        assert.ok(!fs.existsSync(path.join(server.dir, 'galleries.json')));
+        assert.ok(fs.existsSync(path.join(server.dir, 'galleries.json.imported')));
+        const snapshot = JSON.parse(fs.readFileSync(path.join(server.dir, 'metadata', 'galleries.json'), 'utf8'));
+        assert.strictEqual(snapshot.schemaVersion, 1);
+        assert.deepStrictEqual(snapshot.records.map(g => g.id), [id]);
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+// Latitude 51° as the unsigned rational EXIF stores it
+const LATITUDE = Buffer.from([0, 0, 0, 51, 0, 0, 0, 1]);
+
+let server;
+let api;
+let galleryId;
+let original;
+
+before(async () => {
+    server = await startServer();
+    api = await signIn(server.url);
+
+    original = await jpeg({ exif: { IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } } });
+    galleryId = await createGallery(api, { 'gps.jpg': original });
+});
+
+after(() => server.stop());
+
+test('originals are stripped of GPS once and then served from the cached copy', async () => {
+    assert.ok(original.includes(LATITUDE));
+
+    const download = await fetch(`${server.url}/api/gallery/${galleryId}/download/gps.jpg`);
+    assert.strictEqual(download.status, 200);
+    const delivered = Buffer.from(await download.arrayBuffer());
+    assert.ok(!delivered.includes(LATITUDE));
+
+    const cached = path.join(server.dir, 'private-originals', galleryId, 'strip-gps', 'gps.jpg');
+    assert.deepStrictEqual(fs.readFileSync(cached), delivered);
+
+    const view = await fetch(`${server.url}/api/gallery/${galleryId}/photo/gps.jpg`);
+    assert.strictEqual(view.status, 200);
+    assert.strictEqual(view.headers.get('content-type'), 'image/jpeg');
+    assert.deepStrictEqual(Buffer.from(await view.arrayBuffer()), delivered);
+});
+
+test('an invalid metadata policy rejects the whole access update', async () => {
+    const res = await api(`/api/gallery/${galleryId}/access`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: 'secret', metadataPolicy: 'strip-some' })
+    });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await fetch(`${server.url}/api/gallery/${galleryId}/photos`)).status, 200);
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+    server = await startServer({ METADATA_POLICY: 'keep' });
+    api = await signIn(server.url);
+});
+
+after(() => server.stop());
+
+function postJson(pathname, body) {
+    return api(pathname, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+const photos = async galleryId => (await (await fetch(`${server.url}/api/gallery/${galleryId}/photos`)).json()).photos;
+
+test('photos can be captioned, reordered and deleted', async () => {
+    const galleryId = await createGallery(api, {
+        'a.jpg': await jpeg(),
+        'b.jpg': await jpeg({ color: '#123' }),
+        'c.jpg': await jpeg({ color: '#456' })
+    });
+
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/photo/b.jpg/caption`, { caption: '  First dance ' })).status, 200);
+    assert.strictEqual((await photos(galleryId)).find(p => p.filename === 'b.jpg').caption, 'First dance');
+
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/order`, { files: ['c.jpg', 'a.jpg'] })).status, 400);
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/order`, { files: ['c.jpg', 'a.jpg', 'a.jpg'] })).status, 400);
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/order`, { files: ['c.jpg', 'a.jpg', 'b.jpg'] })).status, 200);
+    assert.deepStrictEqual((await photos(galleryId)).map(p => p.filename), ['c.jpg', 'a.jpg', 'b.jpg']);
+
+    const deleted = await api(`/api/gallery/${galleryId}/photo/b.jpg`, { method: 'DELETE' });
+    assert.strictEqual(deleted.status, 200);
+    assert.strictEqual((await deleted.json()).fileCount, 2);
+    assert.deepStrictEqual((await photos(galleryId)).map(p => p.filename), ['c.jpg', 'a.jpg']);
+    assert.strictEqual((await fetch(`${server.url}/api/gallery/${galleryId}/download/b.jpg`)).status, 404);
+    assert.strictEqual((await api(`/api/gallery/${galleryId}/photo/b.jpg`, { method: 'DELETE' })).status, 404);
+});
+
+test('a replaced photo keeps its name, position and caption', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg(), 'b.jpg': await jpeg({ color: '#123' }) });
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/photo/a.jpg/caption`, { caption: 'Rings' })).status, 200);
+
+    const replacement = await jpeg({ color: '#f00' });
+    const form = new FormData();
+    form.append('photo', new Blob([replacement], { type: 'image/jpeg' }), 'edited.jpg');
+    const res = await api(`/api/gallery/${galleryId}/photo/a.jpg/replace`, { method: 'POST', body: form });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await res.json()).filename, 'a.jpg');
+
+    const list = await photos(galleryId);
+    assert.deepStrictEqual(list.map(p => [p.filename, p.caption]), [['a.jpg', 'Rings'], ['b.jpg', null]]);
+    const download = await fetch(`${server.url}/api/gallery/${galleryId}/download/a.jpg`);
+    assert.deepStrictEqual(Buffer.from(await download.arrayBuffer()), replacement);
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+    server = await startServer();
+    api = await signIn(server.url);
+});
+
+after(() => server.stop());
+
+function setAccess(galleryId, body) {
+    return api(`/api/gallery/${galleryId}/access`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+// Random pixels keep the JPEG at roughly 700 KB
+function noisyJpeg() {
+    return sharp(crypto.randomBytes(700 * 700 * 3), { raw: { width: 700, height: 700, channels: 3 } }).jpeg({ quality: 100 }).toBuffer();
+}
+
+function upload(galleryId, name, data) {
+    const form = new FormData();
+    form.append('photos', new Blob([data], { type: 'image/jpeg' }), name);
+    return api(`/api/gallery/${galleryId}/upload`, { method: 'POST', body: form });
+}
+
+test('uploads that would go over the gallery quota are refused whole', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await noisyJpeg() });
+    assert.strictEqual((await setAccess(galleryId, { quotaMb: 1 })).status, 200);
+
+    const refused = await upload(galleryId, 'b.jpg', await noisyJpeg());
+    assert.strictEqual(refused.status, 413);
+    assert.strictEqual((await refused.json()).quotaExceeded, true);
+    assert.deepStrictEqual(fs.readdirSync(path.join(server.dir, 'uploads', galleryId)), ['a.jpg']);
+
+    // 0 lifts the limit for this gallery
+    assert.strictEqual((await setAccess(galleryId, { quotaMb: 0 })).status, 200);
+    assert.strictEqual((await upload(galleryId, 'b.jpg', await noisyJpeg())).status, 200);
+});
+
+test('an invalid quota rejects the whole access update', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+
+    const res = await setAccess(galleryId, { password: 'secret', quotaMb: -1 });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await fetch(`${server.url}/api/gallery/${galleryId}/photos`)).status, 200);
+});
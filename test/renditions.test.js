@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const sharp = require('sharp');
+const { startServer, signIn, createGallery } = require('./helpers');
+
+let server;
+let galleryId;
+
+before(async () => {
+    server = await startServer();
+    const api = await signIn(server.url);
+    const photo = await sharp({ create: { width: 1000, height: 500, channels: 3, background: '#888' } }).jpeg().toBuffer();
+    galleryId = await createGallery(api, { 'a.jpg': photo });
+});
+
+after(() => server.stop());
+
+const rendition = (query, headers = {}) => fetch(`${server.url}/api/gallery/${galleryId}/photo/a.jpg?${query}`, { headers });
+
+test('renditions come in the best format the browser accepts, at the next standard width', async () => {
+    for (const [accept, type, format] of [
+        ['image/avif,image/webp,*/*', 'image/avif', 'heif'],
+        ['image/webp,*/*', 'image/webp', 'webp'],
+        ['*/*', 'image/jpeg', 'jpeg']
+    ]) {
+        const res = await rendition('w=300', { Accept: accept });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('content-type'), type);
+        const meta = await sharp(Buffer.from(await res.arrayBuffer())).metadata();
+        assert.strictEqual(meta.format, format);
+        assert.strictEqual(meta.width, 400);
+    }
+
+    // Never upscaled past the original
+    const large = await rendition('w=2000');
+    assert.strictEqual((await sharp(Buffer.from(await large.arrayBuffer())).metadata()).width, 1000);
+});
+
+test('renditions are cacheable per format and revalidate with their ETag', async () => {
+    const res = await rendition('w=800', { Accept: 'image/webp' });
+    await res.arrayBuffer();
+    assert.strictEqual(res.headers.get('cache-control'), 'private, max-age=3600');
+    assert.match(res.headers.get('vary'), /Accept/);
+
+    const etag = res.headers.get('etag');
+    assert.ok(etag);
+    // fetch adds Cache-Control: no-cache to conditional requests, which disables the 304
+    const status = await new Promise((resolve, reject) => {
+        http.get(`${server.url}/api/gallery/${galleryId}/photo/a.jpg?w=800`,
+            { headers: { Accept: 'image/webp', 'If-None-Match': etag } },
+            response => resolve(response.resume().statusCode)).on('error', reject);
+    });
+    assert.strictEqual(status, 304);
+});
@@ -0,0 +1,128 @@
+// Runs against a real S3-compatible store, e.g. a local MinIO:
+//   S3_ENDPOINT=http://127.0.0.1:9000 S3_BUCKET=photos S3_ACCESS_KEY_ID=minioadmin \
+//   S3_SECRET_ACCESS_KEY=minioadmin npm test
+// Skipped unless S3_BUCKET is set. Every run works under its own S3_PREFIX and removes it after.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+const skip = !process.env.S3_BUCKET && 'S3_* variables are not set';
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'metransfer-s3-'));
+}
+
+function migrate(from, to, env) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'migrate-storage.js'), from, to],
+            { cwd: env.INSTALL_DIR, env: { ...process.env, ...env } },
+            (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+    });
+}
+
+describe('S3 storage', { skip }, () => {
+    const prefix = `metransfer-test-${crypto.randomUUID()}/`;
+    let dir;
+    let store;
+
+    before(() => {
+        dir = tempDir();
+        process.env.S3_PREFIX = prefix;
+        store = createStorage('s3', dir);
+    });
+
+    after(async () => {
+        await store.removePrefix('');
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('stores, lists, reads and range-reads objects', async () => {
+        const data = crypto.randomBytes(64 * 1024);
+        const local = path.join(dir, 'upload.bin');
+        fs.writeFileSync(local, data);
+
+        await store.putFile('uploads/g1/photo.bin', local);
+        assert.deepStrictEqual(await store.list('uploads/g1/'), ['photo.bin']);
+        assert.deepStrictEqual(await store.listDirs('uploads/'), ['g1']);
+        assert.strictEqual((await store.stat('uploads/g1/photo.bin')).size, data.length);
+        assert.strictEqual(await store.stat('uploads/g1/missing.bin'), null);
+        assert.deepStrictEqual(await store.read('uploads/g1/photo.bin'), data);
+
+        const chunks = [];
+        for await (const chunk of store.createReadStream('uploads/g1/photo.bin', { start: 100, end: 199 })) {
+            chunks.push(chunk);
+        }
+        assert.deepStrictEqual(Buffer.concat(chunks), data.subarray(100, 200));
+
+        assert.deepStrictEqual(fs.readFileSync(await store.localPath('uploads/g1/photo.bin')), data);
+
+        await store.remove('uploads/g1/photo.bin');
+        assert.strictEqual(await store.read('uploads/g1/photo.bin'), null);
+    });
+
+    test('serves uploads with range requests and presigned download redirects', async () => {
+        const server = await startServer({
+            STORAGE_DRIVER: 's3',
+            S3_PREFIX: prefix,
+            METADATA_POLICY: 'keep',
+            S3_PRESIGNED_DOWNLOADS: '1'
+        });
+        try {
+            const api = await signIn(server.url);
+            const photo = await jpeg();
+            const galleryId = await createGallery(api, { 'a.jpg': photo });
+            assert.strictEqual((await store.stat(`uploads/${galleryId}/a.jpg`)).size, photo.length);
+
+            const ranged = await fetch(`${server.url}/api/gallery/${galleryId}/photo/a.jpg`, { headers: { Range: 'bytes=0-9' } });
+            assert.strictEqual(ranged.status, 206);
+            assert.deepStrictEqual(Buffer.from(await ranged.arrayBuffer()), photo.subarray(0, 10));
+
+            const download = await fetch(`${server.url}/api/gallery/${galleryId}/download/a.jpg`, { redirect: 'manual' });
+            assert.strictEqual(download.status, 302);
+            const presigned = await fetch(download.headers.get('location'));
+            assert.strictEqual(presigned.status, 200);
+            assert.deepStrictEqual(Buffer.from(await presigned.arrayBuffer()), photo);
+        } finally {
+            await server.stop();
+        }
+    });
+
+    test('migrate-storage.js copies an install to S3 and back', async () => {
+        const source = tempDir();
+        const target = tempDir();
+        try {
+            const photo = crypto.randomBytes(1024);
+            const background = crypto.randomBytes(512);
+            fs.mkdirSync(path.join(source, 'uploads', 'g2'), { recursive: true });
+            fs.mkdirSync(path.join(source, 'backgrounds'));
+            fs.writeFileSync(path.join(source, 'uploads', 'g2', 'a.jpg'), photo);
+            fs.writeFileSync(path.join(source, 'backgrounds', 'g2.jpg'), background);
+
+            const up = await migrate('local', 's3', { INSTALL_DIR: source, S3_PREFIX: prefix });
+            assert.strictEqual(up.code, 0, up.stderr);
+            assert.match(up.stdout, /Copied 2, skipped 0/);
+            assert.deepStrictEqual(await store.read('uploads/g2/a.jpg'), photo);
+            assert.deepStrictEqual(await store.read('backgrounds/g2.jpg'), background);
+            // The source is left as it was
+            assert.ok(fs.existsSync(path.join(source, 'uploads', 'g2', 'a.jpg')));
+
+            const again = await migrate('local', 's3', { INSTALL_DIR: source, S3_PREFIX: prefix });
+            assert.match(again.stdout, /Copied 0, skipped 2/);
+
+            const down = await migrate('s3', 'local', { INSTALL_DIR: target, S3_PREFIX: prefix });
+            assert.strictEqual(down.code, 0, down.stderr);
+            assert.deepStrictEqual(fs.readFileSync(path.join(target, 'uploads', 'g2', 'a.jpg')), photo);
+            assert.deepStrictEqual(fs.readFileSync(path.join(target, 'backgrounds', 'g2.jpg')), background);
+        } finally {
+            fs.rmSync(source, { recursive: true, force: true });
+            fs.rmSync(target, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+    server = await startServer();
+    api = await signIn(server.url);
+});
+
+after(() => server.stop());
+
+function postJson(pathname, body) {
+    return api(pathname, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+const gallery = async galleryId => (await fetch(`${server.url}/api/gallery/${galleryId}/photos`)).json();
+
+test('photos can be filed into sections, which can be renamed, reordered and removed', async () => {
+    const galleryId = await createGallery(api, { 'a.jpg': await jpeg(), 'b.jpg': await jpeg({ color: '#123' }) }, { section: 'Ceremony' });
+    const [ceremony] = (await gallery(galleryId)).sections;
+    assert.deepStrictEqual({ name: ceremony.name, count: ceremony.count }, { name: 'Ceremony', count: 2 });
+
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/sections`, { name: 'ceremony' })).status, 409);
+    const created = await postJson(`/api/gallery/${galleryId}/sections`, { name: '  Reception ' });
+    assert.strictEqual(created.status, 201);
+    const reception = (await created.json()).section;
+    assert.strictEqual(reception.name, 'Reception');
+
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/photos/section`, { files: ['b.jpg'], section: reception.id })).status, 200);
+    let listed = await gallery(galleryId);
+    assert.deepStrictEqual(listed.photos.map(p => [p.filename, p.section]), [['a.jpg', ceremony.id], ['b.jpg', reception.id]]);
+    assert.deepStrictEqual(listed.sections.map(s => [s.name, s.count]), [['Ceremony', 1], ['Reception', 1]]);
+
+    const zip = await fetch(`${server.url}/api/gallery/${galleryId}/download?section=${reception.id}`);
+    const archive = Buffer.from(await zip.arrayBuffer());
+    assert.ok(archive.includes('b.jpg') && !archive.includes('a.jpg'));
+
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/sections/order`, { sections: [reception.id] })).status, 400);
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/sections/order`, { sections: [reception.id, ceremony.id] })).status, 200);
+    assert.strictEqual((await postJson(`/api/gallery/${galleryId}/sections/${reception.id}`, { name: 'Party' })).status, 200);
+    assert.deepStrictEqual((await gallery(galleryId)).sections.map(s => s.name), ['Party', 'Ceremony']);
+
+    assert.strictEqual((await api(`/api/gallery/${galleryId}/sections/${ceremony.id}`, { method: 'DELETE' })).status, 200);
+    listed = await gallery(galleryId);
+    assert.deepStrictEqual(listed.photos.map(p => [p.filename, p.section]), [['a.jpg', null], ['b.jpg', reception.id]]);
+    assert.deepStrictEqual(listed.sections.map(s => s.name), ['Party']);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let server;
+let api;
+let galleryId;
+
+before(async () => {
+    server = await startServer();
+    api = await signIn(server.url);
+    galleryId = await createGallery(api, { 'a.jpg': await jpeg() });
+});
+
+after(() => server.stop());
+
+function post(pathname, body = {}) {
+    return fetch(`${server.url}${pathname}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+function startSelection(id = galleryId) {
+    return post(`/api/gallery/${id}/selections`);
+}
+
+function setProofing(id, body) {
+    return api(`/api/gallery/${id}/proofing`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+test('one visitor can only keep a few draft selections open', async () => {
+    const statuses = [];
+    for (let i = 0; i < 6; i++) statuses.push((await startSelection()).status);
+    assert.deepStrictEqual(statuses, [200, 200, 200, 200, 200, 429]);
+
+    const list = await (await api(`/api/gallery/${galleryId}/selections`)).json();
+    assert.strictEqual(list.selections.length, 5);
+});
+
+test('clients favorite, comment on and submit a selection the photographer can export', async () => {
+    const id = await createGallery(api, { 'IMG_1.jpg': await jpeg(), 'IMG_2.jpg': await jpeg({ color: '#123' }) });
+    const selection = await (await startSelection(id)).json();
+    const mark = (filename, body) => post(`/api/gallery/${id}/selections/${selection.id}/photo/${filename}`, body);
+
+    assert.strictEqual((await mark('IMG_1.jpg', { favorite: true, comment: 'Crop tighter, please' })).status, 200);
+    assert.strictEqual((await mark('IMG_2.jpg', { favorite: true })).status, 200);
+    const updated = await (await mark('IMG_2.jpg', { favorite: false })).json();
+    assert.deepStrictEqual(updated.favorites, ['IMG_1.jpg']);
+    assert.deepStrictEqual(updated.comments, { 'IMG_1.jpg': 'Crop tighter, please' });
+    assert.strictEqual((await mark('missing.jpg', { favorite: true })).status, 404);
+
+    assert.strictEqual((await post(`/api/gallery/${id}/selections/${selection.id}/submit`)).status, 400);
+    const submit = await post(`/api/gallery/${id}/selections/${selection.id}/submit`, { clientName: 'Ada' });
+    assert.strictEqual(submit.status, 200);
+    assert.strictEqual((await submit.json()).status, 'submitted');
+    assert.strictEqual((await mark('IMG_2.jpg', { favorite: true })).status, 409);
+
+    const lightroom = await api(`/api/gallery/${id}/selections/export?format=lightroom`);
+    assert.strictEqual(await lightroom.text(), 'IMG_1');
+    const csv = (await (await api(`/api/gallery/${id}/selections/export?format=csv`)).text()).trim().split('\r\n');
+    assert.strictEqual(csv.length, 2);
+    assert.strictEqual(csv[1], `${selection.id},Ada,submitted,IMG_1.jpg,IMG_1.jpg,yes,"Crop tighter, please"`);
+});
+
+test('the selection limit and the proofing switch are enforced', async () => {
+    const id = await createGallery(api, { 'a.jpg': await jpeg(), 'b.jpg': await jpeg({ color: '#123' }) });
+    assert.strictEqual((await setProofing(id, { maxSelections: 1 })).status, 200);
+    const selection = await (await startSelection(id)).json();
+    const favorite = filename => post(`/api/gallery/${id}/selections/${selection.id}/photo/${filename}`, { favorite: true });
+
+    assert.strictEqual((await favorite('a.jpg')).status, 200);
+    const over = await favorite('b.jpg');
+    assert.strictEqual(over.status, 409);
+    assert.strictEqual((await over.json()).maxSelections, 1);
+
+    assert.strictEqual((await setProofing(id, { enabled: false })).status, 200);
+    assert.strictEqual((await startSelection(id)).status, 403);
+    assert.strictEqual((await fetch(`${server.url}/api/gallery/${id}/selections/${selection.id}`)).status, 403);
+});
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { startServer, signIn, jpeg, createGallery } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+    server = await startServer({ UPLOAD_CHUNK_MB: '1' });
+    api = await signIn(server.url);
+});
+
+after(() => server.stop());
+
+// PUT a chunk whose body is held open until `release` resolves, so a second request can
+// overtake it after it has passed the route's early checks
+function slowPut(pathname, headers, chunk, release) {
+    const { hostname, port } = new URL(server.url);
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            hostname, port, path: pathname, method: 'PUT',
+            headers: { ...headers, 'Content-Type': 'application/octet-stream', 'Content-Length': chunk.length }
+        }, res => {
+            let body = '';
+            res.on('data', data => body += data);
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        });
+        req.on('error', reject);
+        req.write(chunk.subarray(0, 1));
+        release.then(() => req.end(chunk.subarray(1)));
+    });
+}
+
+test('a chunk sent twice at the same offset is only appended once', async () => {
+    const chunk = crypto.randomBytes(64 * 1024);
+    const file = Buffer.concat([chunk, crypto.randomBytes(1024)]);
+    const start = await api('/api/uploads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ filename: 'a.jpg', size: file.length })
+    });
+    assert.strictEqual(start.status, 201);
+    const { uploadId } = await start.json();
+
+    const headers = { ...api.headers, 'Upload-Offset': '0' };
+
+    let release;
+    const released = new Promise(resolve => release = resolve);
+    const first = slowPut(`/api/uploads/${uploadId}`, headers, chunk, released);
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const retry = await api(`/api/uploads/${uploadId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream', 'Upload-Offset': '0' },
+        body: chunk
+    });
+    assert.strictEqual(retry.status, 200);
+    release();
+
+    const original = await first;
+    assert.strictEqual(original.status, 409);
+    assert.strictEqual(original.body.offset, chunk.length);
+
+    const partial = path.join(server.dir, 'partial-uploads', `${uploadId}.part`);
+    assert.strictEqual(fs.statSync(partial).size, chunk.length);
+});
+
+function upload(galleryId, photos) {
+    const form = new FormData();
+    for (const [name, data] of photos) form.append('photos', new Blob([data], { type: 'image/jpeg' }), name);
+    return api(`/api/gallery/${galleryId}/upload`, { method: 'POST', body: form }).then(res => res.json());
+}
+
+test('a second photo with a taken name is renamed instead of overwriting the first', async () => {
+    const first = await jpeg();
+    const galleryId = await createGallery(api, { 'IMG_1.jpg': first });
+
+    const second = await jpeg({ color: '#123' });
+    const result = await upload(galleryId, [['IMG_1.jpg', second]]);
+    assert.deepStrictEqual(result.renamed, [{ originalName: 'IMG_1.jpg', filename: 'IMG_1-1.jpg' }]);
+    assert.strictEqual(result.fileCount, 2);
+
+    const download = name => fetch(`${server.url}/api/gallery/${galleryId}/download/${name}`);
+    assert.strictEqual((await download('IMG_1.jpg')).headers.get('content-length'), String(first.length));
+    const renamed = await download('IMG_1-1.jpg');
+    assert.match(renamed.headers.get('content-disposition'), /filename="IMG_1\.jpg"/);
+});
+
+test('photos already in the gallery or the same batch are skipped', async () => {
+    const photo = await jpeg();
+    const galleryId = await createGallery(api, { 'a.jpg': photo });
+
+    const other = await jpeg({ color: '#123' });
+    const result = await upload(galleryId, [['copy.jpg', photo], ['b.jpg', other], ['b-again.jpg', other]]);
+    assert.deepStrictEqual(result.duplicates, [
+        { originalName: 'copy.jpg', existing: 'a.jpg' },
+        { originalName: 'b-again.jpg', existing: 'b.jpg' }
+    ]);
+    assert.strictEqual(result.fileCount, 2);
+    assert.deepStrictEqual(fs.readdirSync(path.join(server.dir, 'uploads', galleryId)).sort(), ['a.jpg', 'b.jpg']);
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { startServer, signIn, createGallery } = require('./helpers');
+
+let server;
+let api;
+let galleryId;
+
+before(async () => {
+    server = await startServer();
+    api = await signIn(server.url);
+    // Large enough for the watermark text to be drawn across real pixels
+    const photo = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#888' } }).jpeg().toBuffer();
+    galleryId = await createGallery(api, { 'a.jpg': photo });
+});
+
+after(() => server.stop());
+
+function setWatermark(body) {
+    return api(`/api/gallery/${galleryId}/watermark`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+const asClient = pathname => fetch(`${server.url}${pathname}`);
+const body = async res => Buffer.from(await res.arrayBuffer());
+
+test('watermarked galleries lock originals and ZIPs for clients only', async () => {
+    assert.strictEqual((await setWatermark({ enabled: true, type: 'text', text: '' })).status, 400);
+    assert.strictEqual((await setWatermark({ enabled: true, type: 'text', text: 'PROOF' })).status, 200);
+
+    for (const pathname of [`/api/gallery/${galleryId}/download/a.jpg`, `/api/gallery/${galleryId}/download`]) {
+        const res = await asClient(pathname);
+        assert.strictEqual(res.status, 403, pathname);
+        assert.strictEqual((await res.json()).watermarked, true);
+    }
+    const original = await api(`/api/gallery/${galleryId}/download/a.jpg`);
+    assert.strictEqual(original.status, 200);
+    await original.arrayBuffer();
+
+    const { photos } = await (await asClient(`/api/gallery/${galleryId}/photos`)).json();
+    assert.ok(!photos[0].srcset.includes('2560w'));
+
+    const proof = await asClient(`/api/gallery/${galleryId}/photo/a.jpg?w=800`);
+    const clean = await body(await api(`/api/gallery/${galleryId}/photo/a.jpg?w=800`));
+    assert.strictEqual(proof.status, 200);
+    assert.notDeepStrictEqual(await body(proof), clean);
+
+    assert.strictEqual((await setWatermark({ enabled: false })).status, 200);
+    const unlocked = await asClient(`/api/gallery/${galleryId}/download/a.jpg`);
+    assert.strictEqual(unlocked.status, 200);
+    await unlocked.arrayBuffer();
+    assert.deepStrictEqual(await body(await asClient(`/api/gallery/${galleryId}/photo/a.jpg?w=800`)), clean);
+});
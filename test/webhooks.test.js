@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createWebhooks } = require('../notifications');
+
+let dir;
+let receiver;
+let receiverUrl;
+const received = [];
+// Status codes the receiver answers with, in order; 200 once they run out
+const replies = [];
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metransfer-webhooks-'));
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', data => body += data);
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(replies.shift() || 200).end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => {
+    receiver.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function until(check) {
+    for (let i = 0; i < 100; i++) {
+        if (check()) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for the webhook');
+}
+
+test('deliveries are signed, retried after a non-2xx reply and logged', async () => {
+    const logFile = path.join(dir, 'webhook-deliveries.json');
+    const webhooks = createWebhooks({
+        file: path.join(dir, 'webhooks.json'),
+        logFile,
+        userAgent: 'test',
+        retryDelaysMs: [10, 10]
+    });
+    const endpoint = webhooks.add({ url: receiverUrl, events: ['gallery.created'] });
+
+    replies.push(500);
+    webhooks.emit('gallery.deleted', { galleryId: 'g' });
+    webhooks.emit('gallery.created', { galleryId: 'g' });
+    await until(() => webhooks.deliveries(endpoint.id).some(d => d.status === 'delivered'));
+
+    // Only the subscribed event, sent twice: the 500, then the retry
+    assert.strictEqual(received.length, 2);
+    for (const { headers, body } of received) {
+        assert.strictEqual(headers['x-metransfer-event'], 'gallery.created');
+        const [, t, v1] = headers['x-metransfer-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+        const expected = crypto.createHmac('sha256', endpoint.secret).update(`${t}.${body}`).digest('hex');
+        assert.strictEqual(v1, expected);
+        assert.deepStrictEqual(JSON.parse(body).data, { galleryId: 'g' });
+    }
+    assert.strictEqual(received[0].body, received[1].body);
+
+    const [delivery] = webhooks.deliveries(endpoint.id);
+    assert.strictEqual(delivery.event, 'gallery.created');
+    assert.deepStrictEqual(delivery.attempts.map(a => [a.status, a.error]), [[500, 'HTTP 500'], [200, null]]);
+    assert.strictEqual(delivery.nextAttemptAt, null);
+
+    const logged = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+    assert.deepStrictEqual(logged.map(d => [d.id, d.status]), [[delivery.id, 'delivered']]);
+});
+
+test('a delivery that keeps failing is marked failed once the retries run out', async () => {
+    const webhooks = createWebhooks({
+        file: path.join(dir, 'failing.json'),
+        logFile: path.join(dir, 'failing-deliveries.json'),
+        userAgent: 'test',
+        retryDelaysMs: [10]
+    });
+    const endpoint = webhooks.add({ url: receiverUrl, events: ['*'] });
+
+    replies.push(503, 503);
+    webhooks.ping(endpoint.id);
+    await until(() => webhooks.deliveries(endpoint.id).some(d => d.status === 'failed'));
+
+    const [delivery] = webhooks.deliveries(endpoint.id);
+    assert.deepStrictEqual(delivery.attempts.map(a => a.status), [503, 503]);
+});